@@ -0,0 +1,84 @@
+/**
+ * Admin route authentication middleware
+ * Requires the ADMIN_TOKEN setting as a bearer token (or X-Admin-Token header).
+ * Admin routes are disabled entirely when no token is configured.
+ *
+ * Alert routes also accept ALERTS_TOKEN, which is the token the frontend
+ * asks for; it grants nothing beyond managing alerts.
+ */
+import crypto from 'crypto';
+import { getConfig } from './config.js';
+
+/**
+ * Compare two strings in constant time
+ * @returns {boolean} Whether the strings match
+ */
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Token sent with a request
+ * @param {Object} req - Express request
+ * @returns {string} Bearer token or X-Admin-Token header, or '' if neither was sent
+ */
+function readToken(req) {
+  const authHeader = req.get('Authorization') || '';
+  return authHeader.startsWith('Bearer ')
+    ? authHeader.slice('Bearer '.length)
+    : req.get('X-Admin-Token') || '';
+}
+
+/**
+ * Express middleware guarding admin routes
+ */
+export function requireAdmin(req, res, next) {
+  const adminToken = getConfig().admin.token;
+
+  if (!adminToken) {
+    return res.status(503).json({
+      error: 'Service Unavailable',
+      message: 'Admin routes are disabled. Set ADMIN_TOKEN to enable them.'
+    });
+  }
+
+  if (!safeEqual(readToken(req), adminToken)) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'A valid admin token is required'
+    });
+  }
+
+  next();
+}
+
+/**
+ * Express middleware guarding alert routes: the alerts token or the admin token
+ */
+export function requireAlertsAccess(req, res, next) {
+  const { admin, alerts } = getConfig();
+  const tokens = [alerts.token, admin.token].filter(Boolean);
+
+  if (tokens.length === 0) {
+    return res.status(503).json({
+      error: 'Service Unavailable',
+      message: 'Alert routes are disabled. Set ALERTS_TOKEN to enable them.'
+    });
+  }
+
+  const token = readToken(req);
+  // Every token is compared, so timing doesn't reveal which one matched
+  const matches = tokens.map((expected) => safeEqual(token, expected));
+  if (!matches.includes(true)) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'A valid alerts token is required'
+    });
+  }
+
+  next();
+}
+
+export default requireAdmin;
@@ -0,0 +1,602 @@
+/**
+ * Occupancy alerts
+ * Alerts watch sessions matching a set of filters (movie, theatre, session,
+ * search areas, start time) and fire once per session when a fresh seat
+ * reading meets their condition: occupancy at or above a percentage, or
+ * fewer than a number of seats left. Each firing is POSTed as JSON to the
+ * alert's webhook (or ALERTS_WEBHOOK_URL) with retries, and recorded in a
+ * delivery log.
+ *
+ * Seat readings only carry theatre and session IDs, so sessions are
+ * remembered as showtimes are fetched, and theatre locations come from the
+ * theatre directory. A session not remembered that way (after a restart, or
+ * on another serverless instance) is looked up in the theatre's schedules
+ * for the coming week, which are usually already cached.
+ *
+ * Alerts are kept in a JSON file (ALERTS_DB_PATH). The delivery log is kept
+ * in memory.
+ *
+ * @typedef {Object} Alert
+ * @property {string} id
+ * @property {string} name - Label shown in the UI and sent with each delivery
+ * @property {boolean} enabled
+ * @property {Object} filters - All given filters must match
+ * @property {number} [filters.movieId]
+ * @property {number} [filters.theatreId]
+ * @property {string} [filters.showtimeId]
+ * @property {Array<Object>} [filters.areas] - Theatre within any { latitude, longitude, radius } (km)
+ * @property {string} [filters.startsAfter] - Local start time HH:MM or later
+ * @property {string} [filters.startsBefore] - Local start time before HH:MM
+ * @property {Object} condition - Exactly one of occupancyAtLeast (percent) or seatsBelow (count)
+ * @property {string|null} webhookUrl - Overrides ALERTS_WEBHOOK_URL
+ * @property {string} createdAt
+ * @property {Object<string, string>} fired - Sessions already alerted on, with their start time
+ */
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { createLogger } from './logger.js';
+import { alertDeliveries } from './metrics.js';
+import theatreDirectory from './theatreDirectory.js';
+import { getConfig } from './config.js';
+import { ID_PATTERN } from './schema.js';
+// getShowtimes is only called at runtime, so the import cycle with cineplex.js is safe
+import { getShowtimes } from './cineplex.js';
+import { getTheatreTimeZone, localDate } from './timeZones.js';
+
+const log = createLogger('alerts');
+
+export const MAX_ALERTS = 100;
+
+// Delivery attempts and the wait before each retry
+const RETRY_DELAYS_MS = [5 * 1000, 30 * 1000];
+const DELIVERY_TIMEOUT_MS = 5 * 1000;
+const DELIVERY_LOG_SIZE = 500;
+
+// Remembered sessions are dropped this long after they start
+const SESSION_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+// Days of schedules searched for a session that isn't remembered (a week of advance sales)
+const SESSION_LOOKUP_DAYS = 7;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Distance between two points in km
+ */
+function distanceKm(a, b) {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const dLat = toRadians(b.latitude - a.latitude);
+  const dLon = toRadians(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLon / 2) ** 2;
+  return 6371 * 2 * Math.asin(Math.sqrt(h));
+}
+
+function isPositiveNumber(value, max) {
+  return typeof value === 'number' && Number.isFinite(value) && value > 0 && value <= max;
+}
+
+/**
+ * Validate alert fields from a request body
+ * @param {Object} input - Request body
+ * @returns {Object} { alert } with normalized fields, or { error } with a message for the client
+ */
+export function validateAlert(input) {
+  if (!input || typeof input !== 'object') {
+    return { error: 'body must be a JSON object' };
+  }
+
+  const name = typeof input.name === 'string' ? input.name.trim() : '';
+  if (!name || name.length > 100) {
+    return { error: 'name is required (up to 100 characters)' };
+  }
+
+  const rawFilters = input.filters || {};
+  const filters = {};
+
+  if (rawFilters.movieId !== undefined) {
+    if (!ID_PATTERN.test(String(rawFilters.movieId))) return { error: 'filters.movieId must be a numeric ID' };
+    filters.movieId = Number(rawFilters.movieId);
+  }
+  if (rawFilters.theatreId !== undefined) {
+    if (!ID_PATTERN.test(String(rawFilters.theatreId))) return { error: 'filters.theatreId must be a numeric ID' };
+    filters.theatreId = Number(rawFilters.theatreId);
+  }
+  if (rawFilters.showtimeId !== undefined) {
+    if (!ID_PATTERN.test(String(rawFilters.showtimeId))) return { error: 'filters.showtimeId must be a numeric ID' };
+    filters.showtimeId = String(rawFilters.showtimeId);
+  }
+  for (const field of ['startsAfter', 'startsBefore']) {
+    if (rawFilters[field] !== undefined) {
+      if (!TIME_PATTERN.test(rawFilters[field])) return { error: `filters.${field} must be a time in HH:MM format` };
+      filters[field] = rawFilters[field];
+    }
+  }
+  if (rawFilters.areas !== undefined) {
+    const areas = rawFilters.areas;
+    const valid = Array.isArray(areas) && areas.length > 0 && areas.length <= 12 && areas.every((area) =>
+      typeof area?.latitude === 'number' && Math.abs(area.latitude) <= 90 &&
+      typeof area?.longitude === 'number' && Math.abs(area.longitude) <= 180 &&
+      isPositiveNumber(area.radius, 50)
+    );
+    if (!valid) return { error: 'filters.areas must be 1-12 { latitude, longitude, radius } entries (radius up to 50 km)' };
+    filters.areas = areas.map(({ latitude, longitude, radius }) => ({ latitude, longitude, radius }));
+  }
+
+  const rawCondition = input.condition || {};
+  const conditionFields = ['occupancyAtLeast', 'seatsBelow'].filter((field) => rawCondition[field] !== undefined);
+  if (conditionFields.length !== 1) {
+    return { error: 'condition must have exactly one of occupancyAtLeast or seatsBelow' };
+  }
+  const [conditionField] = conditionFields;
+  const conditionValue = rawCondition[conditionField];
+  if (conditionField === 'occupancyAtLeast' && !isPositiveNumber(conditionValue, 100)) {
+    return { error: 'condition.occupancyAtLeast must be a percentage between 1 and 100' };
+  }
+  if (conditionField === 'seatsBelow' && !(Number.isInteger(conditionValue) && conditionValue > 0)) {
+    return { error: 'condition.seatsBelow must be a positive whole number' };
+  }
+
+  let webhookUrl = null;
+  if (input.webhookUrl) {
+    try {
+      const url = new URL(input.webhookUrl);
+      if (url.protocol !== 'https:' && url.protocol !== 'http:') throw new Error('protocol');
+      webhookUrl = url.toString();
+    } catch {
+      return { error: 'webhookUrl must be an http(s) URL' };
+    }
+  }
+
+  return {
+    alert: {
+      name,
+      enabled: input.enabled !== false,
+      filters,
+      condition: { [conditionField]: conditionValue },
+      webhookUrl
+    }
+  };
+}
+
+class AlertManager {
+  /**
+   * @param {string} [filePath] - Alerts file path (default: ALERTS_DB_PATH env var)
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.alerts = new Map();
+    this.sessions = new Map();
+    // Session lookups in flight, so a burst of readings searches schedules once
+    this.resolving = new Map();
+    this.deliveries = [];
+    this.loaded = false;
+    this.pendingWrite = Promise.resolve();
+  }
+
+  /**
+   * Read saved alerts. Called lazily so the config has loaded.
+   */
+  load() {
+    if (this.loaded) return;
+    this.loaded = true;
+
+    this.filePath = path.resolve(this.filePath || getConfig().alerts.path);
+
+    try {
+      if (fs.existsSync(this.filePath)) {
+        const saved = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        (saved.alerts || []).forEach((alert) => this.alerts.set(alert.id, alert));
+        log.info('Loaded alerts', { alerts: this.alerts.size });
+      }
+    } catch (error) {
+      log.error('Failed to load alerts', { file: this.filePath, error });
+    }
+  }
+
+  /**
+   * Write all alerts to disk, one write at a time
+   */
+  save() {
+    const contents = JSON.stringify({ alerts: [...this.alerts.values()] }, null, 2);
+    this.pendingWrite = this.pendingWrite
+      .then(async () => {
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.promises.writeFile(this.filePath, contents);
+      })
+      .catch((error) => {
+        log.error('Failed to save alerts', { file: this.filePath, error });
+      });
+  }
+
+  /**
+   * @returns {Array<Alert>} All alerts, oldest first
+   */
+  list() {
+    this.load();
+    return [...this.alerts.values()];
+  }
+
+  /**
+   * @param {string} id - Alert ID
+   * @returns {Alert|undefined}
+   */
+  get(id) {
+    this.load();
+    return this.alerts.get(id);
+  }
+
+  /**
+   * Add an alert
+   * @param {Object} fields - Validated fields (from validateAlert)
+   * @returns {Alert|null} The new alert, or null if MAX_ALERTS are already registered
+   */
+  create(fields) {
+    this.load();
+    if (this.alerts.size >= MAX_ALERTS) return null;
+
+    const alert = {
+      id: crypto.randomUUID(),
+      ...fields,
+      createdAt: new Date().toISOString(),
+      fired: {}
+    };
+    this.alerts.set(alert.id, alert);
+    this.save();
+    return alert;
+  }
+
+  /**
+   * Replace an alert's settings. Sessions it already fired for stay fired.
+   * @param {string} id - Alert ID
+   * @param {Object} fields - Validated fields (from validateAlert)
+   * @returns {Alert|undefined} Updated alert, or undefined if there's no such alert
+   */
+  update(id, fields) {
+    const existing = this.get(id);
+    if (!existing) return undefined;
+
+    const alert = { ...existing, ...fields };
+    this.alerts.set(id, alert);
+    this.save();
+    return alert;
+  }
+
+  /**
+   * @param {string} id - Alert ID
+   * @returns {boolean} Whether an alert was removed
+   */
+  remove(id) {
+    this.load();
+    const removed = this.alerts.delete(id);
+    if (removed) this.save();
+    return removed;
+  }
+
+  /**
+   * Remember sessions from a freshly fetched schedule
+   * @param {Schedule} schedule - Normalized schedule
+   */
+  rememberSchedule(schedule) {
+    const movieNames = new Map(schedule.movies.map((movie) => [movie.id, movie.name]));
+    schedule.sessions.forEach((session) => {
+      this.sessions.set(`${session.theatreId}:${session.id}`, {
+        sessionId: session.id,
+        movieId: session.movieId,
+        movieName: movieNames.get(session.movieId) || null,
+        theatreId: session.theatreId,
+        theatreName: session.theatreName,
+        startsAt: session.startsAt,
+        auditorium: session.auditorium,
+        experienceTypes: session.experienceTypes
+      });
+    });
+    this.pruneSessions();
+  }
+
+  pruneSessions() {
+    const cutoff = Date.now() - SESSION_RETENTION_MS;
+    for (const [key, session] of this.sessions) {
+      if (Date.parse(session.startsAt) < cutoff) {
+        this.sessions.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Load what alert filters need to know about a reading that this process
+   * hasn't seen: the theatre from the directory's cache, and a session that
+   * isn't remembered from the theatre's schedules, starting with today in
+   * the theatre's zone. Schedules are read through the cache and every
+   * session in them is remembered.
+   * @param {string|number} theatreId - Theatre ID
+   * @param {string|number} showtimeId - Vista session ID
+   * @returns {Promise<Object|undefined>} Session, if it was found
+   */
+  resolveSession(theatreId, showtimeId) {
+    const sessionKey = `${theatreId}:${showtimeId}`;
+    if (!this.resolving.has(sessionKey)) {
+      const search = async () => {
+        const timeZone = getTheatreTimeZone(await theatreDirectory.lookup(theatreId));
+        const searchDays = this.needsSessions() ? SESSION_LOOKUP_DAYS : 0;
+        for (let offset = 0; offset < searchDays && !this.sessions.has(sessionKey); offset++) {
+          const date = localDate(Date.now() + offset * 24 * 60 * 60 * 1000, timeZone);
+          const { data: schedule } = await getShowtimes(theatreId, date);
+          this.rememberSchedule(schedule);
+        }
+        return this.sessions.get(sessionKey);
+      };
+
+      this.resolving.set(sessionKey, search().finally(() => this.resolving.delete(sessionKey)));
+    }
+    return this.resolving.get(sessionKey);
+  }
+
+  /**
+   * Whether any enabled alert filters on something only a session carries
+   */
+  needsSessions() {
+    return [...this.alerts.values()].some(({ enabled, filters }) =>
+      enabled && (filters.movieId !== undefined || filters.startsAfter || filters.startsBefore)
+    );
+  }
+
+  /**
+   * Whether any enabled alert filters on the theatre's location
+   */
+  needsTheatres() {
+    return [...this.alerts.values()].some(({ enabled, filters }) => enabled && filters.areas);
+  }
+
+  /**
+   * Whether a session passes an alert's filters
+   */
+  matches(alert, theatreId, showtimeId, session) {
+    const { filters } = alert;
+
+    if (filters.theatreId !== undefined && filters.theatreId !== Number(theatreId)) return false;
+    if (filters.showtimeId !== undefined && filters.showtimeId !== String(showtimeId)) return false;
+
+    const needsSession = filters.movieId !== undefined || filters.startsAfter || filters.startsBefore;
+    if (needsSession && !session) return false;
+    if (filters.movieId !== undefined && filters.movieId !== session.movieId) return false;
+
+    // startsAt is theatre-local time, so HH:MM compares directly
+    const startTime = session?.startsAt.slice(11, 16);
+    if (filters.startsAfter && startTime < filters.startsAfter) return false;
+    if (filters.startsBefore && startTime >= filters.startsBefore) return false;
+
+    if (filters.areas) {
+      const location = theatreDirectory.get(theatreId);
+      if (!location || location.latitude === null || !filters.areas.some((area) => distanceKm(area, location) <= area.radius)) return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Describe why a reading meets an alert's condition
+   * @returns {string|null} Reason, or null if the condition isn't met
+   */
+  checkCondition(alert, reading) {
+    const { occupancyAtLeast, seatsBelow } = alert.condition;
+    if (occupancyAtLeast !== undefined && reading.occupancyPercentage >= occupancyAtLeast) {
+      return `Occupancy ${reading.occupancyPercentage}% reached ${occupancyAtLeast}%`;
+    }
+    if (seatsBelow !== undefined && reading.availableSeats < seatsBelow) {
+      return `${reading.availableSeats} seat${reading.availableSeats !== 1 ? 's' : ''} left (fewer than ${seatsBelow})`;
+    }
+    return null;
+  }
+
+  /**
+   * Check alerts against a fresh seat reading and send any that fire
+   * @param {Object} reading - { theatreId, showtimeId, occupancyPercentage, availableSeats, sellableSeats, occupiedSeats }
+   */
+  evaluate(reading) {
+    this.load();
+    if (this.alerts.size === 0) return;
+
+    const session = this.sessions.get(`${reading.theatreId}:${reading.showtimeId}`);
+    const missingSession = !session && this.needsSessions();
+    const missingTheatre = !theatreDirectory.get(reading.theatreId) && this.needsTheatres();
+    if (!missingSession && !missingTheatre) {
+      this.fire(reading, session);
+      return;
+    }
+
+    this.resolveSession(reading.theatreId, reading.showtimeId)
+      .catch((error) => {
+        // Alerts that don't need the session can still fire
+        log.warn('Failed to look up session or theatre for alerts', { theatreId: reading.theatreId, showtimeId: reading.showtimeId, error });
+        return undefined;
+      })
+      .then((resolved) => this.fire(reading, resolved));
+  }
+
+  /**
+   * Send the alerts a reading meets
+   * @param {Object} reading - Seat reading (see evaluate)
+   * @param {Object} [session] - The reading's session, if known
+   */
+  fire(reading, session) {
+    const sessionKey = `${reading.theatreId}:${reading.showtimeId}`;
+    let changed = false;
+
+    for (const alert of this.alerts.values()) {
+      if (!alert.enabled || alert.fired[sessionKey]) continue;
+      if (!this.matches(alert, reading.theatreId, reading.showtimeId, session)) continue;
+
+      const reason = this.checkCondition(alert, reading);
+      if (!reason) continue;
+
+      alert.fired[sessionKey] = session?.startsAt || new Date().toISOString();
+      changed = true;
+
+      this.deliver(alert, {
+        event: 'alert.triggered',
+        alert: { id: alert.id, name: alert.name, condition: alert.condition },
+        reason,
+        triggeredAt: new Date().toISOString(),
+        session: session || { sessionId: String(reading.showtimeId), theatreId: Number(reading.theatreId) },
+        seats: {
+          occupancyPercentage: reading.occupancyPercentage,
+          availableSeats: reading.availableSeats,
+          occupiedSeats: reading.occupiedSeats,
+          sellableSeats: reading.sellableSeats
+        }
+      });
+    }
+
+    if (changed) {
+      this.pruneFired();
+      this.save();
+    }
+  }
+
+  /**
+   * Forget fired sessions that have started, so the fired lists don't grow forever
+   */
+  pruneFired() {
+    const cutoff = Date.now() - SESSION_RETENTION_MS;
+    for (const alert of this.alerts.values()) {
+      for (const [key, startsAt] of Object.entries(alert.fired)) {
+        if (Date.parse(startsAt) < cutoff) delete alert.fired[key];
+      }
+    }
+  }
+
+  /**
+   * Send a sample payload to an alert's webhook
+   * @param {Alert} alert
+   * @returns {Object} Delivery log entry
+   */
+  sendTest(alert) {
+    return this.deliver(alert, {
+      event: 'alert.test',
+      alert: { id: alert.id, name: alert.name, condition: alert.condition },
+      reason: 'Test delivery',
+      triggeredAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Queue a webhook delivery with retries
+   * @param {Alert} alert
+   * @param {Object} payload - JSON body
+   * @returns {Object} Delivery log entry (updated as attempts are made)
+   */
+  deliver(alert, payload) {
+    const url = alert.webhookUrl || getConfig().alerts.webhookUrl;
+    const delivery = {
+      id: crypto.randomUUID(),
+      alertId: alert.id,
+      event: payload.event,
+      sessionId: payload.session?.sessionId,
+      url: url || null,
+      status: 'pending',
+      attempts: [],
+      createdAt: new Date().toISOString()
+    };
+
+    this.deliveries.push(delivery);
+    if (this.deliveries.length > DELIVERY_LOG_SIZE) {
+      this.deliveries.shift();
+    }
+
+    if (!url) {
+      delivery.status = 'failed';
+      delivery.attempts.push({ at: delivery.createdAt, error: 'No webhook URL configured' });
+      alertDeliveries.inc({ result: 'failed' });
+      log.warn('Alert fired with no webhook configured', { alertId: alert.id, reason: payload.reason });
+      return delivery;
+    }
+
+    this.attempt(delivery, JSON.stringify({ deliveryId: delivery.id, ...payload }));
+    return delivery;
+  }
+
+  async attempt(delivery, body) {
+    const attempt = { at: new Date().toISOString() };
+    delivery.attempts.push(attempt);
+
+    try {
+      const headers = {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Crowdplex-Alerts',
+        'X-Crowdplex-Delivery': delivery.id
+      };
+      const secret = getConfig().alerts.webhookSecret;
+      if (secret) {
+        headers['X-Crowdplex-Signature'] = `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+      }
+
+      const response = await fetch(delivery.url, {
+        method: 'POST',
+        headers,
+        body,
+        signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS)
+      });
+      attempt.status = response.status;
+
+      if (response.ok) {
+        delivery.status = 'delivered';
+        alertDeliveries.inc({ result: 'delivered' });
+        log.info('Delivered alert', { alertId: delivery.alertId, deliveryId: delivery.id, attempts: delivery.attempts.length });
+        return;
+      }
+    } catch (error) {
+      attempt.error = error.name === 'TimeoutError' ? 'Timed out' : error.message;
+    }
+
+    const retryDelay = RETRY_DELAYS_MS[delivery.attempts.length - 1];
+    if (retryDelay === undefined) {
+      delivery.status = 'failed';
+      alertDeliveries.inc({ result: 'failed' });
+      log.error('Alert delivery failed', { alertId: delivery.alertId, deliveryId: delivery.id, attempts: delivery.attempts.length, lastAttempt: attempt });
+      return;
+    }
+
+    alertDeliveries.inc({ result: 'retried' });
+    setTimeout(() => this.attempt(delivery, body), retryDelay).unref();
+  }
+
+  /**
+   * Recent deliveries, newest first
+   * @param {string} [alertId] - Only deliveries for this alert
+   * @returns {Array<Object>}
+   */
+  getDeliveries(alertId) {
+    return this.deliveries
+      .filter((delivery) => !alertId || delivery.alertId === alertId)
+      .reverse();
+  }
+
+  /**
+   * Get alert statistics
+   * @returns {Object} Alert stats
+   */
+  getStats() {
+    this.load();
+    return {
+      alerts: this.alerts.size,
+      trackedSessions: this.sessions.size,
+      deliveries: this.deliveries.length,
+      failedDeliveries: this.deliveries.filter((delivery) => delivery.status === 'failed').length
+    };
+  }
+
+  /**
+   * Wait for queued writes to reach the disk
+   * @returns {Promise<void>}
+   */
+  flush() {
+    return this.pendingWrite;
+  }
+}
+
+// Create singleton instance
+const alerts = new AlertManager();
+
+export default alerts;
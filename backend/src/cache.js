@@ -1,99 +1,328 @@
 /**
- * Simple in-memory cache implementation with TTL support
+ * Cache with TTL support and pluggable storage
+ *
+ * Entries live in a storage adapter selected by CACHE_STORE (see config.js):
+ * - memory (default): in-process LRU bounded by CACHE_MAX_ENTRIES / CACHE_MAX_MB
+ * - file: the same LRU, snapshotted to CACHE_FILE_PATH so restarts keep it warm
+ * - redis: any Redis-protocol server at CACHE_REDIS_URL, shared between instances
+ *
+ * Entries have a soft TTL (fresh), a hard TTL (servable while a background
+ * refresh runs) and a retention period during which the last good value can
+ * still be served, marked stale, if upstream fails.
+ *
+ * @typedef {Object} CacheStore
+ * @property {string} name - Store name reported in stats
+ * @property {function(string): Promise<Object|undefined>} get - Read an entry ({ value, expiresAt, ... }); stores may drop it after expiresAt
+ * @property {function(string, Object): Promise<void>} set - Write an entry
+ * @property {function(string): Promise<void>} delete - Remove an entry
+ * @property {function(): Promise<void>} clear - Remove all entries
+ * @property {function(string=): Promise<Array<string>>} keys - List keys, optionally by prefix
+ * @property {function(): Promise<Object>} stats - Store statistics
+ * @property {function(): Promise<number>} [cleanup] - Drop expired entries, if the store doesn't expire them itself
  */
-class Cache {
-  constructor() {
-    this.store = new Map();
+import MemoryStore from './cacheStores/memoryStore.js';
+import FileStore from './cacheStores/fileStore.js';
+import RedisStore from './cacheStores/redisStore.js';
+import { createLogger } from './logger.js';
+import { cacheRequests } from './metrics.js';
+import { getConfig } from './config.js';
+
+const log = createLogger('cache');
+
+/**
+ * Create the configured storage adapter
+ * @param {Object} [settings] - Cache settings (default: the cache section of the config)
+ * @returns {CacheStore} Storage adapter
+ */
+export function createStore(settings = getConfig().cache) {
+  const limits = {
+    maxEntries: settings.maxEntries,
+    maxBytes: settings.maxMb * 1024 * 1024
+  };
+
+  switch (settings.store) {
+    case 'memory':
+      return new MemoryStore(limits);
+    case 'file':
+      return new FileStore({ ...limits, filePath: settings.filePath });
+    case 'redis':
+      return new RedisStore({ url: settings.redisUrl });
+    default:
+      throw new Error(`Unknown cache store "${settings.store}" (expected memory, file or redis)`);
+  }
+}
+
+/**
+ * Whether a failed fetch should fall back to a stale value. Client errors
+ * (a 404 for an unknown theatre, say) are passed through instead.
+ * @param {Error} error - Fetch error
+ * @returns {boolean}
+ */
+function isTransientError(error) {
+  return error.status === undefined || error.status >= 500 || error.status === 429;
+}
+
+// Metric label for each lookup counter
+const METRIC_RESULTS = { hits: 'hit', misses: 'miss', coalesced: 'coalesced', staleServed: 'stale' };
+
+export class Cache {
+  /**
+   * @param {CacheStore} [store] - Storage adapter (default: created from env on first use)
+   */
+  constructor(store) {
+    this.backingStore = store || null;
+    this.inFlight = new Map();
+    this.counters = { hits: 0, misses: 0, coalesced: 0, revalidations: 0, staleServed: 0 };
+  }
+
+  /**
+   * Storage adapter, created lazily so dotenv has loaded
+   * @returns {CacheStore}
+   */
+  get store() {
+    if (!this.backingStore) {
+      this.backingStore = createStore();
+      log.info('Using cache store', { store: this.backingStore.name });
+    }
+    return this.backingStore;
   }
 
   /**
    * Set a value in the cache with optional TTL
    * @param {string} key - Cache key
    * @param {any} value - Value to cache
-   * @param {number} ttlMs - Time to live in milliseconds
+   * @param {number} ttlMs - Time to live in milliseconds (soft TTL)
+   * @param {Object} [options]
+   * @param {number} [options.hardTtlMs] - How long the value may be served while refreshing (default: ttlMs)
+   * @param {number} [options.staleIfErrorMs] - How long the value is kept as an upstream-failure fallback (default: hardTtlMs)
+   * @returns {Promise<number>} When the entry was stored (ms)
    */
-  set(key, value, ttlMs = 60000) {
-    const expiresAt = Date.now() + ttlMs;
-    this.store.set(key, { value, expiresAt });
+  async set(key, value, ttlMs = 60000, { hardTtlMs = ttlMs, staleIfErrorMs = hardTtlMs } = {}) {
+    const storedAt = Date.now();
+    const entry = {
+      value,
+      storedAt,
+      softExpiresAt: storedAt + ttlMs,
+      hardExpiresAt: storedAt + hardTtlMs,
+      expiresAt: storedAt + Math.max(ttlMs, hardTtlMs, staleIfErrorMs)
+    };
+
+    try {
+      await this.store.set(key, entry);
+    } catch (error) {
+      log.error('Failed to write entry', { key, error });
+    }
+    return storedAt;
   }
 
   /**
-   * Get a value from the cache
+   * Get a raw cache entry, including entries past their hard TTL that are
+   * still retained as a fallback
    * @param {string} key - Cache key
-   * @returns {any|null} Cached value or null if expired/not found
+   * @returns {Promise<Object|null>} Entry or null if not found
    */
-  get(key) {
-    const entry = this.store.get(key);
-    
+  async getEntry(key) {
+    let entry;
+    try {
+      entry = await this.store.get(key);
+    } catch (error) {
+      // A broken store behaves like an empty cache
+      log.error('Failed to read entry', { key, error });
+      return null;
+    }
+
     if (!entry) {
       return null;
     }
 
-    // Check if expired
+    // Check if past retention
     if (Date.now() > entry.expiresAt) {
-      this.store.delete(key);
+      await this.delete(key);
+      return null;
+    }
+
+    // Entries written before soft/hard TTLs existed expire all at once
+    return {
+      softExpiresAt: entry.expiresAt,
+      hardExpiresAt: entry.expiresAt,
+      storedAt: Date.now(),
+      ...entry
+    };
+  }
+
+  /**
+   * Get a value from the cache
+   * @param {string} key - Cache key
+   * @returns {Promise<any|null>} Cached value or null if past its hard TTL/not found
+   */
+  async get(key) {
+    const entry = await this.getEntry(key);
+
+    if (!entry || Date.now() > entry.hardExpiresAt) {
       return null;
     }
 
     return entry.value;
   }
 
+  /**
+   * Get a cached value, or fetch and cache it on a miss.
+   *
+   * - Fresh (within ttlMs): served from cache.
+   * - Within hardTtlMs: served from cache while a background refresh runs.
+   * - Otherwise fetched. If that fails with a transient error and a value is
+   *   still retained (staleIfErrorMs), the last good value is served as stale.
+   *
+   * Concurrent fetches for the same key share one in-flight request.
+   * @param {string} key - Cache key
+   * @param {Object} policy - { ttlMs, hardTtlMs, staleIfErrorMs } (see set)
+   * @param {Function} fetcher - Async function producing the value
+   * @returns {Promise<Object>} { value, stale, storedAt }
+   */
+  async getOrFetch(key, policy, fetcher) {
+    const entry = await this.getEntry(key);
+    const now = Date.now();
+
+    if (entry && now <= entry.softExpiresAt) {
+      this.count('hits', key);
+      log.debug('Hit', { key });
+      return { value: entry.value, stale: false, storedAt: entry.storedAt };
+    }
+
+    if (entry && now <= entry.hardExpiresAt) {
+      this.count('hits', key);
+      log.debug('Hit, revalidating', { key });
+      this.revalidate(key, policy, fetcher);
+      return { value: entry.value, stale: false, storedAt: entry.storedAt };
+    }
+
+    try {
+      const { value, storedAt } = await this.fetchOnce(key, policy, fetcher);
+      return { value, stale: false, storedAt };
+    } catch (error) {
+      if (!entry || !isTransientError(error)) {
+        throw error;
+      }
+
+      this.count('staleServed', key);
+      log.warn('Serving stale entry', { key, ageSeconds: Math.round((now - entry.storedAt) / 1000), error });
+      return { value: entry.value, stale: true, storedAt: entry.storedAt };
+    }
+  }
+
+  /**
+   * Count a lookup result, in stats and metrics. Metrics are labelled by
+   * key type (the part before the first colon, e.g. "seats").
+   * @param {string} counter - Counter name (hits, misses, coalesced, staleServed)
+   * @param {string} key - Cache key
+   */
+  count(counter, key) {
+    this.counters[counter]++;
+    cacheRequests.inc({ cache: key.split(':')[0], result: METRIC_RESULTS[counter] });
+  }
+
+  /**
+   * Refresh a key in the background, ignoring failures
+   */
+  revalidate(key, policy, fetcher) {
+    if (this.inFlight.has(key)) return;
+
+    this.counters.revalidations++;
+    this.fetchOnce(key, policy, fetcher, { countMiss: false }).catch((error) => {
+      log.warn('Background refresh failed', { key, error });
+    });
+  }
+
+  /**
+   * Fetch and store a value, joining an in-flight fetch for the same key
+   * @returns {Promise<Object>} { value, storedAt }
+   */
+  fetchOnce(key, { ttlMs, hardTtlMs, staleIfErrorMs }, fetcher, { countMiss = true } = {}) {
+    if (this.inFlight.has(key)) {
+      this.count('coalesced', key);
+      log.debug('Coalesced', { key });
+      return this.inFlight.get(key);
+    }
+
+    if (countMiss) {
+      this.count('misses', key);
+      log.debug('Miss', { key });
+    }
+
+    const promise = (async () => {
+      const value = await fetcher();
+      const storedAt = await this.set(key, value, ttlMs, { hardTtlMs, staleIfErrorMs });
+      return { value, storedAt };
+    })().finally(() => {
+      this.inFlight.delete(key);
+    });
+
+    this.inFlight.set(key, promise);
+    return promise;
+  }
+
   /**
    * Delete a value from the cache
    * @param {string} key - Cache key
    */
-  delete(key) {
-    this.store.delete(key);
+  async delete(key) {
+    try {
+      await this.store.delete(key);
+    } catch (error) {
+      log.error('Failed to delete entry', { key, error });
+    }
   }
 
   /**
    * Clear all cached values
    */
-  clear() {
-    this.store.clear();
+  async clear() {
+    await this.store.clear();
   }
 
   /**
-   * Get cache statistics
-   * @returns {Object} Cache stats
+   * List cached keys
+   * @param {string} [prefix] - Only return keys starting with this prefix
+   * @returns {Promise<Array<string>>} Keys
    */
-  getStats() {
-    const now = Date.now();
-    let activeEntries = 0;
-    let expiredEntries = 0;
-
-    for (const [, entry] of this.store) {
-      if (now > entry.expiresAt) {
-        expiredEntries++;
-      } else {
-        activeEntries++;
-      }
-    }
+  async keys(prefix = '') {
+    return this.store.keys(prefix);
+  }
 
-    return {
-      totalEntries: this.store.size,
-      activeEntries,
-      expiredEntries
+  /**
+   * Get cache statistics
+   * @returns {Promise<Object>} Cache stats
+   */
+  async getStats() {
+    const requests = {
+      ...this.counters,
+      inFlight: this.inFlight.size
     };
+
+    try {
+      return {
+        store: this.store.name,
+        ...(await this.store.stats()),
+        requests
+      };
+    } catch (error) {
+      return {
+        store: this.store.name,
+        error: error.message,
+        requests
+      };
+    }
   }
 
   /**
    * Clean up expired entries
    */
-  cleanup() {
-    const now = Date.now();
-    const keysToDelete = [];
-
-    for (const [key, entry] of this.store) {
-      if (now > entry.expiresAt) {
-        keysToDelete.push(key);
-      }
-    }
+  async cleanup() {
+    if (!this.store.cleanup) return;
 
-    keysToDelete.forEach(key => this.store.delete(key));
-    
-    if (keysToDelete.length > 0) {
-      console.log(`[Cache] Cleaned up ${keysToDelete.length} expired entries`);
+    const removed = await this.store.cleanup();
+    if (removed > 0) {
+      log.info('Cleaned up expired entries', { removed });
     }
   }
 }
@@ -103,7 +332,9 @@ const cache = new Cache();
 
 // Run cleanup every 5 minutes
 setInterval(() => {
-  cache.cleanup();
-}, 5 * 60 * 1000);
+  cache.cleanup().catch((error) => {
+    log.error('Cleanup failed', { error });
+  });
+}, 5 * 60 * 1000).unref();
 
 export default cache;
@@ -0,0 +1,232 @@
+/**
+ * Cache administration
+ * Lists and invalidates cache entries and pre-warms theatres and showtimes
+ * for a metro preset, so a new day's schedule or suspect data can be
+ * refreshed without a redeploy. Keys look like "showtimes:v2:1422:2/6/2026"
+ * ("raw:" in front for upstream responses cached as-is).
+ */
+import cache from './cache.js';
+import { getShowtimes } from './cineplex.js';
+import { findTheatres } from './rankings.js';
+import { MAX_CALENDAR_DAYS } from './calendar.js';
+import { getMetroAreas, METRO_AREAS } from './metros.js';
+import { mapWithConcurrency } from './concurrency.js';
+import { getTheatreTimeZone, upcomingDates } from './timeZones.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('cache-admin');
+
+// Entries listed per request
+export const DEFAULT_LIST_LIMIT = 100;
+export const MAX_LIST_LIMIT = 1000;
+
+const MAX_PREFIX_LENGTH = 200;
+
+const SHOWTIMES_CONCURRENCY = 5;
+
+const DATE_PATTERN = /^\d{1,2}\/\d{1,2}\/\d{4}$/;
+
+/**
+ * Cached entries with a key prefix, in key order
+ * @param {Object} options
+ * @param {string} [options.prefix] - Key prefix, e.g. "showtimes:" (default: all keys)
+ * @param {number} [options.limit] - Most entries to describe
+ * @returns {Promise<Object>} { prefix, total, entries }. Each entry has its key,
+ *   when it was stored and when it stops being fresh, servable and retained
+ *   (ISO times), and its state: fresh, revalidating (served while refreshing) or
+ *   stale (only served if Cineplex fails).
+ */
+export async function listEntries({ prefix = '', limit = DEFAULT_LIST_LIMIT } = {}) {
+  const keys = (await cache.keys(prefix)).sort();
+  const now = Date.now();
+
+  const entries = [];
+  for (const key of keys.slice(0, limit)) {
+    const entry = await cache.getEntry(key);
+    // Expired since it was listed
+    if (!entry) continue;
+
+    let state = 'stale';
+    if (now <= entry.softExpiresAt) state = 'fresh';
+    else if (now <= entry.hardExpiresAt) state = 'revalidating';
+
+    entries.push({
+      key,
+      state,
+      storedAt: new Date(entry.storedAt).toISOString(),
+      freshUntil: new Date(entry.softExpiresAt).toISOString(),
+      servableUntil: new Date(entry.hardExpiresAt).toISOString(),
+      retainedUntil: new Date(entry.expiresAt).toISOString()
+    });
+  }
+
+  return { prefix, total: keys.length, entries };
+}
+
+/**
+ * Validate a list request's query parameters
+ * @param {Object} query - { prefix, limit }
+ * @returns {Object} { prefix, limit }, or { error } with a message for the client
+ */
+export function validateListQuery({ prefix = '', limit }) {
+  if (typeof prefix !== 'string' || prefix.length > MAX_PREFIX_LENGTH) {
+    return { error: `prefix must be up to ${MAX_PREFIX_LENGTH} characters` };
+  }
+
+  const parsedLimit = limit === undefined ? DEFAULT_LIST_LIMIT : Number(limit);
+  if (!Number.isInteger(parsedLimit) || parsedLimit < 1 || parsedLimit > MAX_LIST_LIMIT) {
+    return { error: `limit must be a whole number from 1 to ${MAX_LIST_LIMIT}` };
+  }
+
+  return { prefix, limit: parsedLimit };
+}
+
+/**
+ * Validate an invalidation request: exactly one of key or prefix
+ * @param {Object} query - { key, prefix }
+ * @returns {Object} { key } or { prefix }, or { error } with a message for the client
+ */
+export function validateInvalidation({ key, prefix }) {
+  if ((key === undefined) === (prefix === undefined)) {
+    return { error: 'exactly one of key or prefix is required' };
+  }
+
+  const value = key ?? prefix;
+  if (typeof value !== 'string' || value.length === 0 || value.length > MAX_PREFIX_LENGTH) {
+    return { error: `${key !== undefined ? 'key' : 'prefix'} must be 1-${MAX_PREFIX_LENGTH} characters` };
+  }
+
+  return key !== undefined ? { key } : { prefix };
+}
+
+/**
+ * Remove one entry, or every entry with a key prefix. Removed entries are
+ * fetched from Cineplex on next use, with no stale copy to fall back on.
+ * @param {Object} target - { key } or { prefix } (from validateInvalidation)
+ * @returns {Promise<Object>} { deleted: number of entries removed }
+ */
+export async function invalidate({ key, prefix }) {
+  const keys = key !== undefined
+    ? (await cache.keys(key)).filter((candidate) => candidate === key)
+    : await cache.keys(prefix);
+
+  for (const candidate of keys) {
+    await cache.delete(candidate);
+  }
+
+  log.info('Invalidated entries', { key, prefix, deleted: keys.length });
+  return { deleted: keys.length };
+}
+
+/**
+ * Validate a warm request body
+ * @param {Object} input - { metro, date } or { metro, days }; neither date nor days means today
+ * @returns {Object} { metro, dates } or { metro, days }, or { error } with a message for the client
+ */
+export function validateWarmRequest(input) {
+  if (!input || typeof input !== 'object') {
+    return { error: 'body must be a JSON object' };
+  }
+
+  // Preset names match case-insensitively; the summary uses the preset's own spelling
+  const metro = typeof input.metro === 'string'
+    ? Object.keys(METRO_AREAS).find((name) => name.toLowerCase() === input.metro.trim().toLowerCase())
+    : undefined;
+  if (!metro) {
+    return { error: `metro must be one of: ${Object.keys(METRO_AREAS).join(', ')}` };
+  }
+
+  if (input.date !== undefined && input.days !== undefined) {
+    return { error: 'only one of date or days may be given' };
+  }
+  if (input.date !== undefined) {
+    if (typeof input.date !== 'string' || !DATE_PATTERN.test(input.date)) {
+      return { error: 'date must be in format M/D/YYYY' };
+    }
+    return { metro, dates: [input.date] };
+  }
+
+  const days = input.days ?? 1;
+  if (!Number.isInteger(days) || days < 1 || days > MAX_CALENDAR_DAYS) {
+    return { error: `days must be a whole number from 1 to ${MAX_CALENDAR_DAYS}` };
+  }
+  return { metro, days };
+}
+
+// Only one warm runs at a time, to keep within the outbound quota
+let warming = false;
+
+/**
+ * Load a metro preset's theatres and their showtimes for some dates through
+ * the cache. Entries that are still fresh are left as they are; invalidate
+ * them first to force a refetch.
+ * @param {Object} options
+ * @param {string} options.metro - Metro preset name (see metros.js)
+ * @param {Array<string>} [options.dates] - Dates as M/D/YYYY
+ * @param {number} [options.days] - Or: days starting today where each theatre is
+ * @returns {Promise<Object|null>} { metro, dates, theatres, failedAreas, showtimes: { requested,
+ *   failed }, durationMs }, or null if another warm is running
+ */
+export async function warm({ metro, dates, days }) {
+  const areas = getMetroAreas(metro);
+  if (!areas) {
+    throw new Error(`Unknown metro preset "${metro}"`);
+  }
+  if (warming) return null;
+
+  warming = true;
+  const startedAt = Date.now();
+  try {
+    const { theatres, failedAreas } = await findTheatres(areas);
+
+    // "Other Cities" spans several zones, so each theatre's days start from its own today
+    const lookups = theatres.flatMap((theatre) =>
+      (dates ?? upcomingDates(days, getTheatreTimeZone(theatre))).map((date) => ({ theatreId: theatre.id, date }))
+    );
+    let failed = 0;
+    await mapWithConcurrency(lookups, SHOWTIMES_CONCURRENCY, async ({ theatreId, date }) => {
+      try {
+        await getShowtimes(theatreId, date);
+      } catch (error) {
+        failed++;
+        log.warn('Failed to warm showtimes', { theatreId, date, error });
+      }
+    });
+
+    const summary = {
+      metro,
+      dates: dates ?? [...new Set(lookups.map(({ date }) => date))],
+      theatres: theatres.length,
+      failedAreas,
+      showtimes: { requested: lookups.length, failed },
+      durationMs: Date.now() - startedAt
+    };
+    log.info('Warmed cache', summary);
+    return summary;
+  } finally {
+    warming = false;
+  }
+}
+
+/**
+ * Warm each metro in turn, logging rather than throwing on failure. Used on startup.
+ * @param {Array<string>} metros - Metro preset names
+ * @param {number} days - Days to warm, starting today
+ * @returns {Promise<void>}
+ */
+export async function warmMetros(metros, days) {
+  for (const metro of metros) {
+    if (!getMetroAreas(metro)) {
+      log.warn('Unknown metro preset', { metro });
+      continue;
+    }
+    try {
+      const summary = await warm({ metro, days });
+      if (!summary) {
+        log.warn('Skipped warming, another warm is running', { metro });
+      }
+    } catch (error) {
+      log.error('Cache warm failed', { metro, error });
+    }
+  }
+}
@@ -0,0 +1,137 @@
+/**
+ * File-backed cache store
+ * Keeps entries in an in-memory LRU and writes a JSON snapshot to disk after
+ * changes, so a restarted process starts with a warm cache. Changes not yet
+ * written when the process exits are written synchronously on exit.
+ */
+import fs from 'fs';
+import path from 'path';
+import MemoryStore from './memoryStore.js';
+import { createLogger } from '../logger.js';
+
+const log = createLogger('cache');
+
+class FileStore extends MemoryStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.filePath - Snapshot file path
+   * @param {number} [options.maxEntries] - Maximum entries before evicting
+   * @param {number} [options.maxBytes] - Approximate maximum size in bytes
+   * @param {number} [options.flushDelayMs] - Delay before writing a snapshot after a change (default: 5s)
+   */
+  constructor({ filePath, flushDelayMs = 5000, ...limits }) {
+    super(limits);
+    this.name = 'file';
+    this.filePath = path.resolve(filePath);
+    this.flushDelayMs = flushDelayMs;
+    this.flushTimer = null;
+    this.dirty = false;
+
+    this.load();
+    process.once('exit', () => this.flushSync());
+  }
+
+  /**
+   * Read the snapshot file, skipping entries that have already expired
+   */
+  load() {
+    try {
+      if (!fs.existsSync(this.filePath)) return;
+
+      const now = Date.now();
+      const snapshot = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      let loaded = 0;
+
+      for (const [key, entry] of snapshot.entries || []) {
+        if (now <= entry.expiresAt) {
+          super.set(key, entry);
+          loaded++;
+        }
+      }
+
+      log.info('Loaded cache snapshot', { entries: loaded, file: this.filePath });
+    } catch (error) {
+      log.error('Failed to load cache snapshot', { file: this.filePath, error });
+    }
+  }
+
+  async set(key, entry) {
+    await super.set(key, entry);
+    this.scheduleFlush();
+  }
+
+  async delete(key) {
+    await super.delete(key);
+    this.scheduleFlush();
+  }
+
+  async clear() {
+    await super.clear();
+    this.scheduleFlush();
+  }
+
+  async cleanup() {
+    const removed = await super.cleanup();
+    if (removed > 0) {
+      this.scheduleFlush();
+    }
+    return removed;
+  }
+
+  scheduleFlush() {
+    this.dirty = true;
+    if (this.flushTimer) return;
+
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush();
+    }, this.flushDelayMs);
+    this.flushTimer.unref();
+  }
+
+  /**
+   * Write the current entries to disk
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    const tempPath = `${this.filePath}.tmp`;
+    this.dirty = false;
+
+    try {
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.promises.writeFile(tempPath, JSON.stringify({ entries: [...this.entries] }));
+      await fs.promises.rename(tempPath, this.filePath);
+    } catch (error) {
+      this.dirty = true;
+      log.error('Failed to write cache snapshot', { file: this.filePath, error });
+    }
+  }
+
+  /**
+   * Write unsaved changes to disk before the process exits. Only synchronous
+   * work runs in an exit handler.
+   */
+  flushSync() {
+    if (!this.dirty) return;
+    clearTimeout(this.flushTimer);
+    const tempPath = `${this.filePath}.tmp`;
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(tempPath, JSON.stringify({ entries: [...this.entries] }));
+      fs.renameSync(tempPath, this.filePath);
+      this.dirty = false;
+    } catch (error) {
+      log.error('Failed to write cache snapshot', { file: this.filePath, error });
+    }
+  }
+
+  async stats() {
+    return {
+      ...(await super.stats()),
+      filePath: this.filePath
+    };
+  }
+}
+
+export default FileStore;
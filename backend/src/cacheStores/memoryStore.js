@@ -0,0 +1,133 @@
+/**
+ * In-memory cache store with LRU eviction
+ * Bounded by entry count and an approximate byte size (JSON length of values)
+ */
+
+/**
+ * Approximate the memory footprint of a cache entry
+ * @param {string} key - Cache key
+ * @param {Object} entry - Cache entry
+ * @returns {number} Approximate size in bytes
+ */
+function estimateSize(key, entry) {
+  try {
+    return Buffer.byteLength(key) + Buffer.byteLength(JSON.stringify(entry.value) || '');
+  } catch {
+    return Buffer.byteLength(key);
+  }
+}
+
+class MemoryStore {
+  /**
+   * @param {Object} options
+   * @param {number} [options.maxEntries] - Maximum entries before evicting (default: 5000)
+   * @param {number} [options.maxBytes] - Approximate maximum size in bytes (default: 64 MB)
+   */
+  constructor({ maxEntries = 5000, maxBytes = 64 * 1024 * 1024 } = {}) {
+    this.name = 'memory';
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this.entries = new Map();
+    this.sizes = new Map();
+    this.totalBytes = 0;
+    this.evictions = 0;
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+
+    // Move to the most recently used position
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  async set(key, entry) {
+    this.remove(key);
+
+    const size = estimateSize(key, entry);
+    this.entries.set(key, entry);
+    this.sizes.set(key, size);
+    this.totalBytes += size;
+
+    this.evict();
+  }
+
+  async delete(key) {
+    this.remove(key);
+  }
+
+  async clear() {
+    this.entries.clear();
+    this.sizes.clear();
+    this.totalBytes = 0;
+  }
+
+  async keys(prefix = '') {
+    return [...this.entries.keys()].filter((key) => key.startsWith(prefix));
+  }
+
+  /**
+   * Drop expired entries
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async cleanup() {
+    const now = Date.now();
+    const keysToDelete = [];
+
+    for (const [key, entry] of this.entries) {
+      if (now > entry.expiresAt) {
+        keysToDelete.push(key);
+      }
+    }
+
+    keysToDelete.forEach((key) => this.remove(key));
+    return keysToDelete.length;
+  }
+
+  async stats() {
+    const now = Date.now();
+    let activeEntries = 0;
+    let expiredEntries = 0;
+
+    for (const [, entry] of this.entries) {
+      if (now > entry.expiresAt) {
+        expiredEntries++;
+      } else {
+        activeEntries++;
+      }
+    }
+
+    return {
+      totalEntries: this.entries.size,
+      activeEntries,
+      expiredEntries,
+      approximateBytes: this.totalBytes,
+      maxEntries: this.maxEntries,
+      maxBytes: this.maxBytes,
+      evictions: this.evictions
+    };
+  }
+
+  remove(key) {
+    if (!this.entries.has(key)) return;
+
+    this.totalBytes -= this.sizes.get(key);
+    this.entries.delete(key);
+    this.sizes.delete(key);
+  }
+
+  /**
+   * Evict least recently used entries until within limits
+   */
+  evict() {
+    while (this.entries.size > this.maxEntries || (this.totalBytes > this.maxBytes && this.entries.size > 1)) {
+      const oldestKey = this.entries.keys().next().value;
+      this.remove(oldestKey);
+      this.evictions++;
+    }
+  }
+}
+
+export default MemoryStore;
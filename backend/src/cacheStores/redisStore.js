@@ -0,0 +1,358 @@
+/**
+ * Redis-protocol cache store
+ * Talks RESP over a plain TCP/TLS socket, so any Redis-compatible server
+ * (Redis, Valkey, KeyDB, Upstash, ...) can hold a cache shared between
+ * instances. Expiry is delegated to the server with PX.
+ *
+ * Connecting and every command have a deadline, and after a failed connect
+ * commands fail immediately for a short while, so an unreachable server
+ * makes the cache behave as empty instead of stalling every request.
+ */
+import net from 'net';
+import tls from 'tls';
+
+const CRLF = '\r\n';
+
+const CONNECT_TIMEOUT_MS = 2000;
+const COMMAND_TIMEOUT_MS = 2000;
+
+// Commands fail fast for this long after a failed connect
+const RECONNECT_DELAY_MS = 5000;
+
+// Key counts for stats come from a SCAN of the keyspace, so they are refreshed at most this often
+const KEY_COUNT_MAX_AGE_MS = 5 * 60 * 1000;
+
+/**
+ * Escape glob characters so a key prefix matches literally in SCAN MATCH
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeGlob(value) {
+  return value.replace(/[*?[\]\\]/g, '\\$&');
+}
+
+/**
+ * Parse one RESP reply from a buffer
+ * @param {Buffer} buffer - Received data
+ * @param {number} offset - Position to start parsing at
+ * @returns {Object|null} { value, offset } or null if the reply is incomplete
+ */
+function parseReply(buffer, offset) {
+  const lineEnd = buffer.indexOf(CRLF, offset);
+  if (lineEnd === -1) return null;
+
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-':
+      return { value: new Error(line), offset: next };
+    case ':':
+      return { value: Number(line), offset: next };
+    case '$': {
+      const length = Number(line);
+      if (length === -1) return { value: null, offset: next };
+      if (buffer.length < next + length + 2) return null;
+      return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+      const count = Number(line);
+      if (count === -1) return { value: null, offset: next };
+
+      const items = [];
+      let position = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buffer, position);
+        if (!item) return null;
+        items.push(item.value);
+        position = item.offset;
+      }
+      return { value: items, offset: position };
+    }
+    default:
+      throw new Error(`Unexpected RESP reply type "${type}"`);
+  }
+}
+
+/**
+ * Encode a command as a RESP array of bulk strings
+ * @param {Array<string|number>} args - Command and arguments
+ * @returns {string} Encoded command
+ */
+function encodeCommand(args) {
+  let encoded = `*${args.length}${CRLF}`;
+  for (const arg of args) {
+    const value = String(arg);
+    encoded += `$${Buffer.byteLength(value)}${CRLF}${value}${CRLF}`;
+  }
+  return encoded;
+}
+
+/**
+ * Minimal pipelined Redis connection that reconnects on demand
+ */
+class RedisConnection {
+  /**
+   * @param {string} url - Server URL
+   * @param {Object} [options]
+   * @param {number} [options.connectTimeoutMs] - Deadline for connecting and authenticating
+   * @param {number} [options.commandTimeoutMs] - Deadline for each command's reply
+   */
+  constructor(url, { connectTimeoutMs = CONNECT_TIMEOUT_MS, commandTimeoutMs = COMMAND_TIMEOUT_MS } = {}) {
+    this.url = new URL(url);
+    this.connectTimeoutMs = connectTimeoutMs;
+    this.commandTimeoutMs = commandTimeoutMs;
+    this.socket = null;
+    this.connecting = null;
+    this.failedAt = 0;
+    this.lastError = null;
+    this.pending = [];
+    this.buffer = Buffer.alloc(0);
+  }
+
+  /**
+   * Connect, authenticate and select the database. Commands only use the
+   * socket once all of that has succeeded.
+   * @returns {Promise<void>}
+   */
+  connect() {
+    if (this.socket) return Promise.resolve();
+    if (this.connecting) return this.connecting;
+
+    if (Date.now() - this.failedAt < RECONNECT_DELAY_MS) {
+      return Promise.reject(new Error(`Redis unavailable: ${this.lastError?.message}`));
+    }
+
+    const { protocol, hostname, port, username, password, pathname } = this.url;
+    const secure = protocol === 'rediss:';
+    const options = { host: hostname, port: Number(port) || 6379 };
+
+    this.connecting = new Promise((resolve, reject) => {
+      const socket = secure
+        ? tls.connect({ ...options, servername: hostname })
+        : net.connect(options);
+
+      const fail = (error) => {
+        clearTimeout(deadline);
+        if (this.connecting) {
+          this.connecting = null;
+          this.failedAt = Date.now();
+          this.lastError = error;
+          reject(error);
+        }
+        socket.destroy();
+      };
+
+      const deadline = setTimeout(() => {
+        const error = new Error(`Redis connect timed out after ${this.connectTimeoutMs}ms`);
+        fail(error);
+        this.reset(error, socket);
+      }, this.connectTimeoutMs);
+
+      socket.once(secure ? 'secureConnect' : 'connect', async () => {
+        try {
+          if (password) {
+            const auth = username
+              ? ['AUTH', decodeURIComponent(username), decodeURIComponent(password)]
+              : ['AUTH', decodeURIComponent(password)];
+            await this.send(auth, socket);
+          }
+          const db = pathname.replace('/', '');
+          if (db) {
+            await this.send(['SELECT', db], socket);
+          }
+
+          clearTimeout(deadline);
+          // A timeout or error may have abandoned this socket meanwhile
+          if (!this.connecting) return;
+          this.socket = socket;
+          this.connecting = null;
+          resolve();
+        } catch (error) {
+          fail(error);
+        }
+      });
+
+      socket.on('data', (chunk) => this.onData(chunk, socket));
+
+      socket.on('error', (error) => {
+        fail(error);
+        this.reset(error, socket);
+      });
+
+      socket.on('close', () => this.reset(new Error('Redis connection closed'), socket));
+    });
+
+    return this.connecting;
+  }
+
+  onData(chunk, socket) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+
+    let offset = 0;
+    while (offset < this.buffer.length) {
+      let reply;
+      try {
+        reply = parseReply(this.buffer, offset);
+      } catch (error) {
+        // Replies can't be matched to requests past an unreadable one
+        this.reset(error, socket);
+        return;
+      }
+      if (!reply) break;
+
+      offset = reply.offset;
+      const request = this.pending.shift();
+      if (!request) continue;
+
+      clearTimeout(request.timer);
+      if (reply.value instanceof Error) {
+        request.reject(reply.value);
+      } else {
+        request.resolve(reply.value);
+      }
+    }
+
+    this.buffer = this.buffer.subarray(offset);
+  }
+
+  /**
+   * Drop the connection and fail every pending command
+   * @param {Error} error - Reason given to pending commands
+   * @param {net.Socket} [socket] - Socket the failure came from; ignored if it has since been replaced
+   */
+  reset(error, socket) {
+    if (socket && this.socket && socket !== this.socket) return;
+
+    socket?.destroy();
+    if (this.socket) {
+      this.socket.destroy();
+      this.socket = null;
+    }
+    this.buffer = Buffer.alloc(0);
+    this.pending.splice(0).forEach((request) => {
+      clearTimeout(request.timer);
+      request.reject(error);
+    });
+  }
+
+  /**
+   * Write a command and wait for its reply. A reply that doesn't arrive in
+   * time resets the connection, since later replies would be out of step.
+   * @param {Array<string|number>} args - Command and arguments
+   * @param {net.Socket} [socket] - Socket to write to (default: the connected one)
+   * @returns {Promise<any>} Reply value
+   */
+  send(args, socket = this.socket) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.reset(new Error(`Redis ${args[0]} timed out after ${this.commandTimeoutMs}ms`), socket);
+      }, this.commandTimeoutMs);
+
+      this.pending.push({ resolve, reject, timer });
+      socket.write(encodeCommand(args));
+    });
+  }
+
+  /**
+   * Run a command, connecting first if needed
+   * @param {Array<string|number>} args - Command and arguments
+   * @returns {Promise<any>} Reply value
+   */
+  async command(args) {
+    await this.connect();
+    return this.send(args);
+  }
+
+  get connected() {
+    return this.socket !== null;
+  }
+}
+
+class RedisStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - Server URL (redis:// or rediss://, optional user:password and /db)
+   * @param {string} [options.keyPrefix] - Namespace for cache keys (default: "crowdplex:")
+   */
+  constructor({ url, keyPrefix = 'crowdplex:', ...timeouts }) {
+    this.name = 'redis';
+    this.keyPrefix = keyPrefix;
+    this.connection = new RedisConnection(url, timeouts);
+    this.keyCount = null;
+    this.keyCountedAt = 0;
+    this.counting = null;
+  }
+
+  async get(key) {
+    const raw = await this.connection.command(['GET', this.keyPrefix + key]);
+    return raw === null ? undefined : JSON.parse(raw);
+  }
+
+  async set(key, entry) {
+    const ttlMs = Math.max(1, Math.ceil(entry.expiresAt - Date.now()));
+    await this.connection.command(['SET', this.keyPrefix + key, JSON.stringify(entry), 'PX', ttlMs]);
+  }
+
+  async delete(key) {
+    await this.connection.command(['DEL', this.keyPrefix + key]);
+  }
+
+  async clear() {
+    const keys = await this.keys();
+    for (let i = 0; i < keys.length; i += 100) {
+      const batch = keys.slice(i, i + 100).map((key) => this.keyPrefix + key);
+      await this.connection.command(['DEL', ...batch]);
+    }
+  }
+
+  async keys(prefix = '') {
+    const keys = [];
+    let cursor = '0';
+
+    do {
+      const [nextCursor, batch] = await this.connection.command([
+        'SCAN', cursor, 'MATCH', `${escapeGlob(this.keyPrefix + prefix)}*`, 'COUNT', 500
+      ]);
+      cursor = nextCursor;
+      batch.forEach((key) => keys.push(key.slice(this.keyPrefix.length)));
+    } while (cursor !== '0');
+
+    return keys;
+  }
+
+  /**
+   * Store statistics. Counting entries means scanning every key, so the
+   * count is refreshed in the background at most every few minutes and is
+   * null until the first scan finishes.
+   */
+  async stats() {
+    if (Date.now() - this.keyCountedAt >= KEY_COUNT_MAX_AGE_MS && !this.counting) {
+      this.counting = this.keys()
+        .then((keys) => {
+          this.keyCount = keys.length;
+          this.keyCountedAt = Date.now();
+        })
+        .catch(() => {
+          // Retried on a later call; the connection state is reported below
+        })
+        .finally(() => {
+          this.counting = null;
+        });
+    }
+
+    return {
+      totalEntries: this.keyCount,
+      activeEntries: this.keyCount,
+      expiredEntries: 0,
+      countedAt: this.keyCountedAt ? new Date(this.keyCountedAt).toISOString() : null,
+      connected: this.connection.connected,
+      server: `${this.connection.url.hostname}:${this.connection.url.port || 6379}`
+    };
+  }
+}
+
+export default RedisStore;
@@ -0,0 +1,264 @@
+/**
+ * iCalendar export
+ * Turns sessions into RFC 5545 events so showtimes can be added to a
+ * calendar, either once as a downloaded .ics file or as a feed calendar
+ * apps refresh (e.g. every upcoming session of a saved search).
+ *
+ * Session start times are theatre-local without an offset, so events use
+ * floating times: they show at the same clock time in any time zone, which
+ * is right for anyone going to the theatre.
+ */
+import { getShowtimes } from './cineplex.js';
+import { findTheatres } from './rankings.js';
+import { mapWithConcurrency } from './concurrency.js';
+import theatreDirectory from './theatreDirectory.js';
+import { getTheatreTimeZone, upcomingDates } from './timeZones.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('calendar');
+
+const SHOWTIMES_CONCURRENCY = 5;
+
+// Days a feed can cover, starting today
+export const MAX_CALENDAR_DAYS = 7;
+
+// Runtime assumed for events when Cineplex doesn't list one
+const DEFAULT_RUNTIME_MINUTES = 120;
+
+// How often calendar apps should refresh a subscribed feed
+const FEED_REFRESH_MINUTES = 60;
+
+// Content lines are folded at 75 octets (RFC 5545 section 3.1)
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escape a TEXT property value
+ */
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line into 75-octet chunks, without splitting characters
+ */
+function foldLine(line) {
+  if (Buffer.byteLength(line) <= MAX_LINE_OCTETS) return line;
+
+  const chunks = [];
+  let chunk = '';
+  let chunkOctets = 0;
+  for (const char of line) {
+    const octets = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts towards the limit
+    const limit = chunks.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (chunkOctets + octets > limit) {
+      chunks.push(chunk);
+      chunk = '';
+      chunkOctets = 0;
+    }
+    chunk += char;
+    chunkOctets += octets;
+  }
+  chunks.push(chunk);
+
+  return chunks.join('\r\n ');
+}
+
+/**
+ * Format a local start time (YYYY-MM-DDTHH:mm:ss) as a floating DATE-TIME
+ */
+function formatLocalTime(localTime) {
+  return localTime.replace(/[-:]/g, '').slice(0, 15);
+}
+
+/**
+ * Format a Date as a UTC DATE-TIME
+ */
+function formatUtcTime(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Add minutes to a local start time, keeping it local
+ * @param {string} localTime - YYYY-MM-DDTHH:mm:ss
+ * @param {number} minutes
+ * @returns {string} YYYY-MM-DDTHH:mm:ss
+ */
+function addMinutes(localTime, minutes) {
+  // Parsed as UTC only to do the arithmetic; no time zone is applied
+  const time = new Date(`${localTime.slice(0, 19)}Z`);
+  time.setUTCMinutes(time.getUTCMinutes() + minutes);
+  return time.toISOString().slice(0, 19);
+}
+
+/**
+ * Theatre location as one line: name, street address, city and postal code
+ */
+function formatLocation(theatre, session) {
+  if (!theatre) return session.theatreName;
+  return [theatre.name, theatre.address, theatre.city, theatre.postalCode].filter(Boolean).join(', ');
+}
+
+/**
+ * Content lines for one session
+ * @param {Session} session
+ * @param {Movie} movie - Movie shown
+ * @param {Theatre} [theatre] - Theatre details, if known
+ * @param {Date} now - Time the calendar is generated
+ * @returns {Array<string>} Unfolded content lines
+ */
+function renderEvent(session, movie, theatre, now) {
+  const runtimeKnown = Boolean(movie?.runtimeMinutes);
+  const runtimeMinutes = runtimeKnown ? movie.runtimeMinutes : DEFAULT_RUNTIME_MINUTES;
+
+  const details = [
+    session.auditorium && `Auditorium: ${session.auditorium}`,
+    session.experienceTypes.length > 0 && `Experience: ${session.experienceTypes.join(', ')}`,
+    runtimeKnown
+      ? `Runtime: ${runtimeMinutes} min`
+      : `Runtime unknown (end time assumes ${DEFAULT_RUNTIME_MINUTES} min)`,
+    session.seatMapUrl && `Seats: ${session.seatMapUrl}`
+  ].filter(Boolean);
+
+  const location = formatLocation(theatre, session);
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${session.theatreId}-${session.id}@crowdplex`,
+    `DTSTAMP:${formatUtcTime(now)}`,
+    `DTSTART:${formatLocalTime(session.startsAt)}`,
+    `DTEND:${formatLocalTime(addMinutes(session.startsAt, runtimeMinutes))}`,
+    `SUMMARY:${escapeText(movie?.name || 'Movie')}`,
+    `DESCRIPTION:${escapeText(details.join('\n'))}`
+  ];
+  if (location) {
+    lines.push(`LOCATION:${escapeText(location)}`);
+  }
+  if (theatre && theatre.latitude !== null && theatre.longitude !== null) {
+    lines.push(`GEO:${theatre.latitude};${theatre.longitude}`);
+  }
+  if (session.seatMapUrl) {
+    lines.push(`URL:${session.seatMapUrl}`);
+  }
+  lines.push('END:VEVENT');
+
+  return lines;
+}
+
+/**
+ * Render sessions as an iCalendar file
+ * @param {Object} options
+ * @param {string} options.name - Calendar name shown by calendar apps
+ * @param {Array<Session>} options.sessions - Sessions to include
+ * @param {Map<number, Movie>} options.movies - Movies by ID
+ * @param {boolean} [options.feed] - Ask calendar apps to refresh it hourly
+ * @param {Date} [options.now] - Time the calendar is generated
+ * @returns {string} iCalendar text with CRLF line endings
+ */
+export function renderCalendar({ name, sessions, movies, feed = false, now = new Date() }) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Crowdplex//Showtimes//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`
+  ];
+  if (feed) {
+    lines.push(`REFRESH-INTERVAL;VALUE=DURATION:PT${FEED_REFRESH_MINUTES}M`);
+    lines.push(`X-PUBLISHED-TTL:PT${FEED_REFRESH_MINUTES}M`);
+  }
+
+  sessions.forEach((session) => {
+    lines.push(...renderEvent(session, movies.get(session.movieId), theatreDirectory.get(session.theatreId), now));
+  });
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Load the sessions to export and render them as a calendar
+ * @param {Object} options
+ * @param {Array<number>} [options.theatreIds] - Theatres to include
+ * @param {Array<Object>} [options.areas] - Or: areas with latitude, longitude and radius
+ * @param {Array<string>} [options.dates] - Dates as M/D/YYYY
+ * @param {number} [options.days] - Or: days starting today where each theatre is
+ * @param {number} [options.movieId] - Only this movie
+ * @param {string} [options.showtimeId] - Only this session
+ * @param {boolean} [options.feed] - Rendered as a subscribable feed
+ * @param {LookupOptions} [options.lookupOptions] - Passed to each Cineplex lookup (see cineplex.js)
+ * @returns {Promise<Object>} { calendar, events, stale }
+ */
+export async function buildCalendar({
+  theatreIds,
+  areas,
+  dates,
+  days,
+  movieId,
+  showtimeId,
+  feed = false,
+  lookupOptions = {}
+}) {
+  let staleResults = 0;
+  let lastError = null;
+
+  if (areas) {
+    const found = await findTheatres(areas, undefined, lookupOptions);
+    theatreIds = found.theatres.map((theatre) => theatre.id);
+    if (found.staleAsOf !== null) staleResults++;
+  }
+
+  // Addresses and locations come from the directory; load any this process hasn't seen
+  await Promise.all(theatreIds.map((theatreId) => theatreDirectory.lookup(theatreId)));
+
+  // A theatre's "today" is its own; during a Vancouver evening Toronto is already on tomorrow
+  const lookups = theatreIds.flatMap((theatreId) =>
+    (dates ?? upcomingDates(days, getTheatreTimeZone(theatreDirectory.get(theatreId))))
+      .map((date) => ({ theatreId, date }))
+  );
+  const schedules = await mapWithConcurrency(lookups, SHOWTIMES_CONCURRENCY, async ({ theatreId, date }) => {
+    try {
+      const result = await getShowtimes(theatreId, date, lookupOptions);
+      if (result.stale) staleResults++;
+      return result.data;
+    } catch (error) {
+      log.error('Failed to fetch showtimes', { theatreId, date, error });
+      lastError = error;
+      return null;
+    }
+  });
+
+  // An empty calendar would look like there are no showtimes
+  if (lookups.length > 0 && schedules.every((schedule) => schedule === null)) {
+    throw lastError;
+  }
+
+  const movies = new Map();
+  schedules.filter(Boolean).forEach((schedule) => schedule.movies.forEach((movie) => movies.set(movie.id, movie)));
+
+  const sessions = schedules
+    .filter(Boolean)
+    .flatMap((schedule) => schedule.sessions)
+    .filter((session) => movieId === undefined || session.movieId === movieId)
+    .filter((session) => showtimeId === undefined || session.id === showtimeId)
+    .sort((a, b) => a.startsAt.localeCompare(b.startsAt));
+
+  const movieName = movieId !== undefined ? movies.get(movieId)?.name : null;
+  const theatreName = theatreIds.length === 1
+    ? theatreDirectory.get(theatreIds[0])?.name || sessions[0]?.theatreName
+    : null;
+  const name = [movieName, theatreName].filter(Boolean).join(' at ') || 'Crowdplex showtimes';
+
+  return {
+    calendar: renderCalendar({ name, sessions, movies, feed }),
+    events: sessions.length,
+    stale: staleResults > 0
+  };
+}
+
+export default buildCalendar;
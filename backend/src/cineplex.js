@@ -0,0 +1,264 @@
+/**
+ * Cineplex data access
+ * Fetches theatres, showtimes, movie details and seat availability from the Cineplex APIs
+ * through the shared cache, so the proxy routes and server-side aggregation
+ * reuse the same cache keys. Responses are normalized (see schema.js)
+ * before caching; pass { raw: true } to get the upstream response as-is.
+ */
+import cache from './cache.js';
+import historyStore from './historyStore.js';
+import alerts from './alerts.js';
+import theatreDirectory from './theatreDirectory.js';
+import { cineplexGet, getCineplexUrls, UpstreamError } from './upstream.js';
+import {
+  SCHEMA_VERSION,
+  SchemaError,
+  normalizeTheatres,
+  normalizeSchedule,
+  normalizeMovieDetails,
+  normalizeSeatAvailability
+} from './schema.js';
+import { buildSeatMap } from './seatMap.js';
+import { getConfig } from './config.js';
+
+/**
+ * Cache policy for a lookup type: fresh for ttlMs, served while refreshing
+ * until hardTtlMs, and kept as a fallback for upstream failures until
+ * staleIfErrorMs. Defaults range from 1 minute fresh for seats to 1 hour
+ * for movie details (see config.js).
+ * @param {string} type - theatres, showtimes, movies or seats
+ * @returns {Object} { ttlMs, hardTtlMs, staleIfErrorMs }
+ */
+function cachePolicy(type) {
+  const { ttlSeconds, hardTtlSeconds, staleIfErrorSeconds } = getConfig().cache.policies[type];
+  return { ttlMs: ttlSeconds * 1000, hardTtlMs: hardTtlSeconds * 1000, staleIfErrorMs: staleIfErrorSeconds * 1000 };
+}
+
+/**
+ * Result of a cached Cineplex lookup
+ * @typedef {Object} CachedResult
+ * @property {any} data - Response data
+ * @property {boolean} stale - Whether upstream failed and the last good value was served
+ * @property {number} storedAt - When the data was fetched from Cineplex (ms)
+ */
+
+/**
+ * Read through the cache and wrap the result
+ * @returns {Promise<CachedResult>}
+ */
+async function cached(cacheKey, policy, fetcher) {
+  const { value, stale, storedAt } = await cache.getOrFetch(cacheKey, policy, fetcher);
+  return { data: value, stale, storedAt };
+}
+
+/**
+ * Options shared by the lookups below
+ * @typedef {Object} LookupOptions
+ * @property {boolean} [raw] - Return the upstream response instead of normalized data
+ * @property {Function} [onUpstreamFetch] - Called before each request that goes to
+ *   Cineplex (not on cache hits), e.g. to charge a request budget
+ */
+
+/**
+ * Cache a lookup either raw or normalized. Normalized keys carry the
+ * schema version so entries in a persistent store from an older schema
+ * are never read back.
+ * @param {string} type - Key type (theatres, showtimes, movies, seats)
+ * @param {string} id - Key identity
+ * @param {Object} policy - Cache policy
+ * @param {Function} fetchRaw - Fetches the upstream response
+ * @param {Function} normalize - Maps the upstream response to the schema
+ * @param {LookupOptions} options
+ * @returns {Promise<CachedResult>}
+ */
+function cachedLookup(type, id, policy, fetchRaw, normalize, { raw = false, onUpstreamFetch } = {}) {
+  const fetchUpstream = () => {
+    onUpstreamFetch?.();
+    return fetchRaw();
+  };
+
+  if (raw) {
+    return cached(`raw:${type}:${id}`, policy, fetchUpstream);
+  }
+
+  return cached(`${type}:v${SCHEMA_VERSION}:${id}`, policy, async () => {
+    const data = await fetchUpstream();
+    try {
+      return normalize(data);
+    } catch (error) {
+      if (error instanceof SchemaError) {
+        // Unusable upstream data is an upstream failure (and so may fall back to stale data)
+        throw new UpstreamError(502, `Cineplex ${type} response was malformed: ${error.message}`);
+      }
+      throw error;
+    }
+  });
+}
+
+/**
+ * Fetch nearby theatres
+ * @param {Object} params - Location parameters
+ * @param {string|number} params.latitude - Decimal latitude
+ * @param {string|number} params.longitude - Decimal longitude
+ * @param {string|number} params.accuracyKm - Search radius in km
+ * @param {string} params.city, params.region, params.regionCode, params.country, params.postalCode - Location context
+ * @param {LookupOptions} [options]
+ * @returns {Promise<CachedResult>} { theatres: Array<Theatre>, dropped }
+ */
+export async function getTheatres({
+  latitude,
+  longitude,
+  accuracyKm = '5',
+  city = '',
+  region = '',
+  regionCode = '',
+  country = 'Canada',
+  postalCode = ''
+}, options = {}) {
+  const id = `${parseFloat(latitude)}:${parseFloat(longitude)}:${accuracyKm}`;
+
+  const fetchRaw = () => {
+    // Build query parameters (Cineplex API expects both camelCase and PascalCase)
+    const params = new URLSearchParams({
+      language: getConfig().cineplex.language,
+      latitude,
+      longitude,
+      accuracyKm,
+      Latitude: latitude,
+      Longitude: longitude,
+      AccuracyKm: accuracyKm,
+      Country: country
+    });
+
+    // Add optional parameters if provided
+    if (city) {
+      params.append('city', city);
+      params.append('City', city);
+    }
+    if (region) {
+      params.append('region', region);
+      params.append('Region', region);
+    }
+    if (regionCode) {
+      params.append('regionCode', regionCode);
+      params.append('RegionCode', regionCode);
+    }
+    if (postalCode) {
+      params.append('postalCode', postalCode);
+      params.append('PostalCode', postalCode);
+    }
+
+    return cineplexGet('theatrical', `${getCineplexUrls().theatrical}/theatres?${params}`, 'theatres');
+  };
+
+  const normalize = (data) => normalizeTheatres(data);
+
+  const result = await cachedLookup('theatres', id, cachePolicy('theatres'), fetchRaw, normalize, options);
+  if (!options.raw) {
+    // Alerts, calendar exports and the poller look theatres up by ID. Cached
+    // results count too, since this process may not have fetched them itself.
+    theatreDirectory.remember(result.data.theatres);
+  }
+  return result;
+}
+
+/**
+ * Fetch showtimes for a theatre and date
+ * @param {string|number} theatreId - Theatre ID
+ * @param {string} date - Date in format M/D/YYYY
+ * @param {LookupOptions} [options]
+ * @returns {Promise<CachedResult>} Schedule
+ */
+export async function getShowtimes(theatreId, date, options = {}) {
+  const fetchRaw = () => {
+    const params = new URLSearchParams({
+      language: getConfig().cineplex.language,
+      locationId: theatreId,
+      date: date
+    });
+
+    return cineplexGet('theatrical', `${getCineplexUrls().theatrical}/showtimes?${params}`, 'showtimes');
+  };
+
+  const normalize = (data) => {
+    const schedule = normalizeSchedule(data, { theatreId, date });
+    // Seat readings only carry IDs; alerts look up the movie and start time here
+    alerts.rememberSchedule(schedule);
+    return schedule;
+  };
+
+  return cachedLookup('showtimes', `${theatreId}:${date}`, cachePolicy('showtimes'), fetchRaw, normalize, options);
+}
+
+/**
+ * Fetch details for a movie (synopsis, genres, rating, cast, trailer)
+ * @param {string|number} movieId - Movie ID
+ * @param {LookupOptions} [options]
+ * @returns {Promise<CachedResult>} MovieDetails
+ */
+export async function getMovieDetails(movieId, options = {}) {
+  const fetchRaw = () => {
+    const params = new URLSearchParams({ language: getConfig().cineplex.language });
+    return cineplexGet('theatrical', `${getCineplexUrls().theatrical}/movies/${movieId}?${params}`, 'movie details');
+  };
+
+  const normalize = (data) => normalizeMovieDetails(data, { movieId });
+
+  return cachedLookup('movies', String(movieId), cachePolicy('movies'), fetchRaw, normalize, options);
+}
+
+/**
+ * Fetch seat availability for a showtime, with occupancy totals
+ * @param {string|number} theatreId - Theatre ID
+ * @param {string|number} showtimeId - Vista session ID
+ * @param {LookupOptions} [options]
+ * @returns {Promise<CachedResult>} SeatAvailability
+ */
+export async function getSeatAvailability(theatreId, showtimeId, options = {}) {
+  const fetchRaw = () => {
+    const url = `${getCineplexUrls().ticketing}/theatre/${theatreId}/showtime/${showtimeId}/seat-availability`;
+    return cineplexGet('ticketing', url, 'seat availability');
+  };
+
+  const normalize = (data) => {
+    const availability = normalizeSeatAvailability(data, { theatreId, sessionId: showtimeId });
+
+    const reading = {
+      theatreId,
+      showtimeId,
+      totalSeats: availability.totalSeats,
+      sellableSeats: availability.sellableSeats,
+      occupiedSeats: availability.occupiedSeats,
+      availableSeats: availability.availableSeats,
+      occupancyPercentage: availability.occupancyPercentage
+    };
+
+    // Keep every fresh reading for the occupancy timeline, and check it against alerts
+    historyStore.record(reading);
+    alerts.evaluate(reading);
+
+    return availability;
+  };
+
+  return cachedLookup('seats', `${theatreId}:${showtimeId}`, cachePolicy('seats'), fetchRaw, normalize, options);
+}
+
+/**
+ * Fetch the seat layout for a showtime. Shares the seat availability cache
+ * entry, so viewing the map doesn't cost an extra Cineplex call.
+ * @param {string|number} theatreId - Theatre ID
+ * @param {string|number} showtimeId - Vista session ID
+ * @returns {Promise<CachedResult>} SeatMap
+ */
+export async function getSeatMap(theatreId, showtimeId) {
+  const result = await getSeatAvailability(theatreId, showtimeId);
+  return { ...result, data: buildSeatMap(result.data) };
+}
+
+export default {
+  getTheatres,
+  getShowtimes,
+  getMovieDetails,
+  getSeatAvailability,
+  getSeatMap
+};
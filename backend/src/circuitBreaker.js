@@ -0,0 +1,104 @@
+/**
+ * Circuit breaker
+ * Stops sending requests to an upstream that keeps failing, then lets a
+ * single trial request through after a cooldown to check if it recovered
+ *
+ * States:
+ * - closed: requests flow normally
+ * - open: requests are rejected until the cooldown ends
+ * - half-open: one trial request is allowed; success closes, failure reopens
+ */
+import { createLogger } from './logger.js';
+
+const log = createLogger('circuit');
+
+export class CircuitBreaker {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Name used in logs and stats
+   * @param {number} [options.failureThreshold] - Consecutive failures before opening (default: 5)
+   * @param {number} [options.cooldownMs] - Time to stay open before a trial request (default: 30s)
+   */
+  constructor({ name, failureThreshold = 5, cooldownMs = 30 * 1000 }) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+    this.totals = { successes: 0, failures: 0, rejected: 0, opened: 0 };
+  }
+
+  /**
+   * Check whether a request may be sent now. Callers that get true must
+   * report the outcome with recordSuccess or recordFailure.
+   * @returns {boolean}
+   */
+  allowRequest() {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.cooldownMs) {
+      this.state = 'half-open';
+      log.info('Half-open, sending trial request', { circuit: this.name });
+    }
+
+    if (this.state === 'closed') {
+      return true;
+    }
+
+    if (this.state === 'half-open' && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+
+    this.totals.rejected++;
+    return false;
+  }
+
+  recordSuccess() {
+    this.totals.successes++;
+    this.consecutiveFailures = 0;
+    this.trialInFlight = false;
+
+    if (this.state !== 'closed') {
+      log.info('Closed', { circuit: this.name });
+      this.state = 'closed';
+      this.openedAt = null;
+    }
+  }
+
+  recordFailure() {
+    this.totals.failures++;
+    this.consecutiveFailures++;
+    this.trialInFlight = false;
+
+    if (this.state === 'half-open' || this.consecutiveFailures >= this.failureThreshold) {
+      if (this.state !== 'open') {
+        this.totals.opened++;
+        log.warn('Opened', { circuit: this.name, cooldownSeconds: this.cooldownMs / 1000, consecutiveFailures: this.consecutiveFailures });
+      }
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * Milliseconds until an open circuit allows a trial request
+   * @returns {number}
+   */
+  getRetryAfterMs() {
+    if (this.state !== 'open') return 0;
+    return Math.max(0, this.openedAt + this.cooldownMs - Date.now());
+  }
+
+  getStats() {
+    return {
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAfterMs: this.getRetryAfterMs(),
+      ...this.totals
+    };
+  }
+}
+
+export default CircuitBreaker;
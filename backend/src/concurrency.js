@@ -0,0 +1,33 @@
+/**
+ * Concurrency helpers for fanning out upstream requests
+ */
+
+/**
+ * Map over items with a bounded number of concurrent async calls.
+ * Results keep the order of the input array.
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Maximum concurrent calls
+ * @param {Function} fn - Async mapper called with (item, index)
+ * @returns {Promise<Array>} Mapped results
+ */
+export async function mapWithConcurrency(items, concurrency, fn) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  async function worker() {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  const workers = Array(Math.min(concurrency, items.length))
+    .fill(0)
+    .map(() => worker());
+
+  await Promise.all(workers);
+
+  return results;
+}
+
+export default mapWithConcurrency;
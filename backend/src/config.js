@@ -0,0 +1,407 @@
+/**
+ * Configuration
+ * Every setting the backend reads, in one place. Each value comes from its
+ * environment variable if set, else from the optional JSON config file named
+ * by CONFIG_FILE, else from the default below. Values are type- and
+ * range-checked when the config is first loaded, and every problem is
+ * reported in one ConfigError so a bad deploy fails at startup.
+ *
+ * The config file mirrors the shape of the loaded config, e.g.
+ * { "cache": { "store": "redis" }, "rateLimits": { "rankings": 10 } }.
+ */
+import fs from 'fs';
+import path from 'path';
+
+// Cineplex API base URLs
+export const CINEPLEX_BASE_URL = 'https://apis.cineplex.com/prod/cpx/theatrical/api/v1';
+export const CINEPLEX_TICKETING_URL = 'https://apis.cineplex.com/prod/ticketing/api/v1';
+
+// Where Cineplex responses come from (see upstream.js)
+export const CINEPLEX_MODES = ['live', 'record', 'replay', 'mock'];
+
+// Shown instead of secret values in the effective config
+const REDACTED = '[redacted]';
+
+/**
+ * Cache policy settings for one lookup type, in seconds
+ */
+function cachePolicySettings(type, { ttl, hardTtl, staleIfError }) {
+  const prefix = `CACHE_${type.toUpperCase()}`;
+  return [
+    { path: `cache.policies.${type}.ttlSeconds`, env: `${prefix}_TTL_SECONDS`, type: 'integer', default: ttl, min: 1, max: 86400 },
+    { path: `cache.policies.${type}.hardTtlSeconds`, env: `${prefix}_HARD_TTL_SECONDS`, type: 'integer', default: hardTtl, min: 1, max: 7 * 86400 },
+    { path: `cache.policies.${type}.staleIfErrorSeconds`, env: `${prefix}_STALE_IF_ERROR_SECONDS`, type: 'integer', default: staleIfError, min: 1, max: 30 * 86400 }
+  ];
+}
+
+/**
+ * Requests per client per minute for one rate-limited route group
+ */
+function rateLimit(name, env, maxRequests) {
+  return { path: `rateLimits.${name}`, env, type: 'integer', default: maxRequests, min: 1, max: 100000 };
+}
+
+/**
+ * Settings: where each value lives in the config, the environment variable
+ * that sets it, its type and default, and any range or allowed values.
+ * Secrets are redacted from the effective config; `secret: 'credentials'`
+ * only hides the user and password of a URL.
+ */
+const SETTINGS = [
+  { path: 'server.port', env: 'BACKEND_PORT', type: 'integer', default: 5174, min: 1, max: 65535 },
+  { path: 'server.frontendUrl', env: 'FRONTEND_URL', type: 'url', default: 'http://localhost:5173' },
+  {
+    path: 'server.corsOrigins',
+    env: 'CORS_ORIGINS',
+    type: 'list',
+    items: 'url',
+    default: [
+      'http://localhost:5173',
+      'http://localhost:5174',
+      'https://crowdplex.vercel.app',
+      // Preview deployment of the main branch
+      'https://crowdplex-git-main-0xt4nj1r0s-projects.vercel.app'
+    ]
+  },
+  { path: 'server.corsAllowVercelPreviews', env: 'CORS_ALLOW_VERCEL_PREVIEWS', type: 'boolean', default: false },
+  { path: 'server.trustProxy', env: 'TRUST_PROXY', type: 'string', default: null },
+
+  { path: 'admin.token', env: 'ADMIN_TOKEN', type: 'string', default: null, secret: true },
+
+  { path: 'cineplex.mode', env: 'CINEPLEX_MODE', type: 'enum', values: CINEPLEX_MODES, default: 'live' },
+  { path: 'cineplex.apiKey', env: 'CINEPLEX_API_KEY', type: 'string', default: null, secret: true },
+  { path: 'cineplex.baseUrl', env: 'CINEPLEX_BASE_URL', type: 'url', default: CINEPLEX_BASE_URL },
+  { path: 'cineplex.ticketingUrl', env: 'CINEPLEX_TICKETING_URL', type: 'url', default: CINEPLEX_TICKETING_URL },
+  { path: 'cineplex.language', env: 'CINEPLEX_LANGUAGE', type: 'enum', values: ['en', 'fr'], default: 'en' },
+  // Zone of theatres whose postal code (and so province) isn't known; see timeZones.js
+  { path: 'cineplex.timeZone', env: 'THEATRE_TIME_ZONE', type: 'timeZone', default: 'America/Toronto' },
+  { path: 'cineplex.fixturesDir', env: 'CINEPLEX_FIXTURES_DIR', type: 'string', default: 'fixtures/cineplex' },
+  { path: 'cineplex.mockSeed', env: 'CINEPLEX_MOCK_SEED', type: 'string', default: '42' },
+
+  { path: 'upstream.timeoutMs', env: 'UPSTREAM_TIMEOUT_MS', type: 'integer', default: 8000, min: 100, max: 60000 },
+  { path: 'upstream.retries', env: 'UPSTREAM_RETRIES', type: 'integer', default: 2, min: 0, max: 5 },
+  { path: 'upstream.quotaPerMinute', env: 'UPSTREAM_QUOTA_PER_MINUTE', type: 'integer', default: 1000, min: 1, max: 100000 },
+
+  { path: 'cache.store', env: 'CACHE_STORE', type: 'enum', values: ['memory', 'file', 'redis'], default: 'memory' },
+  { path: 'cache.maxEntries', env: 'CACHE_MAX_ENTRIES', type: 'integer', default: 5000, min: 1, max: 10000000 },
+  { path: 'cache.maxMb', env: 'CACHE_MAX_MB', type: 'number', default: 64, min: 1, max: 65536 },
+  { path: 'cache.filePath', env: 'CACHE_FILE_PATH', type: 'string', default: 'data/cache.json' },
+  {
+    path: 'cache.redisUrl',
+    env: 'CACHE_REDIS_URL',
+    type: 'url',
+    protocols: ['redis:', 'rediss:'],
+    default: 'redis://localhost:6379',
+    secret: 'credentials'
+  },
+  // Metro presets whose theatres and showtimes are loaded when the server starts
+  { path: 'cache.warmMetros', env: 'CACHE_WARM_METROS', type: 'list', default: [] },
+  { path: 'cache.warmDays', env: 'CACHE_WARM_DAYS', type: 'integer', default: 1, min: 1, max: 7 },
+  ...cachePolicySettings('theatres', { ttl: 5 * 60, hardTtl: 30 * 60, staleIfError: 24 * 3600 }),
+  ...cachePolicySettings('showtimes', { ttl: 2 * 60, hardTtl: 10 * 60, staleIfError: 6 * 3600 }),
+  ...cachePolicySettings('movies', { ttl: 3600, hardTtl: 6 * 3600, staleIfError: 7 * 86400 }),
+  ...cachePolicySettings('seats', { ttl: 60, hardTtl: 3 * 60, staleIfError: 3600 }),
+
+  rateLimit('theatres', 'RATE_LIMIT_THEATRES', 60),
+  rateLimit('showtimes', 'RATE_LIMIT_SHOWTIMES', 120),
+  rateLimit('seats', 'RATE_LIMIT_SEATS', 300),
+  rateLimit('seatsBatch', 'RATE_LIMIT_SEATS_BATCH', 20),
+  rateLimit('movies', 'RATE_LIMIT_MOVIES', 120),
+  rateLimit('history', 'RATE_LIMIT_HISTORY', 120),
+  rateLimit('rankings', 'RATE_LIMIT_RANKINGS', 20),
+  // Cineplex lookups (cache misses) a client's rankings, seat batches and calendars
+  // may cause together, well under UPSTREAM_QUOTA_PER_MINUTE
+  rateLimit('lookups', 'RATE_LIMIT_LOOKUPS', 300),
+  rateLimit('calendar', 'RATE_LIMIT_CALENDAR', 30),
+
+  { path: 'history.path', env: 'HISTORY_DB_PATH', type: 'string', default: 'data/occupancy-history.ndjson' },
+  { path: 'history.retentionDays', env: 'HISTORY_RETENTION_DAYS', type: 'number', default: 14, min: 1, max: 365 },
+  { path: 'history.maxShowtimes', env: 'HISTORY_MAX_SHOWTIMES', type: 'integer', default: 5000, min: 1, max: 1000000 },
+
+  { path: 'alerts.path', env: 'ALERTS_DB_PATH', type: 'string', default: 'data/alerts.json' },
+  // Grants access to the alert routes only, so the frontend never needs the admin token
+  { path: 'alerts.token', env: 'ALERTS_TOKEN', type: 'string', default: null, secret: true },
+  // Webhook URLs often carry a token in the path
+  { path: 'alerts.webhookUrl', env: 'ALERTS_WEBHOOK_URL', type: 'url', default: null, secret: true },
+  { path: 'alerts.webhookSecret', env: 'ALERTS_WEBHOOK_SECRET', type: 'string', default: null, secret: true },
+
+  { path: 'poller.enabled', env: 'POLLER_ENABLED', type: 'boolean', default: false },
+  { path: 'poller.theatreIds', env: 'POLLER_THEATRES', type: 'list', default: [] },
+  { path: 'poller.metros', env: 'POLLER_METROS', type: 'list', default: [] },
+  { path: 'poller.daysAhead', env: 'POLLER_DAYS_AHEAD', type: 'integer', default: 3, min: 1, max: 14 },
+  { path: 'poller.intervalMinutes', env: 'POLLER_INTERVAL_MINUTES', type: 'number', default: 15, min: 1, max: 1440 },
+  { path: 'poller.requestBudget', env: 'POLLER_REQUEST_BUDGET', type: 'integer', default: 600, min: 1, max: 100000 },
+
+  { path: 'logging.level', env: 'LOG_LEVEL', type: 'enum', values: ['debug', 'info', 'warn', 'error'], default: 'info' },
+  { path: 'logging.format', env: 'LOG_FORMAT', type: 'enum', values: ['json', 'text'], default: 'json' }
+];
+
+const BOOLEANS = { true: true, false: false, 1: true, 0: false, yes: true, no: false };
+
+/**
+ * Error raised when the configuration is invalid
+ */
+export class ConfigError extends Error {
+  /**
+   * @param {Array<string>} problems - One message per invalid setting
+   */
+  constructor(problems) {
+    super(`Invalid configuration:\n${problems.map((problem) => `  - ${problem}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+function isTimeZone(value) {
+  try {
+    new Intl.DateTimeFormat('en', { timeZone: value });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function isUrl(value, protocols = ['http:', 'https:']) {
+  try {
+    return protocols.includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * What a setting accepts, for error messages
+ */
+function describeExpected(setting) {
+  switch (setting.type) {
+    case 'integer':
+    case 'number': {
+      const kind = setting.type === 'integer' ? 'an integer' : 'a number';
+      return setting.min !== undefined ? `${kind} from ${setting.min} to ${setting.max}` : kind;
+    }
+    case 'boolean':
+      return 'true or false';
+    case 'enum':
+      return `one of ${setting.values.join(', ')}`;
+    case 'url':
+      return `a ${(setting.protocols || ['http:', 'https:']).map((protocol) => protocol.slice(0, -1)).join(' or ')} URL`;
+    case 'list':
+      return setting.items === 'url' ? 'a list of http or https URLs' : 'a list of strings';
+    case 'timeZone':
+      return 'an IANA time zone such as America/Toronto';
+    default:
+      return 'a string';
+  }
+}
+
+/**
+ * Turn an environment variable's text into the setting's type. Values that
+ * can't be converted are returned as-is and fail validation.
+ */
+function parseEnvValue(setting, text) {
+  switch (setting.type) {
+    case 'integer':
+    case 'number':
+      return text.trim() === '' ? text : Number(text);
+    case 'boolean':
+      return BOOLEANS[text.trim().toLowerCase()] ?? text;
+    case 'enum':
+      return text.trim().toLowerCase();
+    case 'list':
+      return text.split(',').map((item) => item.trim()).filter(Boolean);
+    default:
+      return text;
+  }
+}
+
+/**
+ * Whether a value has the setting's type and is within its range
+ */
+function isValid(setting, value) {
+  switch (setting.type) {
+    case 'integer':
+    case 'number': {
+      const typeOk = setting.type === 'integer' ? Number.isInteger(value) : Number.isFinite(value);
+      return typeOk && (setting.min === undefined || (value >= setting.min && value <= setting.max));
+    }
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'enum':
+      return setting.values.includes(value);
+    case 'url':
+      return typeof value === 'string' && isUrl(value, setting.protocols);
+    case 'list':
+      return Array.isArray(value) && value.every((item) =>
+        typeof item === 'string' && (setting.items !== 'url' || isUrl(item)));
+    case 'timeZone':
+      return typeof value === 'string' && isTimeZone(value);
+    default:
+      return typeof value === 'string';
+  }
+}
+
+function getPath(object, dottedPath) {
+  return dottedPath.split('.').reduce((value, key) => (value !== null && typeof value === 'object' ? value[key] : undefined), object);
+}
+
+function setPath(object, dottedPath, value) {
+  const keys = dottedPath.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => (node[key] ??= {}), object);
+  parent[last] = value;
+}
+
+/**
+ * Dotted paths of every leaf value in a config file, to catch unknown settings
+ */
+function leafPaths(object, prefix = '') {
+  return Object.entries(object).flatMap(([key, value]) => {
+    const dottedPath = prefix ? `${prefix}.${key}` : key;
+    return value !== null && typeof value === 'object' && !Array.isArray(value)
+      ? leafPaths(value, dottedPath)
+      : [dottedPath];
+  });
+}
+
+/**
+ * Read the JSON config file
+ * @returns {Object} Parsed file contents
+ * @throws {ConfigError} If the file can't be read or isn't a JSON object
+ */
+function readConfigFile(filePath) {
+  let contents;
+  try {
+    contents = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new ConfigError([`CONFIG_FILE ${filePath} could not be read: ${error.message}`]);
+  }
+  if (contents === null || typeof contents !== 'object' || Array.isArray(contents)) {
+    throw new ConfigError([`CONFIG_FILE ${filePath} must contain a JSON object`]);
+  }
+  return contents;
+}
+
+/**
+ * Checks that involve more than one setting
+ */
+function crossCheck(config) {
+  return Object.entries(config.cache.policies).flatMap(([type, policy]) => {
+    const prefix = `CACHE_${type.toUpperCase()}`;
+    const problems = [];
+    if (policy.hardTtlSeconds < policy.ttlSeconds) {
+      problems.push(`${prefix}_HARD_TTL_SECONDS (${policy.hardTtlSeconds}) must be at least ${prefix}_TTL_SECONDS (${policy.ttlSeconds})`);
+    }
+    if (policy.staleIfErrorSeconds < policy.hardTtlSeconds) {
+      problems.push(`${prefix}_STALE_IF_ERROR_SECONDS (${policy.staleIfErrorSeconds}) must be at least ${prefix}_HARD_TTL_SECONDS (${policy.hardTtlSeconds})`);
+    }
+    return problems;
+  });
+}
+
+/**
+ * Load and validate the configuration
+ * @param {Object} [env] - Environment variables. Empty values count as unset.
+ * @returns {Object} { config, sources, configFile }: the config, where each
+ *   setting came from (env, file or default) by dotted path, and the config file used
+ * @throws {ConfigError} Listing every invalid setting
+ */
+export function loadConfig(env = process.env) {
+  const configFile = env.CONFIG_FILE ? path.resolve(env.CONFIG_FILE) : null;
+  const fileValues = configFile ? readConfigFile(configFile) : {};
+
+  const problems = [];
+  const known = new Set(SETTINGS.map((setting) => setting.path));
+  leafPaths(fileValues)
+    .filter((dottedPath) => !known.has(dottedPath))
+    .forEach((dottedPath) => problems.push(`${dottedPath} in ${configFile} is not a known setting`));
+
+  const config = {};
+  const sources = {};
+  for (const setting of SETTINGS) {
+    const envText = env[setting.env];
+    const fileValue = getPath(fileValues, setting.path);
+
+    let value = setting.default;
+    let source = 'default';
+    if (envText !== undefined && envText !== '') {
+      value = parseEnvValue(setting, envText);
+      source = 'env';
+    } else if (fileValue !== undefined && fileValue !== null) {
+      value = setting.type === 'enum' && typeof fileValue === 'string' ? fileValue.toLowerCase() : fileValue;
+      source = 'file';
+    }
+
+    if (source !== 'default' && !isValid(setting, value)) {
+      const name = source === 'env' ? setting.env : `${setting.path} in ${configFile}`;
+      const got = setting.secret ? '' : ` (got ${JSON.stringify(source === 'env' ? envText : fileValue)})`;
+      problems.push(`${name} must be ${describeExpected(setting)}${got}`);
+    }
+
+    setPath(config, setting.path, value);
+    sources[setting.path] = source;
+  }
+
+  if (problems.length === 0) {
+    problems.push(...crossCheck(config));
+  }
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+
+  return { config, sources, configFile };
+}
+
+/**
+ * Hide the user and password in a URL
+ */
+function redactCredentials(value) {
+  const url = new URL(value);
+  if (!url.username && !url.password) return value;
+  url.username = '';
+  url.password = '';
+  return url.toString().replace('//', `//${REDACTED}@`);
+}
+
+/**
+ * The config with secrets redacted, safe to show to admins
+ * @param {Object} config - Loaded config
+ * @returns {Object} Copy of the config; set secrets read "[redacted]", unset ones null
+ */
+export function redactConfig(config) {
+  const redacted = structuredClone(config);
+  SETTINGS.filter((setting) => setting.secret).forEach((setting) => {
+    const value = getPath(config, setting.path);
+    if (value === null) return;
+    setPath(redacted, setting.path, setting.secret === 'credentials' ? redactCredentials(value) : REDACTED);
+  });
+  return redacted;
+}
+
+let loaded = null;
+
+/**
+ * The configuration, loaded from process.env on first use so dotenv has loaded
+ * @returns {Object} Config (see SETTINGS for the shape)
+ * @throws {ConfigError} If it is invalid
+ */
+export function getConfig() {
+  if (!loaded) {
+    loaded = loadConfig();
+  }
+  return loaded.config;
+}
+
+/**
+ * The effective configuration for the admin route
+ * @returns {Object} { configFile, config (redacted), sources }
+ */
+export function describeConfig() {
+  getConfig();
+  return {
+    configFile: loaded.configFile,
+    config: redactConfig(loaded.config),
+    sources: loaded.sources
+  };
+}
+
+export default getConfig;
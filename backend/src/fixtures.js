@@ -0,0 +1,86 @@
+/**
+ * Recorded Cineplex responses
+ * In record mode every successful upstream response is saved as a JSON
+ * fixture; replay mode serves those fixtures instead of calling Cineplex.
+ * Fixtures are keyed by a request signature (a hash of the request URL,
+ * which never contains the API key), so the same request always maps to
+ * the same file.
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { createLogger } from './logger.js';
+import { getConfig } from './config.js';
+
+const log = createLogger('fixtures');
+
+/**
+ * Fixture directory
+ * @returns {string}
+ */
+function getFixturesDir() {
+  return getConfig().cineplex.fixturesDir;
+}
+
+/**
+ * Request signature used as the fixture file name
+ * @param {string} label - Endpoint name (theatres, showtimes, seats, ...)
+ * @param {string} url - Full request URL
+ * @returns {string} e.g. "showtimes-3f2a9c1b7e4d5a60"
+ */
+export function requestSignature(label, url) {
+  const { pathname, searchParams } = new URL(url);
+  // Parameter order shouldn't change the signature
+  searchParams.sort();
+  const digest = crypto.createHash('sha256').update(`${pathname}?${searchParams}`).digest('hex');
+  return `${label.replace(/\W+/g, '-')}-${digest.slice(0, 16)}`;
+}
+
+function fixturePath(label, url) {
+  return path.join(getFixturesDir(), `${requestSignature(label, url)}.json`);
+}
+
+/**
+ * Save an upstream response as a fixture
+ * @param {string} label - Endpoint name
+ * @param {string} url - Full request URL
+ * @param {any} body - Parsed response body
+ */
+export async function recordFixture(label, url, body) {
+  const file = fixturePath(label, url);
+  const fixture = {
+    url,
+    recordedAt: new Date().toISOString(),
+    body
+  };
+
+  try {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, JSON.stringify(fixture, null, 2));
+    log.info('Recorded fixture', { file: path.basename(file) });
+  } catch (error) {
+    log.error('Failed to record fixture', { file, error });
+  }
+}
+
+/**
+ * Load a recorded response
+ * @param {string} label - Endpoint name
+ * @param {string} url - Full request URL
+ * @returns {Promise<any|undefined>} Recorded body, or undefined if none was recorded
+ */
+export async function loadFixture(label, url) {
+  const file = fixturePath(label, url);
+
+  try {
+    const fixture = JSON.parse(await fs.readFile(file, 'utf8'));
+    log.debug('Replayed fixture', { file: path.basename(file) });
+    return fixture.body;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      log.warn('No fixture for request', { endpoint: label, url });
+      return undefined;
+    }
+    throw error;
+  }
+}
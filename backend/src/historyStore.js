@@ -0,0 +1,242 @@
+/**
+ * Persistent occupancy history store
+ * Appends every computed seat-availability reading to an on-disk
+ * newline-delimited JSON log and keeps an in-memory index of snapshot
+ * timelines keyed by theatre and showtime.
+ *
+ * Snapshots older than HISTORY_RETENTION_DAYS are pruned, and at most
+ * HISTORY_MAX_SHOWTIMES timelines are kept (the least recently updated go
+ * first). Once pruned lines make up half the log, it is compacted by
+ * rewriting it with only the snapshots still kept.
+ */
+import fs from 'fs';
+import path from 'path';
+import { createLogger } from './logger.js';
+import { getConfig } from './config.js';
+
+const log = createLogger('history');
+
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Don't bother compacting a log with fewer dead lines than this
+const MIN_COMPACT_LINES = 1000;
+
+class HistoryStore {
+  /**
+   * @param {string} [filePath] - Log file path (default: HISTORY_DB_PATH env var)
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.timelines = new Map();
+    this.snapshotCount = 0;
+    // Lines in the log file, including ones no longer kept in memory
+    this.fileLines = 0;
+    this.loaded = false;
+    this.pendingWrite = Promise.resolve();
+  }
+
+  /**
+   * Read the log file into memory. Called lazily so the config has loaded.
+   */
+  load() {
+    if (this.loaded) return;
+    this.loaded = true;
+
+    const { path: historyPath, retentionDays, maxShowtimes } = getConfig().history;
+    this.filePath = path.resolve(this.filePath || historyPath);
+    this.retentionMs = retentionDays * 24 * 60 * 60 * 1000;
+    this.maxShowtimes = maxShowtimes;
+
+    let lines = [];
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      if (fs.existsSync(this.filePath)) {
+        lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+      }
+    } catch (error) {
+      log.error('Failed to open history log', { file: this.filePath, error });
+      return;
+    }
+
+    const cutoff = Date.now() - this.retentionMs;
+    let skipped = 0;
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      this.fileLines++;
+      try {
+        const snapshot = JSON.parse(line);
+        if (snapshot.timestamp >= cutoff) {
+          this.index(snapshot);
+        }
+      } catch {
+        skipped++;
+      }
+    }
+
+    log.info('Loaded history', { snapshots: this.snapshotCount, showtimes: this.timelines.size });
+    if (skipped > 0) {
+      log.warn('Skipped unreadable lines', { skipped, file: this.filePath });
+    }
+    this.compactIfNeeded();
+
+    setInterval(() => this.prune(), PRUNE_INTERVAL_MS).unref();
+  }
+
+  /**
+   * Add a snapshot to the in-memory timelines, evicting the least recently
+   * updated timeline when there are too many
+   * @param {Object} snapshot - Occupancy snapshot
+   */
+  index(snapshot) {
+    const key = `${snapshot.theatreId}:${snapshot.showtimeId}`;
+    const timeline = this.timelines.get(key) || [];
+    // Re-inserted so the map stays ordered by last update
+    this.timelines.delete(key);
+    this.timelines.set(key, timeline);
+    timeline.push(snapshot);
+    this.snapshotCount++;
+
+    while (this.timelines.size > this.maxShowtimes) {
+      const [oldestKey, oldest] = this.timelines.entries().next().value;
+      this.timelines.delete(oldestKey);
+      this.snapshotCount -= oldest.length;
+    }
+  }
+
+  /**
+   * Record an occupancy reading
+   * @param {Object} reading
+   * @param {string|number} reading.theatreId - Theatre ID
+   * @param {string|number} reading.showtimeId - Vista session ID
+   * @param {number} reading.totalSeats - Total seats in the auditorium
+   * @param {number} [reading.sellableSeats] - Seats that can be sold
+   * @param {number} reading.occupiedSeats - Seats sold
+   * @param {number} reading.availableSeats - Seats still available
+   * @param {number} reading.occupancyPercentage - Occupancy (0-100)
+   * @param {number} [reading.timestamp] - Reading time in ms (default: now)
+   * @returns {Object} Stored snapshot
+   */
+  record({ theatreId, showtimeId, totalSeats, sellableSeats, occupiedSeats, availableSeats, occupancyPercentage, timestamp = Date.now() }) {
+    this.load();
+
+    const snapshot = {
+      theatreId: String(theatreId),
+      showtimeId: String(showtimeId),
+      timestamp,
+      totalSeats,
+      sellableSeats,
+      occupiedSeats,
+      availableSeats,
+      occupancyPercentage
+    };
+
+    this.index(snapshot);
+    this.fileLines++;
+
+    // Serialize appends so lines never interleave
+    const line = `${JSON.stringify(snapshot)}\n`;
+    this.pendingWrite = this.pendingWrite
+      .then(() => fs.promises.appendFile(this.filePath, line))
+      .catch((error) => {
+        log.error('Failed to write snapshot', { file: this.filePath, error });
+      });
+
+    return snapshot;
+  }
+
+  /**
+   * Drop snapshots older than the retention period, and compact the log if
+   * enough of it is no longer kept
+   * @param {number} [now] - Current time in ms
+   */
+  prune(now = Date.now()) {
+    this.load();
+
+    const cutoff = now - this.retentionMs;
+    let pruned = 0;
+    for (const [key, timeline] of this.timelines) {
+      const kept = timeline.filter((snapshot) => snapshot.timestamp >= cutoff);
+      pruned += timeline.length - kept.length;
+      if (kept.length === 0) {
+        this.timelines.delete(key);
+      } else if (kept.length < timeline.length) {
+        this.timelines.set(key, kept);
+      }
+    }
+    this.snapshotCount -= pruned;
+
+    if (pruned > 0) {
+      log.info('Pruned history', { pruned, snapshots: this.snapshotCount, showtimes: this.timelines.size });
+    }
+    this.compactIfNeeded();
+  }
+
+  /**
+   * Rewrite the log with only the snapshots kept in memory once at least
+   * half of its lines are pruned or evicted ones
+   */
+  compactIfNeeded() {
+    const deadLines = this.fileLines - this.snapshotCount;
+    if (deadLines < MIN_COMPACT_LINES || deadLines < this.snapshotCount) return;
+
+    // Taken now, so snapshots recorded while this waits are appended after it, not written twice
+    const contents = [...this.timelines.values()]
+      .flat()
+      .map((snapshot) => `${JSON.stringify(snapshot)}\n`)
+      .join('');
+    const tempPath = `${this.filePath}.tmp`;
+    this.fileLines = this.snapshotCount;
+
+    this.pendingWrite = this.pendingWrite
+      .then(async () => {
+        await fs.promises.writeFile(tempPath, contents);
+        await fs.promises.rename(tempPath, this.filePath);
+        log.info('Compacted history log', { file: this.filePath, removedLines: deadLines });
+      })
+      .catch((error) => {
+        log.error('Failed to compact history log', { file: this.filePath, error });
+      });
+  }
+
+  /**
+   * Get the snapshot timeline for a showtime, oldest first
+   * @param {string|number} theatreId - Theatre ID
+   * @param {string|number} showtimeId - Vista session ID
+   * @returns {Array<Object>} Snapshots
+   */
+  getTimeline(theatreId, showtimeId) {
+    this.load();
+
+    const timeline = this.timelines.get(`${theatreId}:${showtimeId}`) || [];
+    return [...timeline].sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  /**
+   * Get history statistics
+   * @returns {Object} History stats
+   */
+  getStats() {
+    this.load();
+
+    return {
+      showtimes: this.timelines.size,
+      snapshots: this.snapshotCount,
+      fileLines: this.fileLines,
+      retentionDays: this.retentionMs / (24 * 60 * 60 * 1000),
+      maxShowtimes: this.maxShowtimes
+    };
+  }
+
+  /**
+   * Wait for queued writes to reach the disk
+   * @returns {Promise<void>}
+   */
+  flush() {
+    return this.pendingWrite;
+  }
+}
+
+// Create singleton instance
+const historyStore = new HistoryStore();
+
+export default historyStore;
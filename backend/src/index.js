@@ -1,22 +1,66 @@
 import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
 import cache from './cache.js';
-import { createRateLimiter } from './rateLimiter.js';
+import historyStore from './historyStore.js';
+import { createRateLimiter, parseTrustProxy } from './rateLimiter.js';
+import { getTheatres, getShowtimes, getMovieDetails, getSeatAvailability, getSeatMap } from './cineplex.js';
+import { SCHEMA_VERSION, ID_PATTERN } from './schema.js';
+import { UpstreamError, getUpstreamStats, getCineplexMode, usesLiveCineplex } from './upstream.js';
+import { buildRankings, parseAreas, MAX_AREAS, MAX_DATES, SORT_MODES } from './rankings.js';
+import { getSeatAvailabilityBatch, parseBatchItems, MAX_BATCH_ITEMS } from './seatBatch.js';
+import { computeSessionVelocity } from './velocity.js';
+import { createPoller, readPollerConfig } from './poller.js';
+import { requireAdmin, requireAlertsAccess } from './adminAuth.js';
+import { getConfig, describeConfig } from './config.js';
+import {
+  listEntries,
+  validateListQuery,
+  validateInvalidation,
+  invalidate,
+  validateWarmRequest,
+  warm,
+  warmMetros
+} from './cacheAdmin.js';
+import alerts, { validateAlert, MAX_ALERTS } from './alerts.js';
+import { renderReport, REPORT_FORMATS } from './reports.js';
+import { buildCalendar, MAX_CALENDAR_DAYS } from './calendar.js';
+import { createLogger, runWithContext } from './logger.js';
+import { renderMetrics, httpRequests, httpDuration } from './metrics.js';
 
 // Load environment variables
 dotenv.config();
 
+// Validated on load; an invalid setting throws a ConfigError listing every problem
+const config = getConfig();
+
 const app = express();
-const PORT = process.env.BACKEND_PORT || 5174;
-const API_KEY = process.env.CINEPLEX_API_KEY;
-const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
-
-// Validate API key
-if (!API_KEY) {
-  console.error('ERROR: CINEPLEX_API_KEY is not set in .env file');
-  console.error('Please copy .env.example to .env and add your API key');
-  process.exit(1);
+const PORT = config.server.port;
+const API_KEY = config.cineplex.apiKey;
+const log = createLogger('http');
+const CINEPLEX_MODE = getCineplexMode();
+
+// Compared as origins, so configured URLs may have a trailing slash
+const ALLOWED_ORIGINS = new Set(
+  [...config.server.corsOrigins, config.server.frontendUrl].map((url) => new URL(url).origin)
+);
+
+// Preview deployments of the crowdplex project under our Vercel team, e.g.
+// crowdplex-git-my-branch-0xt4nj1r0s-projects.vercel.app. Any account can
+// name a project crowdplex-*, so the team slug is part of the match.
+const VERCEL_PREVIEW_ORIGIN = /^https:\/\/crowdplex-[a-z0-9-]+-0xt4nj1r0s-projects\.vercel\.app$/;
+
+/**
+ * Error raised for requests from an origin CORS doesn't allow
+ */
+class OriginNotAllowedError extends Error {
+  constructor(origin) {
+    super(`Origin ${origin} is not allowed`);
+    this.name = 'OriginNotAllowedError';
+  }
 }
 
 // CORS configuration - only allow your frontend
@@ -24,58 +68,199 @@ const corsOptions = {
   origin: function (origin, callback) {
     // Allow requests with no origin (like mobile apps or Postman)
     if (!origin) return callback(null, true);
-    
-    const allowedOrigins = [
-      'http://localhost:5173',
-      'http://localhost:5174',
-      FRONTEND_URL,
-      'https://crowdplex.vercel.app',
-      'https://crowdplex-git-main-0xt4nj1r0s-projects.vercel.app', // Vercel preview deployments
-    ];
-    
-    if (allowedOrigins.includes(origin) || origin.endsWith('.vercel.app')) {
+
+    // Vercel preview deployments get a new subdomain per branch
+    if (ALLOWED_ORIGINS.has(origin) || (config.server.corsAllowVercelPreviews && VERCEL_PREVIEW_ORIGIN.test(origin))) {
       callback(null, true);
     } else {
-      callback(new Error('Not allowed by CORS'));
+      callback(new OriginNotAllowedError(origin));
     }
   },
   credentials: true,
+  exposedHeaders: ['Age', 'X-Cache-Stale', 'X-Request-Id'],
   optionsSuccessStatus: 200
 };
 
+// Behind a proxy (Vercel, nginx) req.ip must come from X-Forwarded-For
+app.set('trust proxy', parseTrustProxy(config.server.trustProxy));
+
+// Incoming request IDs are reused if they look like IDs, so a caller's
+// trace can be followed through our logs
+const REQUEST_ID_PATTERN = /^[\w.-]{1,64}$/;
+
+/**
+ * Request context, access log and request metrics. Everything logged while
+ * handling a request carries its ID, and the access log line reports how
+ * much of the time was spent waiting on Cineplex.
+ */
+app.use((req, res, next) => {
+  const incomingId = req.get('X-Request-Id');
+  const requestId = incomingId && REQUEST_ID_PATTERN.test(incomingId) ? incomingId : crypto.randomUUID();
+  const context = { requestId, upstreamCalls: 0, upstreamMs: 0 };
+  const startedAt = process.hrtime.bigint();
+
+  res.set('X-Request-Id', requestId);
+
+  res.on('finish', () => {
+    const durationMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+    // Label by route pattern, not path, to keep metric cardinality bounded
+    const route = req.route ? req.route.path : 'unmatched';
+
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    httpDuration.observe({ method: req.method, route }, durationMs / 1000);
+
+    runWithContext(context, () => {
+      log.info('Request completed', {
+        method: req.method,
+        path: req.path,
+        route,
+        status: res.statusCode,
+        durationMs: Math.round(durationMs),
+        upstreamCalls: context.upstreamCalls,
+        upstreamMs: context.upstreamMs
+      });
+    });
+  });
+
+  runWithContext(context, next);
+});
+
 // Middleware
 app.use(cors(corsOptions));
 app.use(express.json());
 
-// Apply rate limiting to API routes
-const rateLimiter = createRateLimiter({
-  maxRequests: 500,
-  windowMs: 60 * 1000 // 500 requests per minute
-});
+// Per-route rate limits per client per minute (see config.js). Rankings and
+// seat batches fan out into hundreds of Cineplex calls, so they get the
+// smallest budgets.
+const RATE_LIMITS = Object.fromEntries(
+  Object.entries(config.rateLimits).map(([name, maxRequests]) => [name, { maxRequests, windowMs: 60 * 1000 }])
+);
 
-// Cineplex API base configuration
-const CINEPLEX_BASE_URL = 'https://apis.cineplex.com/prod/cpx/theatrical/api/v1';
-const CINEPLEX_HEADERS = {
-  'Accept': '*/*',
-  'Accept-Language': 'en',
-  'Ocp-Apim-Subscription-Key': API_KEY,
-  'Referer': 'https://www.cineplex.com/',
-  'Origin': 'https://www.cineplex.com',
-  'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36'
-};
+// Rankings, seat batches and calendars are also charged for each Cineplex lookup they
+// make, so a client can't turn 20 requests a minute into thousands of
+// upstream calls. Cached lookups are free; a client is turned away while the
+// budget is overdrawn.
+Object.assign(RATE_LIMITS.lookups, { cost: 0, unit: 'Cineplex lookups', headerPrefix: 'X-RateLimit-Lookups' });
+
+const rateLimiters = Object.fromEntries(
+  Object.entries(RATE_LIMITS).map(([name, limit]) => [name, createRateLimiter({ name, ...limit })])
+);
+
+/**
+ * Lookup options that charge each Cineplex call a request makes to the
+ * client's lookup budget
+ * @param {Object} req - Express request
+ * @returns {LookupOptions}
+ */
+function chargeLookups(req) {
+  return { onUpstreamFetch: () => rateLimiters.lookups.charge(req, 1) };
+}
+
+// Background occupancy poller (started with the server when POLLER_ENABLED=true)
+const poller = createPoller(readPollerConfig());
+
+// Dates are passed to Cineplex as M/D/YYYY
+const DATE_PATTERN = /^\d{1,2}\/\d{1,2}\/\d{4}$/;
+
+/**
+ * Parse a comma-separated list of M/D/YYYY dates
+ * @param {string} param - Raw query parameter
+ * @param {number} maxDates - Most dates allowed
+ * @returns {Array<string>|null} Distinct dates in the order given, or null if invalid
+ */
+function parseDateList(param, maxDates) {
+  if (typeof param !== 'string') return null;
+
+  const dates = [...new Set(param.split(',').map((date) => date.trim()).filter(Boolean))];
+  if (dates.length === 0 || dates.length > maxDates || !dates.every((date) => DATE_PATTERN.test(date))) {
+    return null;
+  }
+  return dates;
+}
 
 /**
  * Health check endpoint
  */
-app.get('/health', (req, res) => {
-  const cacheStats = cache.getStats();
+app.get('/health', async (req, res) => {
+  const cacheStats = await cache.getStats();
   res.json({
     status: 'ok',
     timestamp: new Date().toISOString(),
-    cache: cacheStats
+    cache: cacheStats,
+    upstream: { mode: CINEPLEX_MODE, ...getUpstreamStats() },
+    history: historyStore.getStats(),
+    alerts: alerts.getStats()
   });
 });
 
+/**
+ * Prometheus metrics endpoint
+ */
+app.get('/metrics', (req, res) => {
+  res.type('text/plain; version=0.0.4').send(renderMetrics());
+});
+
+/**
+ * Whether the client asked for the upstream response as-is (?raw=1)
+ * @param {Object} req - Express request
+ * @returns {boolean}
+ */
+function wantsRaw(req) {
+  return req.query.raw === '1' || req.query.raw === 'true';
+}
+
+/**
+ * Send a cached Cineplex result. The Age header reports how old the data is;
+ * data served after an upstream failure is marked with X-Cache-Stale and,
+ * for object responses, a stale/asOf field in the body. Normalized data is
+ * tagged with the schema version.
+ * @param {Object} res - Express response
+ * @param {Object} result - Cached result ({ data, stale, storedAt })
+ * @param {Object} [options]
+ * @param {boolean} [options.raw] - Data is an upstream response, not normalized
+ */
+function sendCached(res, { data, stale, storedAt }, { raw = false } = {}) {
+  res.set('Age', String(Math.max(0, Math.floor((Date.now() - storedAt) / 1000))));
+
+  const body = raw ? data : { schemaVersion: SCHEMA_VERSION, ...data };
+
+  if (!stale) {
+    return res.json(body);
+  }
+
+  res.set('X-Cache-Stale', 'true');
+  if (Array.isArray(body)) {
+    return res.json(body);
+  }
+  res.json({ ...body, stale: true, asOf: new Date(storedAt).toISOString() });
+}
+
+/**
+ * Send an error response for a failed upstream request
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown while fetching
+ * @param {string} route - Route path used in log lines
+ * @param {string} message - Message returned for unexpected errors
+ */
+function sendRouteError(res, error, route, message) {
+  if (error instanceof UpstreamError) {
+    if (error.retryAfterMs) {
+      res.set('Retry-After', String(Math.ceil(error.retryAfterMs / 1000)));
+    }
+    return res.status(error.status).json({
+      error: 'Upstream API Error',
+      message: error.message,
+      status: error.status
+    });
+  }
+
+  log.error('Route failed', { route, error, stack: error.stack });
+  res.status(500).json({
+    error: 'Internal Server Error',
+    message
+  });
+}
+
 /**
  * GET /api/theatres
  * Fetch nearby theatres based on location
@@ -85,19 +270,11 @@ app.get('/health', (req, res) => {
  * - longitude (required): Decimal longitude
  * - accuracyKm (optional): Search radius in km (default: 5)
  * - city, region, regionCode, country, postalCode (optional): Location context
+ * - raw (optional): 1 to return the Cineplex response instead of normalized theatres
  */
-app.get('/api/theatres', rateLimiter, async (req, res) => {
+app.get('/api/theatres', rateLimiters.theatres, async (req, res) => {
   try {
-    const {
-      latitude,
-      longitude,
-      accuracyKm = '5',
-      city = '',
-      region = '',
-      regionCode = '',
-      country = 'Canada',
-      postalCode = ''
-    } = req.query;
+    const { latitude, longitude } = req.query;
 
     // Validate required parameters
     if (!latitude || !longitude) {
@@ -117,78 +294,11 @@ app.get('/api/theatres', rateLimiter, async (req, res) => {
       });
     }
 
-    // Create cache key
-    const cacheKey = `theatres:${lat}:${lon}:${accuracyKm}`;
-    
-    // Check cache
-    const cachedData = cache.get(cacheKey);
-    if (cachedData) {
-      console.log(`[Cache HIT] ${cacheKey}`);
-      return res.json(cachedData);
-    }
-
-    console.log(`[Cache MISS] ${cacheKey}`);
-
-    // Build query parameters (Cineplex API expects both camelCase and PascalCase)
-    const params = new URLSearchParams({
-      language: 'en',
-      latitude,
-      longitude,
-      accuracyKm,
-      Latitude: latitude,
-      Longitude: longitude,
-      AccuracyKm: accuracyKm,
-      Country: country
-    });
-
-    // Add optional parameters if provided
-    if (city) {
-      params.append('city', city);
-      params.append('City', city);
-    }
-    if (region) {
-      params.append('region', region);
-      params.append('Region', region);
-    }
-    if (regionCode) {
-      params.append('regionCode', regionCode);
-      params.append('RegionCode', regionCode);
-    }
-    if (postalCode) {
-      params.append('postalCode', postalCode);
-      params.append('PostalCode', postalCode);
-    }
-
-    const url = `${CINEPLEX_BASE_URL}/theatres?${params}`;
-    console.log(`[API] Fetching theatres from Cineplex API`);
-
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: CINEPLEX_HEADERS
-    });
-
-    if (!response.ok) {
-      console.error(`[API Error] Cineplex theatres API returned ${response.status}`);
-      return res.status(response.status).json({
-        error: 'Upstream API Error',
-        message: `Cineplex API returned status ${response.status}`,
-        status: response.status
-      });
-    }
-
-    const data = await response.json();
-
-    // Cache for 5 minutes (theatres don't change frequently)
-    cache.set(cacheKey, data, 5 * 60 * 1000);
-
-    res.json(data);
+    const raw = wantsRaw(req);
+    sendCached(res, await getTheatres(req.query, { raw }), { raw });
 
   } catch (error) {
-    console.error('[Error] /api/theatres:', error);
-    res.status(500).json({
-      error: 'Internal Server Error',
-      message: 'Failed to fetch theatres'
-    });
+    sendRouteError(res, error, '/api/theatres', 'Failed to fetch theatres');
   }
 });
 
@@ -199,8 +309,9 @@ app.get('/api/theatres', rateLimiter, async (req, res) => {
  * Query parameters:
  * - theatreId (required): Theatre ID from theatres endpoint
  * - date (required): Date in format M/D/YYYY (e.g., 2/1/2026)
+ * - raw (optional): 1 to return the Cineplex response instead of a normalized schedule
  */
-app.get('/api/showtimes', rateLimiter, async (req, res) => {
+app.get('/api/showtimes', rateLimiters.showtimes, async (req, res) => {
   try {
     const { theatreId, date } = req.query;
 
@@ -221,67 +332,126 @@ app.get('/api/showtimes', rateLimiter, async (req, res) => {
       });
     }
 
-    // Create cache key
-    const cacheKey = `showtimes:${theatreId}:${date}`;
-    
-    // Check cache
-    const cachedData = cache.get(cacheKey);
-    if (cachedData) {
-      console.log(`[Cache HIT] ${cacheKey}`);
-      return res.json(cachedData);
+    const raw = wantsRaw(req);
+    sendCached(res, await getShowtimes(theatreId, date, { raw }), { raw });
+
+  } catch (error) {
+    sendRouteError(res, error, '/api/showtimes', 'Failed to fetch showtimes');
+  }
+});
+
+/**
+ * GET /api/movies/:id
+ * Fetch details for a movie: synopsis, genres, rating, cast, release date and trailer
+ * 
+ * Query parameters:
+ * - raw (optional): 1 to return the Cineplex response instead of normalized details
+ */
+app.get('/api/movies/:id', rateLimiters.movies, async (req, res) => {
+  try {
+    if (!ID_PATTERN.test(req.params.id)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'movie ID must be numeric'
+      });
     }
 
-    console.log(`[Cache MISS] ${cacheKey}`);
+    const raw = wantsRaw(req);
+    sendCached(res, await getMovieDetails(req.params.id, { raw }), { raw });
 
-    // Build query parameters
-    const params = new URLSearchParams({
-      language: 'en',
-      locationId: theatreId,
-      date: date
-    });
+  } catch (error) {
+    sendRouteError(res, error, '/api/movies/:id', 'Failed to fetch movie details');
+  }
+});
 
-    const url = `${CINEPLEX_BASE_URL}/showtimes?${params}`;
-    console.log(`[API] Fetching showtimes for theatre ${theatreId} on ${date}`);
+/**
+ * GET /api/seat-availability
+ * Fetch seat availability for a specific showtime
+ * 
+ * Query parameters:
+ * - theatreId (required): Theatre ID
+ * - showtimeId (required): Showtime/session ID (vistaSessionId)
+ * - raw (optional): 1 to return the Cineplex response without occupancy totals
+ */
+app.get('/api/seat-availability', rateLimiters.seats, async (req, res) => {
+  try {
+    const { theatreId, showtimeId } = req.query;
 
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: CINEPLEX_HEADERS
-    });
+    // Validate required parameters
+    if (!theatreId || !showtimeId) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'theatreId and showtimeId are required'
+      });
+    }
 
-    if (!response.ok) {
-      console.error(`[API Error] Cineplex showtimes API returned ${response.status}`);
-      return res.status(response.status).json({
-        error: 'Upstream API Error',
-        message: `Cineplex API returned status ${response.status}`,
-        status: response.status
+    if (!ID_PATTERN.test(theatreId) || !ID_PATTERN.test(showtimeId)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'theatreId and showtimeId must be numeric IDs'
       });
     }
 
-    const data = await response.json();
+    const raw = wantsRaw(req);
+    sendCached(res, await getSeatAvailability(theatreId, showtimeId, { raw }), { raw });
 
-    // Cache for 2 minutes (showtimes change more frequently)
-    cache.set(cacheKey, data, 2 * 60 * 1000);
+  } catch (error) {
+    sendRouteError(res, error, '/api/seat-availability', 'Failed to fetch seat availability');
+  }
+});
 
-    res.json(data);
+/**
+ * POST /api/seat-availability/batch
+ * Fetch seat availability for many showtimes in one request
+ * 
+ * Body: { "items": [{ "theatreId": 1422, "showtimeId": "123456" }, ...] } (up to MAX_BATCH_ITEMS)
+ * 
+ * Query parameters:
+ * - include (optional): "seats" to return each seat's status as well as the occupancy totals
+ * 
+ * Always 200 for a valid batch; each result carries its own status.
+ */
+app.post('/api/seat-availability/batch', rateLimiters.seatsBatch, rateLimiters.lookups, async (req, res) => {
+  try {
+    const items = parseBatchItems(req.body);
+    if (!items) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `body must be { "items": [{ "theatreId", "showtimeId" }, ...] } with 1-${MAX_BATCH_ITEMS} items`
+      });
+    }
 
-  } catch (error) {
-    console.error('[Error] /api/showtimes:', error);
-    res.status(500).json({
-      error: 'Internal Server Error',
-      message: 'Failed to fetch showtimes'
+    const { include } = req.query;
+    if (include !== undefined && include !== 'seats') {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'include must be seats'
+      });
+    }
+
+    const batch = await getSeatAvailabilityBatch(items, {
+      includeSeats: include === 'seats',
+      lookupOptions: chargeLookups(req)
     });
+    if (batch.stats.stale > 0) {
+      res.set('X-Cache-Stale', 'true');
+    }
+    res.json(batch);
+
+  } catch (error) {
+    sendRouteError(res, error, '/api/seat-availability/batch', 'Failed to fetch seat availability');
   }
 });
 
 /**
- * GET /api/seat-availability
- * Fetch seat availability for a specific showtime
+ * GET /api/seat-map
+ * Auditorium layout for a showtime: rows of seats with their status
  * 
  * Query parameters:
  * - theatreId (required): Theatre ID
  * - showtimeId (required): Showtime/session ID (vistaSessionId)
  */
-app.get('/api/seat-availability', rateLimiter, async (req, res) => {
+app.get('/api/seat-map', rateLimiters.seats, async (req, res) => {
   try {
     const { theatreId, showtimeId } = req.query;
 
@@ -293,63 +463,555 @@ app.get('/api/seat-availability', rateLimiter, async (req, res) => {
       });
     }
 
-    // Create cache key
-    const cacheKey = `seats:${theatreId}:${showtimeId}`;
-    
-    // Check cache
-    const cachedData = cache.get(cacheKey);
-    if (cachedData) {
-      console.log(`[Cache HIT] ${cacheKey}`);
-      return res.json(cachedData);
+    if (!ID_PATTERN.test(theatreId) || !ID_PATTERN.test(showtimeId)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'theatreId and showtimeId must be numeric IDs'
+      });
+    }
+
+    sendCached(res, await getSeatMap(theatreId, showtimeId));
+
+  } catch (error) {
+    sendRouteError(res, error, '/api/seat-map', 'Failed to fetch seat map');
+  }
+});
+
+/**
+ * GET /api/history
+ * Occupancy snapshot timeline for a showtime, oldest first
+ * 
+ * Query parameters:
+ * - theatreId (required): Theatre ID
+ * - showtimeId (required): Showtime/session ID (vistaSessionId)
+ */
+app.get('/api/history', rateLimiters.history, (req, res) => {
+  try {
+    const { theatreId, showtimeId } = req.query;
+
+    // Validate required parameters
+    if (!theatreId || !showtimeId) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'theatreId and showtimeId are required'
+      });
+    }
+
+    if (!ID_PATTERN.test(theatreId) || !ID_PATTERN.test(showtimeId)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'theatreId and showtimeId must be numeric IDs'
+      });
+    }
+
+    const snapshots = historyStore.getTimeline(theatreId, showtimeId);
+
+    res.json({
+      theatreId,
+      showtimeId,
+      velocity: computeSessionVelocity(snapshots),
+      snapshots
+    });
+
+  } catch (error) {
+    sendRouteError(res, error, '/api/history', 'Failed to load occupancy history');
+  }
+});
+
+// Genre and rating filters: up to 10 comma-separated values
+const MAX_FILTER_VALUES = 10;
+
+/**
+ * Parse a comma-separated filter parameter into lower-case values
+ * @param {string} [param] - Raw query parameter
+ * @returns {Array<string>|null} Values (empty if not given), or null if invalid
+ */
+function parseFilterList(param) {
+  if (param === undefined) return [];
+  if (typeof param !== 'string') return null;
+
+  const values = param.split(',').map((value) => value.trim().toLowerCase()).filter(Boolean);
+  if (values.length > MAX_FILTER_VALUES || values.some((value) => value.length > 50)) return null;
+  return values;
+}
+
+/**
+ * Validate the query parameters shared by the rankings routes
+ * @param {Object} query - Express query object
+ * @returns {Object} { areas, dates, sort, filters }, or { error } with a message for the client
+ */
+function parseRankingsQuery({ areas: areasParam, date, dates: datesParam, sort = 'occupancy', genre, rating }) {
+  if (!areasParam || Boolean(date) === Boolean(datesParam)) {
+    return { error: 'areas and exactly one of date or dates are required' };
+  }
+
+  if (date && !DATE_PATTERN.test(date)) {
+    return { error: 'date must be in format M/D/YYYY' };
+  }
+
+  const dates = date ? [date] : parseDateList(datesParam, MAX_DATES);
+  if (!dates) {
+    return { error: `dates must be 1-${MAX_DATES} comma-separated dates in format M/D/YYYY` };
+  }
+
+  if (!SORT_MODES.includes(sort)) {
+    return { error: `sort must be one of: ${SORT_MODES.join(', ')}` };
+  }
+
+  const areas = parseAreas(areasParam);
+  if (!areas) {
+    return { error: `areas must be 1-${MAX_AREAS} entries of "latitude,longitude,radiusKm" separated by ";"` };
+  }
+
+  const genres = parseFilterList(genre);
+  const ratings = parseFilterList(rating);
+  if (!genres || !ratings) {
+    return { error: `genre and rating must be up to ${MAX_FILTER_VALUES} comma-separated values` };
+  }
+
+  return { areas, dates, sort, filters: { genres, ratings } };
+}
+
+/**
+ * GET /api/rankings
+ * Find theatres across several areas, load their showtimes and seat
+ * availability, and return the ranked movie list in one response
+ * 
+ * Query parameters:
+ * - areas (required): Semicolon-separated list of "latitude,longitude,radiusKm"
+ *   (e.g., 49.2827,-123.1207,8;49.2488,-122.9805,8). Radius defaults to 5.
+ * - date or dates (one required): Date in format M/D/YYYY (e.g., 2/1/2026), or up to
+ *   7 comma-separated dates to rank across, with a per-day breakdown for each movie
+ * - sort (optional): 'occupancy' (default) or 'momentum' (seats sold per hour)
+ * - genre (optional): Comma-separated genres; only movies in any of them
+ * - rating (optional): Comma-separated ratings (e.g., G,PG); only movies rated any of them
+ */
+app.get('/api/rankings', rateLimiters.rankings, rateLimiters.lookups, async (req, res) => {
+  try {
+    const { error, areas, dates, sort, filters } = parseRankingsQuery(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: error
+      });
+    }
+
+    const rankings = await buildRankings({ areas, dates, sort, filters, lookupOptions: chargeLookups(req) });
+    if (rankings.stale) {
+      res.set('X-Cache-Stale', 'true');
+      res.set('Age', String(Math.floor((Date.now() - Date.parse(rankings.asOf)) / 1000)));
     }
+    res.json(rankings);
+
+  } catch (error) {
+    sendRouteError(res, error, '/api/rankings', 'Failed to build rankings');
+  }
+});
+
+// Comment lines sent on idle streams so proxies don't close them
+const STREAM_HEARTBEAT_MS = 15 * 1000;
 
-    console.log(`[Cache MISS] ${cacheKey}`);
+/**
+ * Track the ranked movies a stream has sent, so each update only carries
+ * what changed
+ * @returns {function(Array<Object>): (Object|null)} Takes the latest ranked movies and
+ *   returns { movies, order } (new or changed movies, and every movie ID in rank
+ *   order), or null if nothing changed
+ */
+function createMoviesDiff() {
+  const sent = new Map();
+  let sentOrder = '';
+
+  return (movies) => {
+    const order = movies.map((movie) => movie.id);
+    const changed = movies.filter((movie) => {
+      const json = JSON.stringify(movie);
+      if (sent.get(movie.id) === json) return false;
+      sent.set(movie.id, json);
+      return true;
+    });
+
+    const orderKey = order.join(',');
+    if (changed.length === 0 && orderKey === sentOrder) return null;
+    sentOrder = orderKey;
 
-    const url = `https://apis.cineplex.com/prod/ticketing/api/v1/theatre/${theatreId}/showtime/${showtimeId}/seat-availability`;
-    console.log(`[API] Fetching seat availability for showtime ${showtimeId}`);
+    // Movies that dropped out of the ranking are re-sent in full if they return
+    const ranked = new Set(order);
+    [...sent.keys()].forEach((movieId) => ranked.has(movieId) || sent.delete(movieId));
+    return { movies: changed, order };
+  };
+}
 
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: CINEPLEX_HEADERS
+/**
+ * GET /api/rankings/stream
+ * Same as /api/rankings, streamed as Server-Sent Events while it's built:
+ * - progress: { stage, completed, total } as lookups finish (stages: theatres, showtimes, seats)
+ * - theatres: { theatres } once theatres are found
+ * - movies: { movies, order } ranked from the data resolved so far. movies holds
+ *   only the movies that are new or changed since the last movies event; order
+ *   lists every movie ID in rank order (movies not in it have dropped out)
+ * - done: the full rankings response
+ * - failed: { error, message } if the build fails
+ * 
+ * Query parameters: as for /api/rankings
+ */
+app.get('/api/rankings/stream', rateLimiters.rankings, rateLimiters.lookups, async (req, res) => {
+  const { error, areas, dates, sort, filters } = parseRankingsQuery(req.query);
+  if (error) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: error
     });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // Stop nginx from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
 
-    if (!response.ok) {
-      console.error(`[API Error] Seat availability API returned ${response.status}`);
-      return res.status(response.status).json({
-        error: 'Upstream API Error',
-        message: `Cineplex API returned status ${response.status}`,
-        status: response.status
+  // The build keeps going if the client leaves (it warms the cache), but nothing more is sent
+  let open = true;
+  const send = (event, data) => {
+    if (open) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  const diffMovies = createMoviesDiff();
+  const heartbeat = setInterval(() => open && res.write(': heartbeat\n\n'), STREAM_HEARTBEAT_MS);
+  res.on('close', () => {
+    open = false;
+    clearInterval(heartbeat);
+  });
+
+  try {
+    const rankings = await buildRankings({
+      areas,
+      dates,
+      sort,
+      filters,
+      onProgress: ({ type, ...data }) => {
+        const payload = type === 'movies' ? diffMovies(data.movies) : data;
+        if (payload) send(type, payload);
+      },
+      lookupOptions: chargeLookups(req)
+    });
+    send('done', rankings);
+  } catch (error) {
+    log.error('Route failed', { route: '/api/rankings/stream', error, stack: error.stack });
+    // Not "error": EventSource fires that name itself for connection errors
+    send('failed', {
+      error: error instanceof UpstreamError ? 'Upstream API Error' : 'Internal Server Error',
+      message: error instanceof UpstreamError ? error.message : 'Failed to build rankings'
+    });
+  } finally {
+    clearInterval(heartbeat);
+    res.end();
+  }
+});
+
+/**
+ * GET /api/rankings/report
+ * Rankings as a downloadable report: one row per session as CSV, the
+ * ranked movies as JSON, or Markdown tables. Each format includes when the
+ * data was fetched and which areas were searched.
+ * 
+ * The ranking is built again for the download, not taken from what the
+ * client is showing. It reads the same cache entries, so it normally
+ * matches, but seat counts fetched since can move movies up or down.
+ * 
+ * Query parameters: as for /api/rankings, plus
+ * - format (optional): 'csv' (default), 'json' or 'md'
+ */
+app.get('/api/rankings/report', rateLimiters.rankings, rateLimiters.lookups, async (req, res) => {
+  try {
+    const { error, areas, dates, sort, filters } = parseRankingsQuery(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: error
+      });
+    }
+
+    const { format = 'csv' } = req.query;
+    if (!REPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `format must be one of: ${REPORT_FORMATS.join(', ')}`
       });
     }
 
-    const data = await response.json();
+    const rankings = await buildRankings({ areas, dates, sort, filters, lookupOptions: chargeLookups(req) });
+    if (rankings.stale) {
+      res.set('X-Cache-Stale', 'true');
+    }
+
+    const { body, contentType, filename, headers } = renderReport(rankings, { areas, format });
+    res.set(headers);
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.type(contentType).send(body);
 
-    // Calculate totals from seat data
-    const seatAvailabilities = data.seatAvailabilities || {};
-    const totalSeats = Object.keys(seatAvailabilities).length;
-    const occupiedSeats = Object.values(seatAvailabilities).filter(s => s === 'Occupied').length;
-    const availableSeats = Object.values(seatAvailabilities).filter(s => s === 'Available').length;
+  } catch (error) {
+    sendRouteError(res, error, '/api/rankings/report', 'Failed to build report');
+  }
+});
 
-    const enrichedData = {
-      ...data,
-      totalSeats,
-      occupiedSeats,
-      availableSeats,
-      occupancyPercentage: totalSeats > 0 ? Math.round((occupiedSeats / totalSeats) * 100) : 0
-    };
+/**
+ * Validate calendar export query parameters
+ * @param {Object} query - Express query object
+ * @returns {Object} Options for buildCalendar, or { error } with a message for the client
+ */
+function parseCalendarQuery({ theatreId, areas: areasParam, date, dates, days, movieId, showtimeId }) {
+  if (Boolean(theatreId) === Boolean(areasParam)) {
+    return { error: 'exactly one of theatreId or areas is required' };
+  }
+  if ([date, dates, days].filter(Boolean).length !== 1) {
+    return { error: 'exactly one of date, dates or days is required' };
+  }
 
-    // Cache for 1 minute (seat availability changes frequently)
-    cache.set(cacheKey, enrichedData, 60 * 1000);
+  const options = {};
 
-    res.json(enrichedData);
+  if (theatreId) {
+    if (!ID_PATTERN.test(theatreId)) return { error: 'theatreId must be a numeric ID' };
+    options.theatreIds = [Number(theatreId)];
+  } else {
+    options.areas = parseAreas(areasParam);
+    if (!options.areas) {
+      return { error: `areas must be 1-${MAX_AREAS} entries of "latitude,longitude,radiusKm" separated by ";"` };
+    }
+  }
+
+  if (date) {
+    if (!DATE_PATTERN.test(date)) return { error: 'date must be in format M/D/YYYY' };
+    options.dates = [date];
+  } else if (dates) {
+    options.dates = parseDateList(dates, MAX_CALENDAR_DAYS);
+    if (!options.dates) {
+      return { error: `dates must be 1-${MAX_CALENDAR_DAYS} comma-separated dates in format M/D/YYYY` };
+    }
+  } else {
+    const dayCount = Number(days);
+    if (!Number.isInteger(dayCount) || dayCount < 1 || dayCount > MAX_CALENDAR_DAYS) {
+      return { error: `days must be a whole number from 1 to ${MAX_CALENDAR_DAYS}` };
+    }
+    options.days = dayCount;
+    options.feed = true;
+  }
+
+  if (movieId !== undefined) {
+    if (!ID_PATTERN.test(movieId)) return { error: 'movieId must be a numeric ID' };
+    options.movieId = Number(movieId);
+  }
+  if (showtimeId !== undefined) {
+    if (!ID_PATTERN.test(showtimeId)) return { error: 'showtimeId must be a numeric ID' };
+    options.showtimeId = showtimeId;
+  }
+
+  return options;
+}
+
+/**
+ * GET /api/calendar.ics
+ * Sessions as an iCalendar file: one session, a movie's sessions at a
+ * theatre, or a subscribable feed of upcoming sessions in search areas
+ * 
+ * Query parameters:
+ * - theatreId or areas (one required): Theatre ID, or areas as for /api/rankings
+ * - date, dates or days (one required): Date in format M/D/YYYY, up to 7
+ *   comma-separated dates, or a number of days starting today in each
+ *   theatre's zone (1-7, for feeds that roll forward)
+ * - movieId (optional): Only this movie's sessions
+ * - showtimeId (optional): Only this session
+ */
+app.get('/api/calendar.ics', rateLimiters.calendar, rateLimiters.lookups, async (req, res) => {
+  try {
+    const { error, ...options } = parseCalendarQuery(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: error
+      });
+    }
+
+    const { calendar, stale } = await buildCalendar({ ...options, lookupOptions: chargeLookups(req) });
+    if (stale) {
+      res.set('X-Cache-Stale', 'true');
+    }
+
+    const filename = options.showtimeId ? `showtime-${options.showtimeId}.ics` : 'showtimes.ics';
+    res.set('Content-Disposition', `inline; filename="${filename}"`);
+    res.type('text/calendar; charset=utf-8').send(calendar);
 
   } catch (error) {
-    console.error('[Error] /api/seat-availability:', error);
-    res.status(500).json({
-      error: 'Internal Server Error',
-      message: 'Failed to fetch seat availability'
+    sendRouteError(res, error, '/api/calendar.ics', 'Failed to build calendar');
+  }
+});
+
+/**
+ * Alert routes
+ * Alerts make the server POST to webhook URLs, so every route requires
+ * ALERTS_TOKEN (or ADMIN_TOKEN).
+ * 
+ * GET    /api/alerts                 - List alerts
+ * POST   /api/alerts                 - Create an alert
+ * GET    /api/alerts/deliveries      - Recent webhook deliveries (?alertId= to filter)
+ * GET    /api/alerts/:id             - Get an alert
+ * PUT    /api/alerts/:id             - Replace an alert's settings
+ * DELETE /api/alerts/:id             - Delete an alert
+ * POST   /api/alerts/:id/test        - Send a test delivery
+ */
+app.get('/api/alerts', requireAlertsAccess, (req, res) => {
+  res.json({ alerts: alerts.list() });
+});
+
+app.post('/api/alerts', requireAlertsAccess, (req, res) => {
+  const { error, alert: fields } = validateAlert(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: error
+    });
+  }
+
+  const alert = alerts.create(fields);
+  if (!alert) {
+    return res.status(409).json({
+      error: 'Conflict',
+      message: `At most ${MAX_ALERTS} alerts can be registered`
+    });
+  }
+  res.status(201).json(alert);
+});
+
+app.get('/api/alerts/deliveries', requireAlertsAccess, (req, res) => {
+  res.json({ deliveries: alerts.getDeliveries(req.query.alertId) });
+});
+
+/**
+ * Look up the alert named in the route, or send a 404
+ * @returns {Alert|undefined}
+ */
+function findAlert(req, res) {
+  const alert = alerts.get(req.params.id);
+  if (!alert) {
+    res.status(404).json({
+      error: 'Not Found',
+      message: `No alert with id ${req.params.id}`
+    });
+  }
+  return alert;
+}
+
+app.get('/api/alerts/:id', requireAlertsAccess, (req, res) => {
+  const alert = findAlert(req, res);
+  if (alert) res.json(alert);
+});
+
+app.put('/api/alerts/:id', requireAlertsAccess, (req, res) => {
+  if (!findAlert(req, res)) return;
+
+  const { error, alert: fields } = validateAlert(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: error
+    });
+  }
+  res.json(alerts.update(req.params.id, fields));
+});
+
+app.delete('/api/alerts/:id', requireAlertsAccess, (req, res) => {
+  if (!findAlert(req, res)) return;
+
+  alerts.remove(req.params.id);
+  res.status(204).end();
+});
+
+app.post('/api/alerts/:id/test', requireAlertsAccess, (req, res) => {
+  const alert = findAlert(req, res);
+  if (alert) res.status(202).json(alerts.sendTest(alert));
+});
+
+/**
+ * GET /api/admin/poller
+ * Background poller status: request budget, tracked theatres and per-job schedule
+ * Requires ADMIN_TOKEN as a bearer token
+ */
+app.get('/api/admin/poller', requireAdmin, (req, res) => {
+  res.json(poller.getStatus());
+});
+
+/**
+ * GET /api/admin/config
+ * Effective configuration with secrets redacted, and where each setting came from
+ * Requires ADMIN_TOKEN as a bearer token
+ */
+app.get('/api/admin/config', requireAdmin, (req, res) => {
+  res.json(describeConfig());
+});
+
+/**
+ * Cache administration (see cacheAdmin.js). Requires ADMIN_TOKEN as a bearer token.
+ *
+ * GET    /api/admin/cache       - List entries (?prefix=showtimes:&limit=100)
+ * DELETE /api/admin/cache       - Invalidate one entry (?key=) or a prefix (?prefix=)
+ * POST   /api/admin/cache/warm  - Load a metro preset's theatres and showtimes
+ *                                 ({ "metro", "date" } or { "metro", "days" })
+ */
+app.get('/api/admin/cache', requireAdmin, async (req, res) => {
+  const { error, prefix, limit } = validateListQuery(req.query);
+  if (error) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: error
+    });
+  }
+
+  try {
+    res.json(await listEntries({ prefix, limit }));
+  } catch (listError) {
+    sendRouteError(res, listError, '/api/admin/cache', 'Failed to list cache entries');
+  }
+});
+
+app.delete('/api/admin/cache', requireAdmin, async (req, res) => {
+  const { error, ...target } = validateInvalidation(req.query);
+  if (error) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: error
+    });
+  }
+
+  try {
+    res.json(await invalidate(target));
+  } catch (invalidateError) {
+    sendRouteError(res, invalidateError, '/api/admin/cache', 'Failed to invalidate cache entries');
+  }
+});
+
+app.post('/api/admin/cache/warm', requireAdmin, async (req, res) => {
+  const { error, ...options } = validateWarmRequest(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: error
     });
   }
+
+  try {
+    const summary = await warm(options);
+    if (!summary) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'A cache warm is already running'
+      });
+    }
+    res.json(summary);
+  } catch (warmError) {
+    sendRouteError(res, warmError, '/api/admin/cache/warm', 'Failed to warm cache');
+  }
 });
 
 /**
@@ -366,27 +1028,120 @@ app.use((req, res) => {
  * Global error handler
  */
 app.use((err, req, res, next) => {
-  console.error('[Unhandled Error]:', err);
+  // Malformed or oversized JSON bodies
+  if (err.type === 'entity.parse.failed' || err.type === 'entity.too.large') {
+    return res.status(err.status).json({
+      error: 'Bad Request',
+      message: err.type === 'entity.too.large' ? 'Request body is too large' : 'Request body is not valid JSON'
+    });
+  }
+
+  if (err instanceof OriginNotAllowedError) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: err.message
+    });
+  }
+
+  log.error('Unhandled error', { error: err, stack: err.stack });
   res.status(500).json({
     error: 'Internal Server Error',
     message: process.env.NODE_ENV === 'development' ? err.message : 'An unexpected error occurred'
   });
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log('='.repeat(60));
-  console.log('🎬 Cineplex Showtime Proxy Backend');
-  console.log('='.repeat(60));
-  console.log(`✓ Server running on http://localhost:${PORT}`);
-  console.log(`✓ API Key configured: ${API_KEY.substring(0, 8)}...`);
-  console.log(`✓ Rate limit: 500 requests/minute per IP`);
-  console.log(`✓ Cache: 5min (theatres), 2min (showtimes), 1min (seats)`);
-  console.log('='.repeat(60));
-  console.log('\nEndpoints:');
-  console.log(`  GET  /health                - Health check`);
-  console.log(`  GET  /api/theatres          - Find nearby theatres`);
-  console.log(`  GET  /api/showtimes         - Get theatre showtimes`);
-  console.log(`  GET  /api/seat-availability - Get seat occupancy`);
-  console.log('='.repeat(60));
-});
+/**
+ * Format a cache lifetime for the startup banner, e.g. "90s", "5min", "1h"
+ * @param {number} seconds
+ * @returns {string}
+ */
+function formatLifetime(seconds) {
+  if (seconds % 3600 === 0) return `${seconds / 3600}h`;
+  if (seconds % 60 === 0) return `${seconds / 60}min`;
+  return `${seconds}s`;
+}
+
+/**
+ * Validate configuration and start listening
+ * @param {number|string} [port] - Port to listen on (default: BACKEND_PORT)
+ * @returns {http.Server} Listening server
+ */
+export function startServer(port = PORT) {
+  // Validate API key (replay and mock modes never call Cineplex)
+  if (!API_KEY && usesLiveCineplex()) {
+    console.error('ERROR: CINEPLEX_API_KEY is not set in .env file or the config file');
+    console.error('Please copy .env.example to .env and add your API key,');
+    console.error('or set CINEPLEX_MODE=mock to run against synthetic data');
+    process.exit(1);
+  }
+
+  const server = app.listen(port, () => {
+    console.log('='.repeat(60));
+    console.log('🎬 Cineplex Showtime Proxy Backend');
+    console.log('='.repeat(60));
+    console.log(`✓ Server running on http://localhost:${port}`);
+    console.log(`✓ Cineplex mode: ${CINEPLEX_MODE} (language: ${config.cineplex.language})`);
+    if (API_KEY) {
+      console.log(`✓ API Key configured: ${API_KEY.substring(0, 8)}...`);
+    }
+    const { configFile } = describeConfig();
+    if (configFile) {
+      console.log(`✓ Config file: ${configFile}`);
+    }
+    console.log(`✓ CORS origins: ${[...ALLOWED_ORIGINS].join(', ')}${config.server.corsAllowVercelPreviews ? ', crowdplex-*-0xt4nj1r0s-projects.vercel.app' : ''}`);
+    console.log(`✓ Rate limits per client/min: ${Object.entries(RATE_LIMITS).map(([name, { maxRequests }]) => `${name} ${maxRequests}`).join(', ')}`);
+    console.log(`✓ Cache (${config.cache.store}): ${Object.entries(config.cache.policies).map(([type, { ttlSeconds }]) => `${formatLifetime(ttlSeconds)} (${type})`).join(', ')}`);
+    if (config.cache.warmMetros.length > 0) {
+      console.log(`✓ Warming on startup: ${config.cache.warmMetros.join(', ')} (${config.cache.warmDays} day${config.cache.warmDays !== 1 ? 's' : ''})`);
+    }
+    console.log('='.repeat(60));
+    console.log('\nEndpoints:');
+    console.log(`  GET  /health                - Health check`);
+    console.log(`  GET  /metrics               - Prometheus metrics`);
+    console.log(`  GET  /api/theatres          - Find nearby theatres`);
+    console.log(`  GET  /api/showtimes         - Get theatre showtimes`);
+    console.log(`  GET  /api/movies/:id        - Movie details`);
+    console.log(`  GET  /api/seat-availability - Get seat occupancy`);
+    console.log(`  POST /api/seat-availability/batch - Seat occupancy for many showtimes`);
+    console.log(`  GET  /api/seat-map          - Seat layout by row`);
+    console.log(`  GET  /api/rankings          - Ranked movies for areas`);
+    console.log(`  GET  /api/rankings/stream   - Rankings with live progress (SSE)`);
+    console.log(`  GET  /api/rankings/report   - Rankings as CSV, JSON or Markdown`);
+    console.log(`  GET  /api/history           - Occupancy timeline`);
+    console.log(`  GET  /api/calendar.ics      - Showtimes as iCalendar`);
+    console.log(`  *    /api/alerts            - Occupancy alerts (alerts or admin token)`);
+    console.log(`  GET  /api/admin/poller      - Poller status (admin)`);
+    console.log(`  GET  /api/admin/config      - Effective configuration (admin)`);
+    console.log(`  *    /api/admin/cache       - List, invalidate and warm cache entries (admin)`);
+    console.log('='.repeat(60));
+
+    if (poller.config.enabled) {
+      poller.start();
+    }
+
+    const { warmMetros: metros, warmDays } = config.cache;
+    if (metros.length > 0) {
+      warmMetros(metros, warmDays);
+    }
+  });
+
+  // Exiting runs the cache store's exit flush; history appends are awaited first
+  const shutdown = async (signal) => {
+    log.info('Shutting down', { signal });
+    poller.stop();
+    server.close();
+    await historyStore.flush();
+    process.exit(0);
+  };
+  process.once('SIGTERM', shutdown);
+  process.once('SIGINT', shutdown);
+
+  return server;
+}
+
+// Start the server when run directly; importing the module just builds the app
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  startServer();
+}
+
+export default app;
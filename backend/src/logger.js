@@ -0,0 +1,113 @@
+/**
+ * Structured logging
+ * Writes one JSON object per line to stdout (warnings and errors to stderr).
+ * Lines logged while handling a request - including upstream calls made on
+ * its behalf - carry that request's ID, so a slow or failed request can be
+ * followed through to Cineplex.
+ *
+ * LOG_LEVEL sets the minimum level (debug, info, warn, error; default info).
+ * LOG_FORMAT=text prints readable lines for local development instead.
+ */
+import { AsyncLocalStorage } from 'async_hooks';
+import { getConfig } from './config.js';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const requestContext = new AsyncLocalStorage();
+
+let settings = null;
+
+/**
+ * Logging settings, read on first use so the config has loaded
+ * @returns {Object} { minLevel, format }
+ */
+function getSettings() {
+  if (!settings) {
+    const { level, format } = getConfig().logging;
+    settings = {
+      minLevel: LEVELS[level],
+      format
+    };
+  }
+  return settings;
+}
+
+/**
+ * Run a function with a request context. Everything it starts, sync or
+ * async, sees the same context.
+ * @param {Object} context - { requestId, ... }
+ * @param {Function} fn - Function to run
+ * @returns {any} Return value of fn
+ */
+export function runWithContext(context, fn) {
+  return requestContext.run(context, fn);
+}
+
+/**
+ * Context of the request currently being handled
+ * @returns {Object|undefined}
+ */
+export function getContext() {
+  return requestContext.getStore();
+}
+
+/**
+ * Make field values JSON-friendly
+ */
+function serializeFields(fields) {
+  const serialized = {};
+  for (const [key, value] of Object.entries(fields)) {
+    if (value instanceof Error) {
+      serialized[key] = value.message;
+      if (value.status !== undefined) {
+        serialized[`${key}Status`] = value.status;
+      }
+    } else if (value !== undefined) {
+      serialized[key] = value;
+    }
+  }
+  return serialized;
+}
+
+function formatText(line) {
+  const { time, level, component, msg, ...fields } = line;
+  const extras = Object.entries(fields)
+    .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+    .join(' ');
+  return `${time} ${level.toUpperCase().padEnd(5)} [${component}] ${msg}${extras ? ` ${extras}` : ''}`;
+}
+
+function write(level, component, message, fields = {}) {
+  const { minLevel, format } = getSettings();
+  if (LEVELS[level] < minLevel) return;
+
+  const context = requestContext.getStore();
+  const line = {
+    time: new Date().toISOString(),
+    level,
+    component,
+    msg: message,
+    ...(context?.requestId && { requestId: context.requestId }),
+    ...serializeFields(fields)
+  };
+
+  const output = format === 'text' ? formatText(line) : JSON.stringify(line);
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${output}\n`);
+}
+
+/**
+ * Create a logger for one component
+ * @param {string} component - Component name included in every line
+ * @returns {Object} { debug, info, warn, error }, each (message, fields)
+ */
+export function createLogger(component) {
+  return {
+    debug: (message, fields) => write('debug', component, message, fields),
+    info: (message, fields) => write('info', component, message, fields),
+    warn: (message, fields) => write('warn', component, message, fields),
+    error: (message, fields) => write('error', component, message, fields)
+  };
+}
+
+export default createLogger;
@@ -0,0 +1,243 @@
+/**
+ * Prometheus metrics
+ * A minimal in-process registry of counters, gauges and histograms,
+ * rendered in the Prometheus text exposition format at /metrics.
+ *
+ * HTTP metrics cover time spent in this service; upstream metrics cover
+ * time spent waiting on Cineplex, so the two can be compared to see where
+ * latency comes from.
+ */
+
+// Latency buckets in seconds, from cache hits up to slow rankings
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+/**
+ * Base for metrics with labelled series
+ */
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  /**
+   * Series for a label set, created on first use
+   */
+  getSeries(labels, create) {
+    const picked = Object.fromEntries(this.labelNames.map((name) => [name, labels[name] ?? '']));
+    const key = JSON.stringify(picked);
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels: picked, ...create() });
+    }
+    return this.series.get(key);
+  }
+
+  render() {
+    return [
+      `# HELP ${this.name} ${this.help}`,
+      `# TYPE ${this.name} ${this.type}`,
+      ...this.renderSeries()
+    ].join('\n');
+  }
+}
+
+export class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  inc(labels = {}, value = 1) {
+    this.getSeries(labels, () => ({ value: 0 })).value += value;
+  }
+
+  /**
+   * Current value for a label set
+   */
+  get(labels = {}) {
+    return this.getSeries(labels, () => ({ value: 0 })).value;
+  }
+
+  renderSeries() {
+    return [...this.series.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+  }
+}
+
+export class Gauge extends Metric {
+  constructor(name, help, labelNames) {
+    super('gauge', name, help, labelNames);
+  }
+
+  set(labels = {}, value) {
+    this.getSeries(labels, () => ({ value: 0 })).value = value;
+  }
+
+  renderSeries() {
+    return [...this.series.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+  }
+}
+
+export class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+    super('histogram', name, help, labelNames);
+    this.buckets = buckets;
+  }
+
+  /**
+   * Record an observation
+   * @param {Object} labels - Label values
+   * @param {number} value - Observed value (seconds for durations)
+   */
+  observe(labels, value) {
+    const series = this.getSeries(labels, () => ({
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0
+    }));
+
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) series.counts[index]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  renderSeries() {
+    const lines = [];
+    for (const { labels, counts, sum, count } of this.series.values()) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${formatValue(sum)}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    }
+    return lines;
+  }
+}
+
+const registry = [];
+const collectors = [];
+
+function register(metric) {
+  registry.push(metric);
+  return metric;
+}
+
+/**
+ * Register a function that updates gauges just before each scrape
+ * @param {Function} collector - Called with no arguments
+ */
+export function addCollector(collector) {
+  collectors.push(collector);
+}
+
+export const httpRequests = register(new Counter(
+  'crowdplex_http_requests_total',
+  'HTTP requests handled, by route and status',
+  ['method', 'route', 'status']
+));
+
+export const httpDuration = register(new Histogram(
+  'crowdplex_http_request_duration_seconds',
+  'HTTP request latency, including time waiting on Cineplex',
+  ['method', 'route']
+));
+
+export const upstreamRequests = register(new Counter(
+  'crowdplex_upstream_requests_total',
+  'Cineplex API calls by endpoint and outcome (HTTP status, timeout, network_error or invalid_json)',
+  ['endpoint', 'status']
+));
+
+export const upstreamDuration = register(new Histogram(
+  'crowdplex_upstream_request_duration_seconds',
+  'Cineplex API call latency per attempt',
+  ['endpoint']
+));
+
+export const cacheRequests = register(new Counter(
+  'crowdplex_cache_requests_total',
+  'Cache lookups by key type and result (hit, miss, coalesced, stale)',
+  ['cache', 'result']
+));
+
+export const cacheHitRatio = register(new Gauge(
+  'crowdplex_cache_hit_ratio',
+  'Share of cache lookups served without waiting on an upstream fetch',
+  ['cache']
+));
+
+export const rateLimitRejections = register(new Counter(
+  'crowdplex_rate_limit_rejections_total',
+  'Requests rejected by a rate limiter (cineplex is the outbound quota)',
+  ['limiter']
+));
+
+export const schemaDropped = register(new Counter(
+  'crowdplex_schema_dropped_total',
+  'Malformed upstream records dropped during normalization, by record type',
+  ['type']
+));
+
+export const unknownSeatStatuses = register(new Counter(
+  'crowdplex_seat_status_unknown_total',
+  'Seats with a status not in the seat status taxonomy (excluded from capacity)'
+));
+
+export const alertDeliveries = register(new Counter(
+  'crowdplex_alert_deliveries_total',
+  'Alert webhook delivery attempts by result (delivered, retried, failed)',
+  ['result']
+));
+
+export const circuitState = register(new Gauge(
+  'crowdplex_upstream_circuit_state',
+  'Cineplex circuit breaker state (0 closed, 1 half-open, 2 open)',
+  ['family']
+));
+
+addCollector(() => {
+  const totals = new Map();
+  for (const { labels, value } of cacheRequests.series.values()) {
+    const total = totals.get(labels.cache) || { served: 0, all: 0 };
+    total.all += value;
+    if (labels.result === 'hit' || labels.result === 'coalesced') {
+      total.served += value;
+    }
+    totals.set(labels.cache, total);
+  }
+
+  for (const [name, { served, all }] of totals) {
+    cacheHitRatio.set({ cache: name }, all > 0 ? served / all : 0);
+  }
+});
+
+/**
+ * Render all metrics in Prometheus text format
+ * @returns {string}
+ */
+export function renderMetrics() {
+  collectors.forEach((collect) => collect());
+  return `${registry.map((metric) => metric.render()).join('\n')}\n`;
+}
+
+export default renderMetrics;
@@ -0,0 +1,51 @@
+/**
+ * Metro area presets
+ * Mirrors the search areas offered by the frontend's LocationInput so
+ * background jobs can be configured by preset name
+ */
+
+export const METRO_AREAS = {
+  'Vancouver Metro': [
+    { name: 'Downtown Vancouver', latitude: 49.2827, longitude: -123.1207, radius: 8 },
+    { name: 'Burnaby', latitude: 49.2488, longitude: -122.9805, radius: 8 },
+    { name: 'Surrey', latitude: 49.1913, longitude: -122.8490, radius: 10 },
+    { name: 'Richmond', latitude: 49.1666, longitude: -123.1336, radius: 8 },
+    { name: 'Coquitlam', latitude: 49.2838, longitude: -122.7932, radius: 8 },
+    { name: 'New Westminster', latitude: 49.2069, longitude: -122.9110, radius: 6 },
+  ],
+  'Toronto Metro': [
+    { name: 'Downtown Toronto', latitude: 43.6532, longitude: -79.3832, radius: 8 },
+    { name: 'Scarborough', latitude: 43.7764, longitude: -79.2318, radius: 10 },
+    { name: 'Mississauga', latitude: 43.5890, longitude: -79.6441, radius: 10 },
+    { name: 'North York', latitude: 43.7615, longitude: -79.4111, radius: 8 },
+    { name: 'Etobicoke', latitude: 43.6205, longitude: -79.5132, radius: 8 },
+    { name: 'Markham', latitude: 43.8561, longitude: -79.3370, radius: 8 },
+  ],
+  'Calgary Metro': [
+    { name: 'Downtown Calgary', latitude: 51.0447, longitude: -114.0719, radius: 10 },
+    { name: 'North Calgary', latitude: 51.1350, longitude: -114.0628, radius: 10 },
+    { name: 'South Calgary', latitude: 50.9430, longitude: -114.0581, radius: 10 },
+  ],
+  'Other Cities': [
+    { name: 'Montreal', latitude: 45.5017, longitude: -73.5673, radius: 12 },
+    { name: 'Ottawa', latitude: 45.4215, longitude: -75.6972, radius: 12 },
+    { name: 'Edmonton', latitude: 53.5461, longitude: -113.4938, radius: 12 },
+    { name: 'Winnipeg', latitude: 49.8951, longitude: -97.1384, radius: 12 },
+    { name: 'Quebec City', latitude: 46.8139, longitude: -71.2080, radius: 12 },
+    { name: 'Hamilton', latitude: 43.2557, longitude: -79.8711, radius: 10 },
+  ],
+};
+
+/**
+ * Look up a metro preset by name (case-insensitive)
+ * @param {string} name - Preset name (e.g., "Toronto Metro")
+ * @returns {Array<Object>|null} Areas with latitude, longitude and radius
+ */
+export function getMetroAreas(name) {
+  const match = Object.keys(METRO_AREAS).find(
+    (metro) => metro.toLowerCase() === String(name).trim().toLowerCase()
+  );
+  return match ? METRO_AREAS[match] : null;
+}
+
+export default METRO_AREAS;
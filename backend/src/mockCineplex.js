@@ -0,0 +1,333 @@
+/**
+ * Synthetic Cineplex API
+ * Generates theatres, showtimes, movie details and seat maps from a seedable generator so
+ * the app runs without an API key or network access (CINEPLEX_MODE=mock).
+ * The same seed always produces the same theatres, movies and sessions;
+ * seats fill up over the days before each showing so occupancy and velocity
+ * change realistically over time.
+ */
+import { getConfig } from './config.js';
+
+const MOCK_MOVIES = [
+  { name: 'The Last Projectionist', runtimeInMinutes: 128, genres: ['Drama'], rating: 'PG' },
+  { name: 'Northern Lights Heist', runtimeInMinutes: 117, genres: ['Action', 'Thriller'], rating: '14A' },
+  { name: 'Galaxy Drifters 3', runtimeInMinutes: 142, genres: ['Sci-Fi', 'Action'], rating: 'PG' },
+  { name: 'Maple Street Ghosts', runtimeInMinutes: 98, genres: ['Horror'], rating: '18A' },
+  { name: 'Polar Express Lane', runtimeInMinutes: 104, genres: ['Comedy', 'Family'], rating: 'G' },
+  { name: 'The Quiet Harbour', runtimeInMinutes: 121, genres: ['Drama', 'Romance'], rating: 'PG' },
+  { name: 'Robo Raccoon', runtimeInMinutes: 92, genres: ['Animation', 'Family'], rating: 'G' },
+  { name: 'Midnight at the Drive-In', runtimeInMinutes: 111, genres: ['Horror', 'Comedy'], rating: '14A' },
+  { name: 'Summit', runtimeInMinutes: 135, genres: ['Adventure', 'Drama'], rating: 'PG' },
+  { name: 'Paper Planets', runtimeInMinutes: 101, genres: ['Animation', 'Sci-Fi'], rating: 'G' },
+  { name: 'Overtime', runtimeInMinutes: 119, genres: ['Comedy'], rating: '14A' },
+  { name: 'The Cartographer', runtimeInMinutes: 156, genres: ['Thriller', 'Drama'], rating: '18A' }
+];
+
+const FIRST_NAMES = ['Ava', 'Liam', 'Maya', 'Noah', 'Chloe', 'Ethan', 'Priya', 'Lucas', 'Zoe', 'Omar'];
+const LAST_NAMES = ['Tremblay', 'Nguyen', 'Singh', 'MacLeod', 'Roy', 'Chen', 'Gagnon', 'Okafor', 'Wilson', 'Park'];
+
+const EXPERIENCES = [
+  ['Regular'],
+  ['IMAX'],
+  ['UltraAVX', 'D-BOX'],
+  ['VIP', '19+']
+];
+
+const SHOW_HOURS = [10.5, 13, 15.75, 18.5, 19.25, 21.5, 22.25];
+const THEATRE_NAMES = ['Cinema', 'Cineplex Odeon', 'Scotiabank Theatre', 'Cineplex Cinemas', 'SilverCity'];
+const STREETS = ['King St', 'Main St', 'Queen St', 'Granville St', 'Portage Ave', 'Jasper Ave', 'Rue Sainte-Catherine'];
+
+/**
+ * 32-bit string hash (FNV-1a)
+ * @param {string} value
+ * @returns {number}
+ */
+function hash(value) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    h ^= value.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * Seeded pseudo-random generator (mulberry32)
+ * @param {number} seed
+ * @returns {Function} Returns floats in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function getSeed() {
+  return getConfig().cineplex.mockSeed;
+}
+
+/**
+ * Random generator for one entity, stable for a given seed
+ * @param {...any} parts - Entity identity
+ * @returns {Function}
+ */
+function randomFor(...parts) {
+  return createRandom(hash([getSeed(), ...parts].join(':')));
+}
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+/**
+ * Format a local time the way Cineplex does (no timezone suffix)
+ * @param {Date} date
+ * @returns {string}
+ */
+function formatLocalDateTime(date) {
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}:00`;
+}
+
+function getMockTheatre(theatreId) {
+  const random = randomFor('theatre', theatreId);
+  return {
+    theatreId,
+    theatreName: `${THEATRE_NAMES[Math.floor(random() * THEATRE_NAMES.length)]} ${String.fromCharCode(65 + (theatreId % 26))}${theatreId % 100}`,
+    address: `${100 + Math.floor(random() * 900)} ${STREETS[Math.floor(random() * STREETS.length)]}`,
+    auditoriums: 6 + Math.floor(random() * 10)
+  };
+}
+
+/**
+ * GET /theatres - theatres on a coarse grid cell around the search point
+ */
+function mockTheatres(params) {
+  const latitude = parseFloat(params.get('latitude'));
+  const longitude = parseFloat(params.get('longitude'));
+  const accuracyKm = parseFloat(params.get('accuracyKm') || '5');
+
+  // Round to ~10km cells so nearby searches overlap and deduplicate
+  const cellLat = Math.round(latitude * 10);
+  const cellLon = Math.round(longitude * 10);
+  const random = randomFor('cell', cellLat, cellLon);
+  const count = 2 + Math.floor(random() * Math.min(5, accuracyKm / 2));
+
+  const nearbyTheatres = [];
+  for (let i = 0; i < count; i++) {
+    const theatreId = 1000 + (hash(`${cellLat}:${cellLon}:${i}`) % 9000);
+    const theatre = getMockTheatre(theatreId);
+    nearbyTheatres.push({
+      theatreId,
+      theatreName: theatre.theatreName,
+      location: {
+        address: theatre.address,
+        city: params.get('city') || 'Mocktown',
+        postalCode: `M${i}X ${theatreId % 10}Y${i}`,
+        latitude: cellLat / 10 + (random() - 0.5) / 20,
+        longitude: cellLon / 10 + (random() - 0.5) / 20,
+        distanceToOriginInMeters: Math.round(random() * accuracyKm * 1000)
+      }
+    });
+  }
+
+  return { nearbyTheatres };
+}
+
+/**
+ * Session IDs encode the start time (epoch minutes) and slot, so seat
+ * lookups can regenerate the session without a date parameter
+ */
+function encodeSessionId(startsAt, slot) {
+  return Math.floor(startsAt.getTime() / 60000) * 100 + slot;
+}
+
+function decodeSessionStart(sessionId) {
+  return new Date(Math.floor(Number(sessionId) / 100) * 60000);
+}
+
+/**
+ * GET /showtimes - a day's schedule for one theatre
+ */
+function mockShowtimes(params) {
+  const theatreId = parseInt(params.get('locationId'), 10);
+  const [month, day, year] = (params.get('date') || '').split('/').map(Number);
+  if (isNaN(theatreId) || !year) return null;
+
+  const theatre = getMockTheatre(theatreId);
+  const random = randomFor('showtimes', theatreId, year, month, day);
+  const movies = [];
+
+  MOCK_MOVIES.forEach((mockMovie, movieIndex) => {
+    // Each theatre plays a subset of the catalogue
+    if (random() < 0.35) return;
+
+    const experiences = [];
+    EXPERIENCES.forEach((experienceTypes, experienceIndex) => {
+      if (experienceIndex > 0 && random() < 0.7) return;
+
+      const sessions = SHOW_HOURS
+        .filter(() => random() < 0.45)
+        .map((hour) => {
+          const startsAt = new Date(year, month - 1, day, Math.floor(hour), Math.round((hour % 1) * 60));
+          const vistaSessionId = encodeSessionId(startsAt, movieIndex * 4 + experienceIndex);
+          const seats = mockSeatAvailability(theatreId, vistaSessionId);
+          const seatsRemaining = Object.values(seats.seatAvailabilities).filter((s) => OPEN_STATUSES.includes(s)).length;
+
+          return {
+            showStartDateTime: formatLocalDateTime(startsAt),
+            seatsRemaining,
+            isSoldOut: seatsRemaining === 0,
+            seatMapUrl: null,
+            auditorium: `Auditorium ${1 + (hash(`${theatreId}:${vistaSessionId}`) % theatre.auditoriums)}`,
+            vistaSessionId
+          };
+        });
+
+      if (sessions.length > 0) {
+        experiences.push({ experienceTypes, sessions });
+      }
+    });
+
+    if (experiences.length > 0) {
+      movies.push({
+        id: 30000 + movieIndex,
+        name: mockMovie.name,
+        runtimeInMinutes: mockMovie.runtimeInMinutes,
+        presentationType: '2D',
+        mediumPosterImageUrl: null,
+        smallPosterImageUrl: null,
+        experiences
+      });
+    }
+  });
+
+  return [{
+    theatreId,
+    theatre: theatre.theatreName,
+    dates: [{ startDate: formatLocalDateTime(new Date(year, month - 1, day)), movies }]
+  }];
+}
+
+/**
+ * GET /movies/:id - details for a movie in the catalogue
+ */
+function mockMovieDetails(movieId) {
+  const mockMovie = MOCK_MOVIES[movieId - 30000];
+  if (!mockMovie) return null;
+
+  const random = randomFor('movie', movieId);
+  const cast = Array.from({ length: 4 }, () =>
+    `${FIRST_NAMES[Math.floor(random() * FIRST_NAMES.length)]} ${LAST_NAMES[Math.floor(random() * LAST_NAMES.length)]}`
+  );
+  // Released some time in the last two months
+  const releaseDate = new Date();
+  releaseDate.setHours(0, 0, 0, 0);
+  releaseDate.setDate(releaseDate.getDate() - Math.floor(random() * 60));
+
+  return {
+    id: movieId,
+    name: mockMovie.name,
+    synopsis: `${mockMovie.name} is a ${mockMovie.genres.join(' / ').toLowerCase()} film made up for the mock Cineplex API.`,
+    genres: mockMovie.genres,
+    localRating: mockMovie.rating,
+    cast: cast.map((name) => ({ name })),
+    releaseDate: formatLocalDateTime(releaseDate),
+    runtimeInMinutes: mockMovie.runtimeInMinutes,
+    mediumPosterImageUrl: null,
+    trailerUrl: null
+  };
+}
+
+// Statuses of seats that can still be bought
+const OPEN_STATUSES = ['Available', 'Wheelchair', 'Companion'];
+
+/**
+ * Status for a seat that isn't an ordinary seat: wheelchair and companion
+ * spaces at the ends of the back row, house seats in the middle of the
+ * auditorium, and the odd broken seat
+ * @returns {Array<string>|null} [open status, sold status], or null for an ordinary seat
+ */
+function specialSeatStatuses(row, seat, rows, seatsPerRow, random) {
+  if (row === rows - 1 && (seat <= 2 || seat > seatsPerRow - 2)) {
+    return seat === 1 || seat === seatsPerRow
+      ? ['Wheelchair', 'WheelchairOccupied']
+      : ['Companion', 'CompanionOccupied'];
+  }
+  if (row === Math.floor(rows / 2) && Math.abs(seat - seatsPerRow / 2) <= 1) {
+    return ['House', 'House'];
+  }
+  if (random() < 0.005) {
+    return ['Broken', 'Broken'];
+  }
+  return null;
+}
+
+/**
+ * GET /theatre/:id/showtime/:id/seat-availability - seats sell over the
+ * five days before the show, more of them for evening and weekend shows
+ */
+function mockSeatAvailability(theatreId, showtimeId) {
+  const startsAt = decodeSessionStart(showtimeId);
+  if (isNaN(startsAt.getTime())) return null;
+
+  const random = randomFor('seats', theatreId, showtimeId);
+  const rows = 8 + Math.floor(random() * 7);
+  const seatsPerRow = 12 + Math.floor(random() * 9);
+
+  const hour = startsAt.getHours();
+  const weekend = [0, 5, 6].includes(startsAt.getDay());
+  const demand = Math.min(1, 0.25 + random() * 0.5 + (hour >= 18 ? 0.2 : 0) + (weekend ? 0.15 : 0));
+
+  const salesWindowMs = 5 * 24 * 60 * 60 * 1000;
+  const now = Date.now();
+  const seatAvailabilities = {};
+
+  for (let row = 0; row < rows; row++) {
+    for (let seat = 1; seat <= seatsPerRow; seat++) {
+      const willSell = random() < demand;
+      // Sales accelerate towards showtime
+      const sellsAt = startsAt.getTime() - salesWindowMs * Math.pow(random(), 2);
+      const seatId = `${String.fromCharCode(65 + row)}${seat}`;
+      const [openStatus, soldStatus] = specialSeatStatuses(row, seat, rows, seatsPerRow, random) || ['Available', 'Occupied'];
+      seatAvailabilities[seatId] = willSell && now >= sellsAt ? soldStatus : openStatus;
+    }
+  }
+
+  return { seatAvailabilities };
+}
+
+/**
+ * Produce a synthetic response body for a Cineplex URL
+ * @param {string} url - Full request URL
+ * @returns {Object|Array|null} Response body, or null for unknown endpoints
+ */
+export function mockCineplexResponse(url) {
+  const { pathname, searchParams } = new URL(url);
+
+  if (pathname.endsWith('/theatres')) {
+    return mockTheatres(searchParams);
+  }
+
+  if (pathname.endsWith('/showtimes')) {
+    return mockShowtimes(searchParams);
+  }
+
+  const movieMatch = pathname.match(/\/movies\/(\d+)$/);
+  if (movieMatch) {
+    return mockMovieDetails(parseInt(movieMatch[1], 10));
+  }
+
+  const seatMatch = pathname.match(/\/theatre\/(\d+)\/showtime\/(\d+)\/seat-availability$/);
+  if (seatMatch) {
+    return mockSeatAvailability(parseInt(seatMatch[1], 10), seatMatch[2]);
+  }
+
+  return null;
+}
+
+export default mockCineplexResponse;
@@ -0,0 +1,407 @@
+/**
+ * Background occupancy poller
+ * Periodically walks configured theatres and metro presets, fetches their
+ * showtimes and seat availability and records occupancy snapshots, so the
+ * history stays complete even when nobody is browsing. Only lookups that
+ * go to Cineplex are charged to the request budget; cache hits are free.
+ */
+import { getShowtimes, getSeatAvailability } from './cineplex.js';
+import { findTheatres } from './rankings.js';
+import { mapWithConcurrency } from './concurrency.js';
+import { getMetroAreas } from './metros.js';
+import theatreDirectory from './theatreDirectory.js';
+import { getTheatreTimeZone, localTimeToEpoch, upcomingDates } from './timeZones.js';
+import { createLogger, runWithContext } from './logger.js';
+import { getConfig } from './config.js';
+
+const log = createLogger('poller');
+
+const HOUR_MS = 60 * 60 * 1000;
+const THEATRE_REFRESH_MS = 24 * HOUR_MS;
+const SEATS_CONCURRENCY = 5;
+
+/**
+ * Fixed-window budget for upstream requests made by the poller
+ */
+class RequestBudget {
+  constructor(limit, windowMs) {
+    this.limit = limit;
+    this.windowMs = windowMs;
+    this.windowStart = Date.now();
+    this.used = 0;
+  }
+
+  roll() {
+    const now = Date.now();
+    if (now - this.windowStart >= this.windowMs) {
+      this.windowStart = now;
+      this.used = 0;
+    }
+  }
+
+  /**
+   * Whether the budget has room for more requests
+   * @param {number} count - Requests needed
+   * @returns {boolean}
+   */
+  hasRemaining(count = 1) {
+    this.roll();
+    return this.used + count <= this.limit;
+  }
+
+  /**
+   * Charge a request made. Concurrent lookups that passed hasRemaining
+   * together may take the budget slightly over its limit.
+   */
+  consume() {
+    this.roll();
+    this.used++;
+  }
+
+  getStats() {
+    this.roll();
+    return {
+      limit: this.limit,
+      used: this.used,
+      remaining: this.limit - this.used,
+      windowMs: this.windowMs,
+      resetsAt: new Date(this.windowStart + this.windowMs).toISOString()
+    };
+  }
+}
+
+/**
+ * Poll interval multiplier for a session. Polling backs off as the
+ * showtime gets further away.
+ * @param {number} msUntilStart - Time until the showtime starts
+ * @returns {number} Multiplier for the base interval
+ */
+export function getBackoffFactor(msUntilStart) {
+  if (msUntilStart <= 6 * HOUR_MS) return 1;
+  if (msUntilStart <= 24 * HOUR_MS) return 2;
+  if (msUntilStart <= 72 * HOUR_MS) return 4;
+  return 8;
+}
+
+/**
+ * Poller config from the poller settings
+ * @param {Object} [settings] - Poller settings (default: the poller section of the config)
+ * @returns {Object} Poller config
+ */
+export function readPollerConfig(settings = getConfig().poller) {
+  return {
+    enabled: settings.enabled,
+    theatreIds: settings.theatreIds,
+    metros: settings.metros,
+    daysAhead: settings.daysAhead,
+    intervalMs: settings.intervalMinutes * 60 * 1000,
+    requestBudget: settings.requestBudget,
+    budgetWindowMs: HOUR_MS
+  };
+}
+
+class Poller {
+  /**
+   * @param {Object} config - Poller config (see readPollerConfig)
+   */
+  constructor(config) {
+    this.config = config;
+    this.budget = new RequestBudget(config.requestBudget, config.budgetWindowMs);
+    // Charged by lookups only when they go to Cineplex
+    this.lookupOptions = { onUpstreamFetch: () => this.budget.consume() };
+    this.theatres = new Map();
+    this.theatresRefreshedAt = 0;
+    this.jobs = new Map();
+    this.timer = null;
+    // Bumped by stop(), so a tick that finishes afterwards doesn't schedule another
+    this.generation = 0;
+    this.running = false;
+    this.ticks = 0;
+    this.lastTickAt = null;
+    this.lastTick = null;
+  }
+
+  /**
+   * Start polling on the configured cadence
+   */
+  start() {
+    if (this.timer) return;
+
+    log.info('Starting', {
+      intervalMinutes: this.config.intervalMs / 60000,
+      daysAhead: this.config.daysAhead,
+      requestBudgetPerHour: this.config.requestBudget
+    });
+
+    const generation = this.generation;
+    const run = async () => {
+      // Tag everything a tick logs, including upstream calls, with the tick
+      await runWithContext({ requestId: `poller-${this.ticks + 1}` }, () => this.tick());
+      if (generation !== this.generation) return;
+      this.timer = setTimeout(run, this.config.intervalMs);
+      this.timer.unref();
+    };
+
+    this.timer = setTimeout(run, 0);
+    this.timer.unref();
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.generation++;
+  }
+
+  /**
+   * Run one polling pass: refresh theatres, showtimes that are due, then seats that are due
+   */
+  async tick() {
+    if (this.running) return;
+
+    this.running = true;
+    this.ticks++;
+    this.lastTickAt = Date.now();
+    const summary = { showtimeFetches: 0, seatReadings: 0, failures: 0, deferred: 0 };
+
+    try {
+      await this.refreshTheatres();
+      this.syncJobs();
+      await this.refreshShowtimes(summary);
+      await this.pollSeats(summary);
+    } catch (error) {
+      log.error('Tick failed', { error, stack: error.stack });
+    } finally {
+      this.running = false;
+      this.lastTick = { ...summary, durationMs: Date.now() - this.lastTickAt };
+      log.info('Tick completed', { tick: this.ticks, ...this.lastTick });
+    }
+  }
+
+  /**
+   * Resolve configured theatre IDs and metro presets to a theatre list
+   */
+  async refreshTheatres() {
+    if (Date.now() - this.theatresRefreshedAt < THEATRE_REFRESH_MS) return;
+
+    // Theatre details by ID; configured IDs are looked up in the directory
+    const theatres = new Map();
+    for (const theatreId of this.config.theatreIds) {
+      const known = this.theatres.get(String(theatreId)) || await theatreDirectory.lookup(theatreId);
+      theatres.set(String(theatreId), known || null);
+    }
+
+    let complete = true;
+    for (const metro of this.config.metros) {
+      const areas = getMetroAreas(metro);
+      if (!areas) {
+        log.warn('Unknown metro preset', { metro });
+        continue;
+      }
+
+      if (!this.budget.hasRemaining(areas.length)) {
+        // Keep the previous list and try again next tick
+        log.warn('Request budget exhausted before resolving metro', { metro });
+        return;
+      }
+
+      const { theatres: metroTheatres, failedAreas } = await findTheatres(areas, undefined, this.lookupOptions);
+      metroTheatres.forEach((theatre) => {
+        theatres.set(String(theatre.id), theatre);
+      });
+      if (failedAreas > 0) {
+        complete = false;
+      }
+    }
+
+    this.theatres = theatres;
+
+    // Retry on the next tick if any area failed to resolve
+    if (complete) {
+      this.theatresRefreshedAt = Date.now();
+    }
+  }
+
+  /**
+   * Create jobs for each theatre and tracked date (from today in its zone), and drop jobs for past dates
+   */
+  syncJobs() {
+    const now = Date.now();
+    const activeKeys = new Set();
+    for (const [theatreId, knownTheatre] of this.theatres) {
+      const theatre = knownTheatre || theatreDirectory.get(theatreId);
+      // Dates and start times are theatre-local, so both use the theatre's zone
+      const timeZone = getTheatreTimeZone(theatre);
+
+      for (const [dayOffset, date] of upcomingDates(this.config.daysAhead, timeZone, now).entries()) {
+        const key = `${theatreId}:${date}`;
+        activeKeys.add(key);
+
+        const job = this.jobs.get(key);
+        if (job) {
+          job.dayOffset = dayOffset;
+          job.theatreName = theatre?.name || job.theatreName;
+          job.timeZone = timeZone;
+          continue;
+        }
+
+        this.jobs.set(key, {
+          theatreId,
+          theatreName: theatre?.name || null,
+          timeZone,
+          date,
+          dayOffset,
+          status: 'pending',
+          lastRunAt: null,
+          nextRunAt: 0,
+          lastError: null,
+          sessions: new Map()
+        });
+      }
+    }
+
+    for (const key of this.jobs.keys()) {
+      if (!activeKeys.has(key)) {
+        this.jobs.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Fetch showtimes for due jobs. Later dates are refreshed less often.
+   */
+  async refreshShowtimes(summary) {
+    const now = Date.now();
+    const dueJobs = [...this.jobs.values()]
+      .filter((job) => job.nextRunAt <= now)
+      .sort((a, b) => a.dayOffset - b.dayOffset);
+
+    for (const job of dueJobs) {
+      if (!this.budget.hasRemaining()) {
+        job.status = 'deferred';
+        summary.deferred++;
+        continue;
+      }
+
+      job.lastRunAt = Date.now();
+      summary.showtimeFetches++;
+
+      try {
+        const { data: schedule } = await getShowtimes(job.theatreId, job.date, this.lookupOptions);
+        const sessions = new Map();
+
+        schedule.sessions.forEach((session) => {
+          const existing = job.sessions.get(session.id);
+          sessions.set(session.id, {
+            showtimeId: session.id,
+            startsAt: session.startsAt,
+            lastPolledAt: existing?.lastPolledAt || null,
+            nextPollAt: existing?.nextPollAt || 0
+          });
+        });
+
+        if (schedule.sessions.length > 0 && !job.theatreName) {
+          job.theatreName = schedule.sessions[0].theatreName;
+        }
+
+        job.sessions = sessions;
+        job.status = 'ok';
+        job.lastError = null;
+        job.nextRunAt = Date.now() + this.config.intervalMs * Math.pow(2, Math.min(job.dayOffset, 2));
+      } catch (error) {
+        summary.failures++;
+        job.status = 'error';
+        job.lastError = error.message;
+        job.nextRunAt = Date.now() + this.config.intervalMs;
+      }
+    }
+  }
+
+  /**
+   * Record seat availability for upcoming sessions that are due, nearest first
+   */
+  async pollSeats(summary) {
+    const now = Date.now();
+    const dueSessions = [];
+
+    for (const job of this.jobs.values()) {
+      for (const session of job.sessions.values()) {
+        const startsAt = localTimeToEpoch(session.startsAt, job.timeZone);
+        if (startsAt > now && session.nextPollAt <= now) {
+          dueSessions.push({ job, session, startsAt });
+        }
+      }
+    }
+
+    dueSessions.sort((a, b) => a.startsAt - b.startsAt);
+
+    await mapWithConcurrency(dueSessions, SEATS_CONCURRENCY, async ({ job, session, startsAt }) => {
+      if (!this.budget.hasRemaining()) {
+        summary.deferred++;
+        return;
+      }
+
+      try {
+        // getSeatAvailability records the snapshot in the history store
+        const { stale } = await getSeatAvailability(job.theatreId, session.showtimeId, this.lookupOptions);
+        // A stale result means Cineplex failed and nothing new was recorded
+        if (stale) {
+          summary.failures++;
+        } else {
+          summary.seatReadings++;
+        }
+      } catch (error) {
+        summary.failures++;
+      }
+
+      session.lastPolledAt = Date.now();
+      session.nextPollAt = Date.now() + this.config.intervalMs * getBackoffFactor(startsAt - Date.now());
+    });
+  }
+
+  /**
+   * Get poller status for the admin route
+   * @returns {Object} Poller status
+   */
+  getStatus() {
+    const toISO = (timestamp) => (timestamp ? new Date(timestamp).toISOString() : null);
+
+    return {
+      enabled: this.config.enabled,
+      active: this.timer !== null,
+      running: this.running,
+      intervalMs: this.config.intervalMs,
+      daysAhead: this.config.daysAhead,
+      ticks: this.ticks,
+      lastTickAt: toISO(this.lastTickAt),
+      lastTick: this.lastTick,
+      budget: this.budget.getStats(),
+      theatres: this.theatres.size,
+      theatresRefreshedAt: toISO(this.theatresRefreshedAt),
+      jobs: [...this.jobs.values()].map((job) => ({
+        theatreId: job.theatreId,
+        theatreName: job.theatreName,
+        timeZone: job.timeZone,
+        date: job.date,
+        status: job.status,
+        lastRunAt: toISO(job.lastRunAt),
+        nextRunAt: toISO(job.nextRunAt),
+        lastError: job.lastError,
+        sessions: job.sessions.size
+      }))
+    };
+  }
+}
+
+/**
+ * Create a poller
+ * @param {Object} config - Poller config (see readPollerConfig)
+ * @returns {Poller} Poller instance (not started)
+ */
+export function createPoller(config) {
+  return new Poller(config);
+}
+
+export default createPoller;
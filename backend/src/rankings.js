@@ -0,0 +1,539 @@
+/**
+ * Server-side movie ranking
+ * Fans out to theatres, showtimes and seat availability for a set of search
+ * areas and ranks movies by average seat occupancy or selling velocity.
+ * When filtering by genre or rating, movies are tagged with both from movie
+ * details and filtered on them before any seats are looked up. The same sessions
+ * also rank the theatres, with per-auditorium and per-time-slot breakdowns.
+ */
+import { getTheatres, getShowtimes, getMovieDetails, getSeatAvailability } from './cineplex.js';
+import { mapWithConcurrency } from './concurrency.js';
+import historyStore from './historyStore.js';
+import { computeSessionVelocity, sumVelocity } from './velocity.js';
+import { createLogger } from './logger.js';
+import { SCHEMA_VERSION } from './schema.js';
+
+const log = createLogger('rankings');
+
+const SHOWTIMES_CONCURRENCY = 5;
+const DETAILS_CONCURRENCY = 5;
+const SEATS_CONCURRENCY = 15;
+
+// Minimum time between partial movie lists sent to onProgress
+const PARTIAL_RESULTS_INTERVAL_MS = 500;
+
+// Seat lookups per ranking request, across all its dates. A multi-date
+// request gives each date an equal share so later days aren't crowded out.
+export const MAX_SEAT_LOOKUPS = 200;
+
+// Dates per ranking request (a week of advance sales)
+export const MAX_DATES = 7;
+
+// Search areas per ranking request (largest metro preset has 6)
+export const MAX_AREAS = 12;
+
+// Ranking modes: raw occupancy, or seats sold per hour
+export const SORT_MODES = ['occupancy', 'momentum'];
+
+// Parts of the day sessions are grouped into, by theatre-local start hour
+export const TIME_SLOTS = [
+  { slot: 'morning', fromHour: 0 },
+  { slot: 'afternoon', fromHour: 12 },
+  { slot: 'evening', fromHour: 17 },
+  { slot: 'late', fromHour: 21 }
+];
+
+const DEFAULT_RADIUS_KM = 5;
+const MAX_RADIUS_KM = 50;
+
+/**
+ * Parse an areas query parameter ("lat,lon,radius;lat,lon,radius")
+ * @param {string} areasParam - Raw query parameter
+ * @returns {Array<Object>|null} Areas with latitude, longitude and radius, or null if invalid
+ */
+export function parseAreas(areasParam) {
+  if (typeof areasParam !== 'string') return null;
+
+  const entries = areasParam.split(';').filter(Boolean);
+  if (entries.length === 0 || entries.length > MAX_AREAS) return null;
+
+  const areas = [];
+  for (const entry of entries) {
+    const [latitude, longitude, radius = DEFAULT_RADIUS_KM] = entry.split(',').map(Number);
+
+    if (isNaN(latitude) || isNaN(longitude) || latitude < -90 || latitude > 90 || longitude < -180 || longitude > 180) {
+      return null;
+    }
+    if (isNaN(radius) || radius <= 0 || radius > MAX_RADIUS_KM) {
+      return null;
+    }
+
+    areas.push({ latitude, longitude, radius });
+  }
+
+  return areas;
+}
+
+/**
+ * Compare movies by average occupancy (highest first), earliest showtime breaking ties
+ */
+function compareByOccupancy(a, b) {
+  // Movies with occupancy data come first
+  if (a.averageOccupancy !== undefined && b.averageOccupancy === undefined) return -1;
+  if (a.averageOccupancy === undefined && b.averageOccupancy !== undefined) return 1;
+
+  // Both have occupancy data - sort by occupancy descending
+  if (a.averageOccupancy !== undefined && b.averageOccupancy !== undefined) {
+    if (a.averageOccupancy !== b.averageOccupancy) {
+      return b.averageOccupancy - a.averageOccupancy;
+    }
+  }
+
+  // Tie-breaker: earliest showtime
+  return new Date(a.earliestStartsAt) - new Date(b.earliestStartsAt);
+}
+
+/**
+ * Compare movies by seats sold per hour (fastest first), falling back to occupancy
+ */
+function compareByMomentum(a, b) {
+  // Movies with velocity data come first
+  if (a.seatsPerHour !== undefined && b.seatsPerHour === undefined) return -1;
+  if (a.seatsPerHour === undefined && b.seatsPerHour !== undefined) return 1;
+
+  if (a.seatsPerHour !== undefined && b.seatsPerHour !== undefined && a.seatsPerHour !== b.seatsPerHour) {
+    return b.seatsPerHour - a.seatsPerHour;
+  }
+
+  return compareByOccupancy(a, b);
+}
+
+/**
+ * Occupancy metrics for a group of sessions
+ * @param {Array<Object>} sessions - Sessions, optionally enriched with seat data
+ * @returns {Object} { availableCount, averageOccupancy, totalSeatsBooked, totalSeatsAvailable, seatsPerHour }
+ */
+function summarizeSessions(sessions) {
+  const availableCount = sessions.filter((s) => !s.soldOut).length;
+
+  // Calculate average occupancy from sessions with seat data
+  const sessionsWithSeatData = sessions.filter(s => s.occupancyPercentage !== undefined);
+  const averageOccupancy = sessionsWithSeatData.length > 0
+    ? Math.round(
+        sessionsWithSeatData.reduce((sum, s) => sum + s.occupancyPercentage, 0) /
+        sessionsWithSeatData.length
+      )
+    : undefined;
+
+  // Calculate total seats booked/available
+  const totalSeatsBooked = sessions
+    .filter(s => s.occupiedSeats !== undefined)
+    .reduce((sum, s) => sum + s.occupiedSeats, 0);
+
+  // Capacity is sellable seats, so house and blocked seats don't count as unsold
+  const totalSeatsAvailable = sessions
+    .filter(s => s.sellableSeats !== undefined)
+    .reduce((sum, s) => sum + s.sellableSeats, 0);
+
+  return {
+    availableCount,
+    averageOccupancy,
+    totalSeatsBooked: totalSeatsBooked > 0 ? totalSeatsBooked : undefined,
+    totalSeatsAvailable: totalSeatsAvailable > 0 ? totalSeatsAvailable : undefined,
+    seatsPerHour: sumVelocity(sessions),
+  };
+}
+
+/**
+ * Group sessions by movie and calculate occupancy metrics
+ * @param {Array<Object>} sessions - Sessions (see schema.js), optionally enriched with seat data
+ * @param {Map<number, Object>} movies - Movies by ID
+ * @param {string} [sort] - Ranking mode ('occupancy' or 'momentum')
+ * @param {Array<string>} [dates] - Dates covered (M/D/YYYY). With more than one, each
+ *   movie gets a per-day breakdown in `days`, matched on each session's `date`.
+ * @returns {Array<Object>} Ranked movies: Movie fields plus sessions and occupancy metrics
+ */
+export function rankMovies(sessions, movies, sort = 'occupancy', dates = []) {
+  const movieGroups = new Map();
+
+  sessions.forEach((session) => {
+    if (!movieGroups.has(session.movieId)) {
+      movieGroups.set(session.movieId, {
+        ...movies.get(session.movieId),
+        sessions: [],
+      });
+    }
+
+    movieGroups.get(session.movieId).sessions.push(session);
+  });
+
+  const rankedMovies = [...movieGroups.values()].map((movie) => {
+    // Find earliest showtime for tie-breaking
+    const earliestSession = movie.sessions.reduce((earliest, current) => {
+      return new Date(current.startsAt) < new Date(earliest.startsAt) ? current : earliest;
+    });
+
+    const ranked = {
+      ...movie,
+      ...summarizeSessions(movie.sessions),
+      earliestStartsAt: earliestSession.startsAt,
+    };
+
+    if (dates.length > 1) {
+      ranked.days = dates.map((date) => {
+        const daySessions = movie.sessions.filter((s) => s.date === date);
+        return { date, sessionCount: daySessions.length, ...summarizeSessions(daySessions) };
+      });
+    }
+
+    return ranked;
+  });
+
+  rankedMovies.sort(sort === 'momentum' ? compareByMomentum : compareByOccupancy);
+
+  return rankedMovies;
+}
+
+/**
+ * Time slot a session starts in
+ * @param {string} startsAt - Theatre-local start time (YYYY-MM-DDTHH:mm:ss)
+ * @returns {string} One of the TIME_SLOTS slots
+ */
+function getTimeSlot(startsAt) {
+  const hour = Number(startsAt.slice(11, 13));
+  return TIME_SLOTS.findLast(({ fromHour }) => hour >= fromHour).slot;
+}
+
+/**
+ * Compare theatres by average occupancy (highest first), seats booked breaking ties
+ */
+function compareTheatres(a, b) {
+  // Theatres with occupancy data come first
+  if (a.averageOccupancy !== undefined && b.averageOccupancy === undefined) return -1;
+  if (a.averageOccupancy === undefined && b.averageOccupancy !== undefined) return 1;
+
+  if (a.averageOccupancy !== undefined && b.averageOccupancy !== undefined && a.averageOccupancy !== b.averageOccupancy) {
+    return b.averageOccupancy - a.averageOccupancy;
+  }
+
+  return (b.totalSeatsBooked ?? 0) - (a.totalSeatsBooked ?? 0) || b.sessionCount - a.sessionCount;
+}
+
+/**
+ * Rank theatres by the occupancy of their sessions
+ * @param {Array<Object>} sessions - Sessions, optionally enriched with seat data
+ * @param {Array<Theatre>} theatres - Theatres searched; those without sessions are ranked last
+ * @returns {Array<Object>} { theatreId, name, sessionCount, ...occupancy metrics, auditoriums, timeSlots }.
+ *   Auditoriums are ranked like theatres; time slots are in TIME_SLOTS order, empty ones left out.
+ */
+export function rankTheatres(sessions, theatres) {
+  const sessionsByTheatre = new Map(theatres.map((theatre) => [theatre.id, []]));
+  sessions.forEach((session) => sessionsByTheatre.get(session.theatreId)?.push(session));
+
+  const summarizeGroup = (groupSessions) => ({
+    sessionCount: groupSessions.length,
+    ...summarizeSessions(groupSessions)
+  });
+
+  const rankedTheatres = theatres.map((theatre) => {
+    const theatreSessions = sessionsByTheatre.get(theatre.id);
+
+    const auditoriums = new Map();
+    theatreSessions.forEach((session) => {
+      const auditorium = session.auditorium ?? null;
+      if (!auditoriums.has(auditorium)) auditoriums.set(auditorium, []);
+      auditoriums.get(auditorium).push(session);
+    });
+
+    return {
+      theatreId: theatre.id,
+      name: theatre.name,
+      ...summarizeGroup(theatreSessions),
+      auditoriums: [...auditoriums.entries()]
+        .map(([auditorium, auditoriumSessions]) => ({ auditorium, ...summarizeGroup(auditoriumSessions) }))
+        .sort(compareTheatres),
+      timeSlots: TIME_SLOTS
+        .map(({ slot }) => ({ slot, ...summarizeGroup(theatreSessions.filter((s) => getTimeSlot(s.startsAt) === slot)) }))
+        .filter((timeSlot) => timeSlot.sessionCount > 0)
+    };
+  });
+
+  return rankedTheatres.sort(compareTheatres);
+}
+
+/**
+ * Total records dropped during normalization
+ * @param {Object} dropped - Dropped records by type
+ * @returns {number}
+ */
+function countDropped(dropped) {
+  return Object.values(dropped).reduce((sum, count) => sum + count, 0);
+}
+
+/**
+ * Track the oldest fetch time among stale (served-on-error) results
+ * @param {number|null} staleAsOf - Oldest stale fetch time so far
+ * @param {Object} result - Cached Cineplex result
+ * @returns {number|null} Updated oldest stale fetch time
+ */
+function trackStale(staleAsOf, result) {
+  if (!result.stale) return staleAsOf;
+  return staleAsOf === null ? result.storedAt : Math.min(staleAsOf, result.storedAt);
+}
+
+/**
+ * Track the oldest fetch time among all results, fresh or stale
+ * @param {number|null} dataAsOf - Oldest fetch time so far
+ * @param {Object} result - Cached Cineplex result
+ * @returns {number|null} Updated oldest fetch time
+ */
+function trackDataAsOf(dataAsOf, result) {
+  return dataAsOf === null ? result.storedAt : Math.min(dataAsOf, result.storedAt);
+}
+
+/**
+ * Whether a movie passes the genre and rating filters. Movies whose details
+ * couldn't be loaded only pass when there are no filters.
+ * @param {Object} movie - Movie with genres and rating (null if unknown)
+ * @param {Object} filters - { genres, ratings }, lower-case; empty lists match everything
+ * @returns {boolean}
+ */
+function matchesFilters(movie, { genres = [], ratings = [] }) {
+  if (genres.length > 0 && !(movie.genres || []).some((genre) => genres.includes(genre.toLowerCase()))) {
+    return false;
+  }
+  if (ratings.length > 0 && !(movie.rating && ratings.includes(movie.rating.toLowerCase()))) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Fetch and deduplicate theatres across search areas
+ * @param {Array<Object>} areas - Areas with latitude, longitude and radius
+ * @param {Function} [onAreaDone] - Called after each area with the number of areas done
+ * @param {LookupOptions} [lookupOptions] - Passed to each theatre lookup (see cineplex.js)
+ * @returns {Promise<Object>} { theatres: Array<Theatre>, failedAreas, staleAsOf, dataAsOf }
+ */
+export async function findTheatres(areas, onAreaDone = () => {}, lookupOptions = {}) {
+  const theatres = [];
+  const seenTheatreIds = new Set();
+  let failedAreas = 0;
+  let staleAsOf = null;
+  let dataAsOf = null;
+
+  for (const [index, area] of areas.entries()) {
+    try {
+      const result = await getTheatres({
+        latitude: area.latitude,
+        longitude: area.longitude,
+        accuracyKm: area.radius,
+      }, lookupOptions);
+      staleAsOf = trackStale(staleAsOf, result);
+      dataAsOf = trackDataAsOf(dataAsOf, result);
+
+      result.data.theatres.forEach((theatre) => {
+        if (!seenTheatreIds.has(theatre.id)) {
+          seenTheatreIds.add(theatre.id);
+          theatres.push(theatre);
+        }
+      });
+    } catch (error) {
+      failedAreas++;
+      log.error('Failed to fetch theatres', { latitude: area.latitude, longitude: area.longitude, error });
+    }
+    onAreaDone(index + 1);
+  }
+
+  return { theatres, failedAreas, staleAsOf, dataAsOf };
+}
+
+/**
+ * Progress of a ranking build, passed to the onProgress callback
+ * @typedef {Object} RankingsProgress
+ * @property {string} type - 'progress' ({ stage, completed, total }), 'theatres' ({ theatres })
+ *   or 'movies' ({ movies } ranked from the data resolved so far)
+ * @property {string} [stage] - theatres, showtimes or seats
+ * @property {number} [completed] - Lookups finished in this stage
+ * @property {number} [total] - Lookups in this stage
+ */
+
+/**
+ * Choose which sessions get a seat lookup: the earliest of each date, up
+ * to that date's share of the budget
+ * @param {Array<Object>} sessions - Sessions tagged with their schedule date
+ * @param {Array<string>} dates - Dates covered
+ * @returns {Array<Object>} Sessions to look up, earliest first
+ */
+function selectSeatLookups(sessions, dates) {
+  const perDate = Math.floor(MAX_SEAT_LOOKUPS / dates.length);
+
+  return dates
+    .flatMap((date) => sessions
+      .filter((session) => session.date === date)
+      .sort((a, b) => new Date(a.startsAt) - new Date(b.startsAt))
+      .slice(0, perDate))
+    .sort((a, b) => new Date(a.startsAt) - new Date(b.startsAt));
+}
+
+/**
+ * Build the ranked movie list for a set of search areas over one or more dates
+ * @param {Object} options
+ * @param {Array<Object>} options.areas - Areas with latitude, longitude and radius
+ * @param {Array<string>} options.dates - Dates in format M/D/YYYY (up to MAX_DATES).
+ *   Movies are ranked across all of them, with a per-day breakdown when there are several.
+ * @param {string} [options.sort] - Ranking mode ('occupancy' or 'momentum')
+ * @param {Object} [options.filters] - Only movies in any of filters.genres and
+ *   rated any of filters.ratings (lower-case lists; empty lists match everything).
+ *   Movie details are only looked up when one of the lists is non-empty.
+ * @param {Function} [options.onProgress] - Called with a RankingsProgress as lookups finish
+ * @param {LookupOptions} [options.lookupOptions] - Passed to every Cineplex lookup (see cineplex.js)
+ * @returns {Promise<Object>} { schemaVersion, date, dates, sort, filters, stale, asOf, dataAsOf, theatres, movies,
+ *   theatreRankings, stats }
+ */
+export async function buildRankings({ areas, dates, sort = 'occupancy', filters = {}, onProgress = () => {}, lookupOptions = {} }) {
+  const reportStage = (stage, completed, total) => onProgress({ type: 'progress', stage, completed, total });
+
+  reportStage('theatres', 0, areas.length);
+  const {
+    theatres,
+    failedAreas,
+    staleAsOf: theatresStaleAsOf,
+    dataAsOf: theatresDataAsOf
+  } = await findTheatres(
+    areas,
+    (completed) => reportStage('theatres', completed, areas.length),
+    lookupOptions
+  );
+  let staleAsOf = theatresStaleAsOf;
+  let dataAsOf = theatresDataAsOf;
+  onProgress({ type: 'theatres', theatres });
+
+  // One schedule per theatre and date, each its own cache entry
+  const scheduleLookups = theatres.flatMap((theatre) => dates.map((date) => ({ theatre, date })));
+  let showtimesDone = 0;
+  reportStage('showtimes', 0, scheduleLookups.length);
+  const showtimeResults = await mapWithConcurrency(scheduleLookups, SHOWTIMES_CONCURRENCY, async ({ theatre, date }) => {
+    try {
+      const result = await getShowtimes(theatre.id, date, lookupOptions);
+      staleAsOf = trackStale(staleAsOf, result);
+      dataAsOf = trackDataAsOf(dataAsOf, result);
+      return result.data;
+    } catch (error) {
+      log.error('Failed to fetch showtimes', { theatreId: theatre.id, date, error });
+      return null;
+    } finally {
+      reportStage('showtimes', ++showtimesDone, scheduleLookups.length);
+    }
+  });
+
+  const schedules = showtimeResults.filter(Boolean);
+  const movies = new Map();
+  schedules.forEach((schedule) => schedule.movies.forEach((movie) => movies.set(movie.id, movie)));
+
+  // Genres and ratings come from movie details (cached for an hour), which
+  // are only needed to filter; clients load details for one movie on demand
+  const { genres = [], ratings = [] } = filters;
+  const needsDetails = genres.length > 0 || ratings.length > 0;
+  let failedMovieDetails = 0;
+  await mapWithConcurrency(needsDetails ? [...movies.values()] : [], DETAILS_CONCURRENCY, async (movie) => {
+    let details = null;
+    try {
+      const result = await getMovieDetails(movie.id, lookupOptions);
+      staleAsOf = trackStale(staleAsOf, result);
+      dataAsOf = trackDataAsOf(dataAsOf, result);
+      details = result.data;
+    } catch (error) {
+      failedMovieDetails++;
+      log.warn('Failed to fetch movie details', { movieId: movie.id, error });
+    }
+    movies.set(movie.id, { ...movie, genres: details ? details.genres : null, rating: details ? details.rating : null });
+  });
+
+  const unfilteredMovies = movies.size;
+  movies.forEach((movie, movieId) => {
+    if (!matchesFilters(movie, filters)) movies.delete(movieId);
+  });
+
+  // Copy sessions: seat data is added below and cached schedules must not change.
+  // Each is tagged with the date it was scheduled under for the per-day breakdown.
+  const seenSessions = new Set();
+  const sessions = schedules
+    .flatMap((schedule) => schedule.sessions.map((session) => ({ ...session, date: schedule.date })))
+    .filter((session) => {
+      const key = `${session.theatreId}:${session.id}`;
+      if (!movies.has(session.movieId) || seenSessions.has(key)) return false;
+      seenSessions.add(key);
+      return true;
+    });
+
+  // Prioritize earlier showtimes for seat lookups
+  const sessionsToFetch = selectSeatLookups(sessions, dates);
+
+  // Movies are listed as soon as showtimes are in, then re-ranked as seat data arrives
+  let lastPartialAt = Date.now();
+  onProgress({ type: 'movies', movies: rankMovies(sessions, movies, sort, dates) });
+
+  let failedSeatLookups = 0;
+  let seatsDone = 0;
+  reportStage('seats', 0, sessionsToFetch.length);
+  await mapWithConcurrency(sessionsToFetch, SEATS_CONCURRENCY, async (session) => {
+    try {
+      const result = await getSeatAvailability(session.theatreId, session.id, lookupOptions);
+      const seatData = result.data;
+      staleAsOf = trackStale(staleAsOf, result);
+      dataAsOf = trackDataAsOf(dataAsOf, result);
+      session.totalSeats = seatData.totalSeats;
+      session.sellableSeats = seatData.sellableSeats;
+      session.occupiedSeats = seatData.occupiedSeats;
+      session.availableSeats = seatData.availableSeats;
+      session.accessibleSeats = seatData.accessibleSeats;
+      session.occupancyPercentage = seatData.occupancyPercentage;
+
+      const velocity = computeSessionVelocity(historyStore.getTimeline(session.theatreId, session.id));
+      if (velocity) {
+        session.seatsPerHour = velocity.seatsPerHour;
+      }
+    } catch (error) {
+      // Seat availability is not critical - the session is ranked without it
+      failedSeatLookups++;
+    }
+
+    reportStage('seats', ++seatsDone, sessionsToFetch.length);
+    if (Date.now() - lastPartialAt >= PARTIAL_RESULTS_INTERVAL_MS && seatsDone < sessionsToFetch.length) {
+      lastPartialAt = Date.now();
+      onProgress({ type: 'movies', movies: rankMovies(sessions, movies, sort, dates) });
+    }
+  });
+
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    // First date, for clients that only handle one
+    date: dates[0],
+    dates,
+    sort,
+    filters,
+    // Set when Cineplex failed and some data was served from an older cached copy
+    stale: staleAsOf !== null,
+    asOf: staleAsOf !== null ? new Date(staleAsOf).toISOString() : undefined,
+    // When the oldest cached copy used was fetched from Cineplex
+    dataAsOf: dataAsOf !== null ? new Date(dataAsOf).toISOString() : undefined,
+    theatres,
+    movies: rankMovies(sessions, movies, sort, dates),
+    theatreRankings: rankTheatres(sessions, theatres),
+    stats: {
+      areas: areas.length,
+      failedAreas,
+      theatres: theatres.length,
+      failedShowtimes: showtimeResults.filter(r => r === null).length,
+      failedMovieDetails,
+      filteredOutMovies: unfilteredMovies - movies.size,
+      sessions: sessions.length,
+      droppedRecords: schedules.reduce((sum, schedule) => sum + countDropped(schedule.dropped), 0),
+      seatLookups: sessionsToFetch.length,
+      failedSeatLookups
+    }
+  };
+}
+
+export default buildRankings;
@@ -1,75 +1,220 @@
 /**
- * Simple in-memory rate limiter middleware
- * Limits requests per IP address within a time window
+ * Token-bucket rate limiting
+ *
+ * Each client gets a bucket holding up to `capacity` tokens that refills at
+ * a steady rate; a request spends one token and is rejected when the bucket
+ * is empty. This allows short bursts while holding the long-run rate to
+ * `capacity` per `windowMs`.
+ *
+ * Buckets live in a pluggable store, so separate limiters (one per route
+ * budget, or the outbound Cineplex quota) never share counts, and a store
+ * backed by a shared server could enforce limits across instances.
+ *
+ * Some budgets are charged for the work a request causes rather than per
+ * request: the request is admitted while its bucket isn't overdrawn, and
+ * the work is charged as it happens, which may take the bucket below zero.
+ *
+ * @typedef {Object} BucketStore
+ * @property {function(string, Object): Promise<Object>} take - Atomically refill and spend from a bucket.
+ *   Called with (key, { capacity, refillPerMs, cost, overdraw, now }); resolves to { allowed, tokens }.
+ *   With overdraw the cost is spent even if it leaves the bucket below zero.
  */
+import { createLogger } from './logger.js';
+import { rateLimitRejections } from './metrics.js';
 
-const rateLimitStore = new Map();
-
-// Clean up old entries every minute
-setInterval(() => {
-  const now = Date.now();
-  const oneHourAgo = now - 60 * 60 * 1000;
-  
-  for (const [ip, requests] of rateLimitStore) {
-    const recentRequests = requests.filter(timestamp => timestamp > oneHourAgo);
-    
-    if (recentRequests.length === 0) {
-      rateLimitStore.delete(ip);
-    } else {
-      rateLimitStore.set(ip, recentRequests);
+const log = createLogger('rate-limit');
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * In-process bucket store. Full buckets are swept periodically, since a
+ * missing bucket behaves exactly like a full one.
+ */
+export class MemoryBucketStore {
+  constructor() {
+    this.buckets = new Map();
+    setInterval(() => this.sweep(), SWEEP_INTERVAL_MS).unref();
+  }
+
+  async take(key, { capacity, refillPerMs, cost, overdraw = false, now }) {
+    const bucket = this.buckets.get(key);
+    let tokens = capacity;
+
+    if (bucket) {
+      tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+    }
+
+    const allowed = tokens >= cost;
+    if (allowed || overdraw) {
+      tokens -= cost;
     }
+
+    this.buckets.set(key, {
+      tokens,
+      updatedAt: now,
+      fullAt: now + (capacity - tokens) / refillPerMs
+    });
+
+    return { allowed, tokens };
+  }
+
+  sweep() {
+    const now = Date.now();
+    for (const [key, bucket] of this.buckets) {
+      if (now >= bucket.fullAt) {
+        this.buckets.delete(key);
+      }
+    }
+  }
+
+  get size() {
+    return this.buckets.size;
+  }
+}
+
+/**
+ * A named set of token buckets sharing one budget
+ */
+export class TokenBucketLimiter {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Namespace for bucket keys
+   * @param {number} options.capacity - Bucket size (maximum burst)
+   * @param {number} options.windowMs - Time to refill an empty bucket
+   * @param {BucketStore} [options.store] - Bucket storage (default: a new in-memory store)
+   */
+  constructor({ name, capacity, windowMs, store }) {
+    this.name = name;
+    this.capacity = capacity;
+    this.windowMs = windowMs;
+    this.refillPerMs = capacity / windowMs;
+    this.store = store || new MemoryBucketStore();
+  }
+
+  /**
+   * Spend tokens from a bucket
+   * @param {string} key - Bucket key (client identity)
+   * @param {number} [cost] - Tokens to spend (default: 1)
+   * @param {Object} [options]
+   * @param {boolean} [options.overdraw] - Spend the cost even if the bucket can't cover it
+   * @returns {Promise<Object>} { allowed, remaining, retryAfterMs, resetMs }
+   */
+  async take(key, cost = 1, { overdraw = false } = {}) {
+    const { allowed, tokens } = await this.store.take(`${this.name}:${key}`, {
+      capacity: this.capacity,
+      refillPerMs: this.refillPerMs,
+      cost,
+      overdraw,
+      now: Date.now()
+    });
+
+    return {
+      allowed,
+      remaining: Math.max(0, Math.floor(tokens)),
+      retryAfterMs: allowed ? 0 : Math.ceil((cost - tokens) / this.refillPerMs),
+      resetMs: Math.ceil((this.capacity - tokens) / this.refillPerMs)
+    };
   }
-}, 60 * 1000);
+}
+
+/**
+ * Express "trust proxy" setting from TRUST_PROXY. On Vercel the first hop
+ * is always trusted so req.ip is the client, not Vercel's edge.
+ * @param {string|null} [value] - true/false, a hop count, or addresses/subnets
+ * @returns {boolean|number|string} Value for app.set('trust proxy', ...)
+ */
+export function parseTrustProxy(value) {
+  if (value === undefined || value === null || value === '') {
+    return process.env.VERCEL ? 1 : false;
+  }
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  if (/^\d+$/.test(value)) return parseInt(value, 10);
+  return value;
+}
+
+/**
+ * Identify the client behind a request. Vercel sets
+ * x-vercel-forwarded-for itself, so it can't be spoofed there; elsewhere
+ * req.ip honours X-Forwarded-For according to the trust proxy setting.
+ * @param {Object} req - Express request
+ * @returns {string} Client IP
+ */
+export function getClientId(req) {
+  const vercelForwardedFor = process.env.VERCEL && req.get('x-vercel-forwarded-for');
+  if (vercelForwardedFor) {
+    return vercelForwardedFor.split(',')[0].trim();
+  }
+  return req.ip || req.socket.remoteAddress || 'unknown';
+}
 
 /**
  * Rate limiter middleware factory
  * @param {Object} options - Rate limit options
- * @param {number} options.maxRequests - Maximum requests allowed in time window
+ * @param {string} [options.name] - Budget name; limiters with different names never share buckets
+ * @param {number} options.maxRequests - Requests (or other units) allowed per window (also the burst size)
  * @param {number} options.windowMs - Time window in milliseconds
- * @returns {Function} Express middleware
+ * @param {number} [options.cost] - Tokens a request spends to be admitted (default: 1). With 0,
+ *   requests are admitted while the bucket isn't overdrawn and the work is charged with charge().
+ * @param {string} [options.unit] - What the budget counts, for the 429 message (default: "requests")
+ * @param {string} [options.headerPrefix] - Prefix of the limit headers (default: "X-RateLimit")
+ * @param {BucketStore} [options.store] - Bucket storage (default: in-memory)
+ * @param {Function} [options.keyGenerator] - Maps a request to a bucket key (default: client IP)
+ * @returns {Function} Express middleware, with charge(req, cost) to spend from the request's bucket
  */
 export function createRateLimiter(options = {}) {
   const maxRequests = options.maxRequests || 60;
   const windowMs = options.windowMs || 60 * 1000; // Default: 60 requests per minute
+  const keyGenerator = options.keyGenerator || getClientId;
+  const cost = options.cost ?? 1;
+  const unit = options.unit || 'requests';
+  const headerPrefix = options.headerPrefix || 'X-RateLimit';
 
-  return (req, res, next) => {
-    // Get client IP (handle proxies)
-    const ip = req.ip || req.connection.remoteAddress || 'unknown';
-    const now = Date.now();
-    const windowStart = now - windowMs;
-
-    // Get existing requests for this IP
-    const requests = rateLimitStore.get(ip) || [];
-    
-    // Filter to only requests within current window
-    const recentRequests = requests.filter(timestamp => timestamp > windowStart);
-
-    // Check if rate limit exceeded
-    if (recentRequests.length >= maxRequests) {
-      const oldestRequest = Math.min(...recentRequests);
-      const resetTime = Math.ceil((oldestRequest + windowMs - now) / 1000);
-      
-      res.set('X-RateLimit-Limit', maxRequests);
-      res.set('X-RateLimit-Remaining', 0);
-      res.set('X-RateLimit-Reset', resetTime);
-      
-      return res.status(429).json({
-        error: 'Too many requests',
-        message: `Rate limit exceeded. Maximum ${maxRequests} requests per ${windowMs / 1000} seconds.`,
-        retryAfter: resetTime
-      });
-    }
+  const limiter = new TokenBucketLimiter({
+    name: options.name || 'default',
+    capacity: maxRequests,
+    windowMs,
+    store: options.store
+  });
+
+  const middleware = (req, res, next) => {
+    limiter.take(keyGenerator(req), cost).then(({ allowed, remaining, retryAfterMs, resetMs }) => {
+      res.set(`${headerPrefix}-Limit`, maxRequests);
+      res.set(`${headerPrefix}-Remaining`, remaining);
+      res.set(`${headerPrefix}-Reset`, Math.ceil(resetMs / 1000));
 
-    // Add current request timestamp
-    recentRequests.push(now);
-    rateLimitStore.set(ip, recentRequests);
+      if (!allowed) {
+        rateLimitRejections.inc({ limiter: limiter.name });
+        const retryAfter = Math.ceil(retryAfterMs / 1000);
+        res.set('Retry-After', retryAfter);
 
-    // Set rate limit headers
-    res.set('X-RateLimit-Limit', maxRequests);
-    res.set('X-RateLimit-Remaining', maxRequests - recentRequests.length);
+        return res.status(429).json({
+          error: 'Too many requests',
+          message: `Rate limit exceeded. Maximum ${maxRequests} ${unit} per ${windowMs / 1000} seconds.`,
+          retryAfter
+        });
+      }
 
-    next();
+      next();
+    }).catch((error) => {
+      // Fail open: a broken bucket store shouldn't take the API down
+      log.error('Bucket store failed', { limiter: limiter.name, error });
+      next();
+    });
   };
+
+  /**
+   * Spend from a request's bucket for work done after it was admitted
+   * @param {Object} req - Express request
+   * @param {number} units - Tokens to spend; may overdraw the bucket
+   */
+  middleware.charge = (req, units) => {
+    limiter.take(keyGenerator(req), units, { overdraw: true }).catch((error) => {
+      log.error('Bucket store failed', { limiter: limiter.name, error });
+    });
+  };
+
+  return middleware;
 }
 
 export default createRateLimiter;
@@ -0,0 +1,251 @@
+/**
+ * Ranking reports
+ * Renders a rankings response as a file to keep: CSV (one row per session,
+ * for spreadsheets), JSON, or Markdown tables (for pasting into recaps).
+ * Every format carries when the report was generated, how old the data is,
+ * and which areas were searched: JSON and Markdown in the file, CSV in
+ * response headers plus a data_as_of column, so the file stays plain rows
+ * that spreadsheets import as-is.
+ */
+
+export const REPORT_FORMATS = ['csv', 'json', 'md'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+  md: 'text/markdown; charset=utf-8'
+};
+
+// One CSV row per session; movie columns repeat on each of its sessions
+const CSV_COLUMNS = [
+  ['rank', (movie, session, rank) => rank],
+  ['movie_id', (movie) => movie.id],
+  ['movie', (movie) => movie.name],
+  ['movie_average_occupancy', (movie) => movie.averageOccupancy],
+  ['movie_seats_booked', (movie) => movie.totalSeatsBooked],
+  ['movie_seats_available', (movie) => movie.totalSeatsAvailable],
+  ['movie_seats_per_hour', (movie) => movie.seatsPerHour],
+  ['genres', (movie) => movie.genres?.join(' | ')],
+  ['rating', (movie) => movie.rating],
+  ['theatre_id', (movie, session) => session.theatreId],
+  ['theatre', (movie, session) => session.theatreName],
+  ['session_id', (movie, session) => session.id],
+  ['date', (movie, session) => session.date],
+  ['starts_at', (movie, session) => session.startsAt],
+  ['auditorium', (movie, session) => session.auditorium],
+  ['experience_types', (movie, session) => session.experienceTypes.join(' | ')],
+  ['occupied_seats', (movie, session) => session.occupiedSeats],
+  ['sellable_seats', (movie, session) => session.sellableSeats],
+  ['occupancy_percentage', (movie, session) => session.occupancyPercentage],
+  ['seats_per_hour', (movie, session) => session.seatsPerHour],
+  ['sold_out', (movie, session) => session.soldOut],
+  ['data_as_of', (movie, session, rank, metadata) => metadata.dataAsOf]
+];
+
+/**
+ * Report metadata
+ * @param {Object} rankings - Result of buildRankings
+ * @param {Array<Object>} areas - Areas searched
+ * @param {Date} now - Time the report is generated
+ * @returns {Object}
+ */
+function buildMetadata(rankings, areas, now) {
+  return {
+    generatedAt: now.toISOString(),
+    // The oldest cached copy the ranking was built from
+    dataAsOf: rankings.dataAsOf ?? now.toISOString(),
+    stale: rankings.stale,
+    dates: rankings.dates,
+    sort: rankings.sort,
+    filters: rankings.filters,
+    areas,
+    theatres: rankings.stats.theatres,
+    sessions: rankings.stats.sessions,
+    seatLookups: rankings.stats.seatLookups,
+    failedSeatLookups: rankings.stats.failedSeatLookups
+  };
+}
+
+/**
+ * Dates covered, e.g. "2/6/2026" or "2/6/2026 – 2/8/2026"
+ */
+function formatDates(dates) {
+  return dates.length === 1 ? dates[0] : `${dates[0]} – ${dates[dates.length - 1]}`;
+}
+
+/**
+ * M/D/YYYY as YYYY-MM-DD, for file names
+ */
+function isoDate(date) {
+  const [month, day, year] = date.split('/');
+  return `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+}
+
+function formatArea({ latitude, longitude, radius }) {
+  return `${latitude},${longitude} (${radius} km)`;
+}
+
+/**
+ * Genre and rating filters as text, one entry per filter given
+ */
+function describeFilters({ genres = [], ratings = [] } = {}) {
+  return [
+    genres.length > 0 && `genre ${genres.join(', ')}`,
+    ratings.length > 0 && `rating ${ratings.join(', ').toUpperCase()}`
+  ].filter(Boolean);
+}
+
+/**
+ * Quote a CSV field when it contains a delimiter, quote or line break.
+ * Fields starting with a formula character are prefixed with ' so
+ * spreadsheets show them as text.
+ */
+function csvField(value) {
+  if (value === undefined || value === null) return '';
+
+  let text = String(value);
+  if (/^[=+\-@]/.test(text) && typeof value === 'string') {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function renderCsv(metadata, movies) {
+  // The header row comes first; anything above it breaks spreadsheet imports
+  const lines = [CSV_COLUMNS.map(([name]) => name).join(',')];
+
+  movies.forEach((movie, index) => {
+    movie.sessions.forEach((session) => {
+      lines.push(CSV_COLUMNS.map(([, value]) => csvField(value(movie, session, index + 1, metadata))).join(','));
+    });
+  });
+
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Escape text for a Markdown table cell
+ */
+function mdCell(value) {
+  if (value === undefined || value === null) return '–';
+  return String(value).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+function mdTable(headers, rows) {
+  return [
+    `| ${headers.join(' | ')} |`,
+    `| ${headers.map(() => '---').join(' | ')} |`,
+    ...rows.map((row) => `| ${row.map(mdCell).join(' | ')} |`)
+  ].join('\n');
+}
+
+function formatPercent(value) {
+  return value === undefined ? undefined : `${value}%`;
+}
+
+function renderMarkdown(metadata, movies) {
+  const sections = [
+    `# Crowdplex rankings for ${formatDates(metadata.dates)}`,
+    [
+      `- Sorted by: ${metadata.sort}`,
+      `- Generated: ${metadata.generatedAt}`,
+      `- Data as of: ${metadata.dataAsOf}${metadata.stale ? ' (stale: Cineplex was unavailable)' : ''}`,
+      `- Areas: ${metadata.areas.map(formatArea).join('; ')}`,
+      ...describeFilters(metadata.filters).map((filter) => `- Filter: ${filter}`),
+      `- Theatres: ${metadata.theatres}, sessions: ${metadata.sessions} (seat data for ${metadata.seatLookups - metadata.failedSeatLookups})`
+    ].join('\n'),
+    '## Movies',
+    mdTable(
+      ['#', 'Movie', 'Rating', 'Genres', 'Avg occupancy', 'Seats booked', 'Seats for sale', 'Seats/hr', 'Sessions'],
+      movies.map((movie, index) => [
+        index + 1,
+        movie.name,
+        movie.rating,
+        movie.genres?.join(', ') || undefined,
+        formatPercent(movie.averageOccupancy),
+        movie.totalSeatsBooked,
+        movie.totalSeatsAvailable,
+        movie.seatsPerHour,
+        movie.sessions.length
+      ])
+    ),
+    ...(metadata.dates.length > 1 ? [
+      '## By Day',
+      'Average occupancy per day, with the number of sessions.',
+      mdTable(
+        ['#', 'Movie', ...metadata.dates],
+        movies.map((movie, index) => [
+          index + 1,
+          movie.name,
+          ...movie.days.map((day) => day.sessionCount === 0
+            ? undefined
+            : `${formatPercent(day.averageOccupancy) ?? '?'} (${day.sessionCount})`)
+        ])
+      )
+    ] : []),
+    '## Sessions',
+    mdTable(
+      ['#', 'Movie', 'Theatre', 'Starts', 'Auditorium', 'Experience', 'Booked', 'Occupancy'],
+      movies.flatMap((movie, index) => movie.sessions.map((session) => [
+        index + 1,
+        movie.name,
+        session.theatreName,
+        session.startsAt.slice(0, 16).replace('T', ' '),
+        session.auditorium,
+        session.experienceTypes.join(', ') || undefined,
+        session.occupiedSeats !== undefined ? `${session.occupiedSeats}/${session.sellableSeats}` : undefined,
+        session.soldOut ? 'Sold out' : formatPercent(session.occupancyPercentage)
+      ]))
+    )
+  ];
+
+  return sections.join('\n\n') + '\n';
+}
+
+function renderJson(metadata, movies, schemaVersion) {
+  return JSON.stringify({ schemaVersion, metadata, movies }, null, 2) + '\n';
+}
+
+/**
+ * Render rankings as a report
+ * @param {Object} rankings - Result of buildRankings
+ * @param {Object} options
+ * @param {Array<Object>} options.areas - Areas searched
+ * @param {string} options.format - One of REPORT_FORMATS
+ * @param {Date} [options.now] - Time the report is generated
+ * @returns {Object} { body, contentType, filename, headers }
+ */
+export function renderReport(rankings, { areas, format, now = new Date() }) {
+  const metadata = buildMetadata(rankings, areas, now);
+
+  // Sessions in start order within each movie
+  const movies = rankings.movies.map((movie) => ({
+    ...movie,
+    sessions: [...movie.sessions].sort((a, b) => a.startsAt.localeCompare(b.startsAt))
+  }));
+
+  let body;
+  if (format === 'csv') {
+    body = renderCsv(metadata, movies);
+  } else if (format === 'md') {
+    body = renderMarkdown(metadata, movies);
+  } else {
+    body = renderJson(metadata, movies, rankings.schemaVersion);
+  }
+
+  const { dates } = rankings;
+  const dateRange = dates.length === 1 ? isoDate(dates[0]) : `${isoDate(dates[0])}-to-${isoDate(dates[dates.length - 1])}`;
+  return {
+    body,
+    contentType: CONTENT_TYPES[format],
+    filename: `crowdplex-rankings-${dateRange}.${format}`,
+    // Metadata for every format; the only place CSV carries the generation time and areas
+    headers: {
+      'X-Report-Generated-At': metadata.generatedAt,
+      'X-Report-Data-As-Of': metadata.dataAsOf,
+      'X-Report-Areas': areas.map(({ latitude, longitude, radius }) => `${latitude},${longitude},${radius}`).join(';')
+    }
+  };
+}
+
+export default renderReport;
@@ -0,0 +1,354 @@
+/**
+ * Normalized data model
+ * Cineplex responses are validated and mapped into the shapes below before
+ * they're cached or returned, so clients never depend on upstream field
+ * names. Records that fail validation are dropped and counted instead of
+ * failing the whole response; a response that is unusable as a whole
+ * raises a SchemaError.
+ *
+ * SCHEMA_VERSION is returned with every normalized response and is part of
+ * every cache key. Bump it on any breaking change to these shapes.
+ *
+ * @typedef {Object} Theatre
+ * @property {number} id - Theatre ID
+ * @property {string} name - Theatre name
+ * @property {string|null} address - Street address
+ * @property {string|null} city
+ * @property {string|null} postalCode
+ * @property {number|null} latitude
+ * @property {number|null} longitude
+ * @property {number|null} distanceKm - Distance from the search point
+ *
+ * @typedef {Object} Movie
+ * @property {number} id - Movie ID
+ * @property {string} name - Title
+ * @property {string|null} posterUrl - Poster image URL
+ * @property {number|null} runtimeMinutes
+ * @property {string|null} presentationType - e.g. "2D"
+ *
+ * @typedef {Object} Session
+ * @property {string} id - Vista session ID (the showtimeId used by seat and history routes)
+ * @property {number} movieId - Movie shown
+ * @property {number} theatreId - Theatre the session is at
+ * @property {string|null} theatreName
+ * @property {string} startsAt - Local start time at the theatre (YYYY-MM-DDTHH:mm:ss, no offset)
+ * @property {Array<string>} experienceTypes - e.g. ["IMAX"], ["VIP", "19+"]
+ * @property {string|null} auditorium
+ * @property {number|null} seatsRemaining - Seats left according to the schedule
+ * @property {boolean} soldOut
+ * @property {string|null} seatMapUrl - Cineplex seat selection page
+ *
+ * @typedef {Object} Schedule
+ * @property {number} theatreId - Theatre requested
+ * @property {string} date - Date requested (M/D/YYYY)
+ * @property {Array<Movie>} movies - Movies with at least one session
+ * @property {Array<Session>} sessions - All sessions, for every movie
+ * @property {Object} dropped - Invalid records dropped, by type
+ *
+ * @typedef {Object} SeatAvailability
+ * @property {number} theatreId
+ * @property {string} sessionId
+ * @property {Object<string, string>} seats - Upstream seat status by seat ID
+ * @property {Object<string, number>} statusCounts - Seats by canonical status (see seatStatus.js)
+ * @property {number} totalSeats - Every seat in the auditorium
+ * @property {number} sellableSeats - Seats that can be sold (excludes house, blocked, broken and unknown)
+ * @property {number} occupiedSeats
+ * @property {number} availableSeats
+ * @property {Object} accessibleSeats - Wheelchair and companion spaces, as { total, available }
+ * @property {number} occupancyPercentage - Occupied seats as a whole percentage of sellable seats
+ * @property {Object} dropped - Invalid records dropped, by type
+ *
+ * @typedef {Object} MovieDetails
+ * @property {number} id - Movie ID
+ * @property {string} name - Title
+ * @property {string|null} synopsis
+ * @property {Array<string>} genres - e.g. ["Action", "Comedy"]
+ * @property {string|null} rating - Classification, e.g. "PG" or "14A"
+ * @property {Array<string>} cast - Leading cast, in billing order
+ * @property {string|null} releaseDate - YYYY-MM-DD
+ * @property {number|null} runtimeMinutes
+ * @property {string|null} posterUrl - Poster image URL
+ * @property {string|null} trailerUrl - Trailer video URL
+ */
+import { createLogger } from './logger.js';
+import { schemaDropped } from './metrics.js';
+import { summarizeSeatStatuses } from './seatStatus.js';
+
+export const SCHEMA_VERSION = 2;
+
+// Theatre, movie and session IDs are passed into Cineplex URL paths, so only digits are accepted
+export const ID_PATTERN = /^\d{1,20}$/;
+
+const log = createLogger('schema');
+
+// Cineplex start times are local, e.g. "2026-02-01T19:30:00"
+const START_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2})?/;
+
+// Release dates may carry a time, e.g. "2026-02-01T00:00:00"
+const RELEASE_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}/;
+
+/**
+ * Raised when a response can't be used at all (as opposed to containing a
+ * few bad records)
+ */
+export class SchemaError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SchemaError';
+  }
+}
+
+function toId(value) {
+  const id = typeof value === 'string' ? Number(value) : value;
+  return Number.isSafeInteger(id) && id >= 0 ? id : null;
+}
+
+function toText(value) {
+  if (typeof value !== 'string') return null;
+  const text = value.trim();
+  return text || null;
+}
+
+function toNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value) ? value : null;
+}
+
+function toCount(value) {
+  return Number.isInteger(value) && value >= 0 ? value : null;
+}
+
+/**
+ * Tracks dropped records for one response and reports them once
+ */
+class DropCounter {
+  constructor(source) {
+    this.source = source;
+    this.counts = {};
+    this.firstReason = null;
+  }
+
+  drop(type, reason) {
+    this.counts[type] = (this.counts[type] || 0) + 1;
+    this.firstReason = this.firstReason || reason;
+  }
+
+  /**
+   * Count drops in metrics and log a summary
+   * @returns {Object} Dropped records by type
+   */
+  report() {
+    const entries = Object.entries(this.counts);
+    if (entries.length > 0) {
+      entries.forEach(([type, count]) => schemaDropped.inc({ type }, count));
+      log.warn('Dropped malformed records', { source: this.source, dropped: this.counts, example: this.firstReason });
+    }
+    return this.counts;
+  }
+}
+
+/**
+ * Normalize a theatres response
+ * @param {Object} raw - Cineplex /theatres response
+ * @returns {Object} { theatres: Array<Theatre>, dropped }
+ */
+export function normalizeTheatres(raw) {
+  if (!raw || !Array.isArray(raw.nearbyTheatres)) {
+    throw new SchemaError('theatres response has no nearbyTheatres list');
+  }
+
+  const drops = new DropCounter('theatres');
+  const theatres = [];
+
+  raw.nearbyTheatres.forEach((theatre) => {
+    const id = toId(theatre?.theatreId);
+    const name = toText(theatre?.theatreName);
+    if (id === null || name === null) {
+      drops.drop('theatre', `theatre without a valid id/name: ${JSON.stringify(theatre)?.slice(0, 120)}`);
+      return;
+    }
+
+    const location = theatre.location || {};
+    const distanceMeters = toNumber(location.distanceToOriginInMeters);
+
+    theatres.push({
+      id,
+      name,
+      address: toText(location.address),
+      city: toText(location.city),
+      postalCode: toText(location.postalCode),
+      latitude: toNumber(location.latitude),
+      longitude: toNumber(location.longitude),
+      distanceKm: distanceMeters === null ? null : Math.round(distanceMeters / 100) / 10
+    });
+  });
+
+  return { theatres, dropped: drops.report() };
+}
+
+/**
+ * Normalize a showtimes response into a flat schedule
+ * @param {Array<Object>} raw - Cineplex /showtimes response
+ * @param {Object} request
+ * @param {string|number} request.theatreId - Theatre requested
+ * @param {string} request.date - Date requested (M/D/YYYY)
+ * @returns {Schedule}
+ */
+export function normalizeSchedule(raw, { theatreId, date }) {
+  if (!Array.isArray(raw)) {
+    throw new SchemaError('showtimes response is not a list');
+  }
+
+  const drops = new DropCounter('showtimes');
+  const movies = new Map();
+  const sessions = [];
+  const seenSessionIds = new Set();
+
+  raw.forEach((theatreData) => {
+    const sessionTheatreId = toId(theatreData?.theatreId) ?? toId(theatreId);
+    const theatreName = toText(theatreData?.theatre);
+
+    (Array.isArray(theatreData?.dates) ? theatreData.dates : []).forEach((dateData) => {
+      (Array.isArray(dateData?.movies) ? dateData.movies : []).forEach((movie) => {
+        const movieId = toId(movie?.id);
+        const name = toText(movie?.name);
+        if (movieId === null || name === null) {
+          drops.drop('movie', `movie without a valid id/name: ${JSON.stringify(movie?.name ?? movie?.id)}`);
+          return;
+        }
+
+        let sessionCount = 0;
+        (Array.isArray(movie.experiences) ? movie.experiences : []).forEach((experience) => {
+          const experienceTypes = Array.isArray(experience?.experienceTypes)
+            ? experience.experienceTypes.filter((type) => typeof type === 'string')
+            : [];
+
+          (Array.isArray(experience?.sessions) ? experience.sessions : []).forEach((session) => {
+            const id = session?.vistaSessionId !== undefined && session?.vistaSessionId !== null
+              ? toText(String(session.vistaSessionId))
+              : null;
+            const startsAt = toText(session?.showStartDateTime);
+
+            if (id === null || startsAt === null || !START_TIME_PATTERN.test(startsAt) || isNaN(Date.parse(startsAt))) {
+              drops.drop('session', `session of "${name}" without a valid id/start time`);
+              return;
+            }
+            // A session listed under two experiences would be counted twice in rankings
+            if (seenSessionIds.has(id)) return;
+            seenSessionIds.add(id);
+
+            const seatsRemaining = toCount(session.seatsRemaining);
+            sessions.push({
+              id,
+              movieId,
+              theatreId: sessionTheatreId,
+              theatreName,
+              startsAt,
+              experienceTypes,
+              auditorium: toText(session.auditorium),
+              seatsRemaining,
+              soldOut: session.isSoldOut === true || seatsRemaining === 0,
+              seatMapUrl: toText(session.seatMapUrl)
+            });
+            sessionCount++;
+          });
+        });
+
+        if (sessionCount > 0 && !movies.has(movieId)) {
+          movies.set(movieId, {
+            id: movieId,
+            name,
+            posterUrl: toText(movie.mediumPosterImageUrl) || toText(movie.smallPosterImageUrl),
+            runtimeMinutes: toCount(movie.runtimeInMinutes),
+            presentationType: toText(movie.presentationType)
+          });
+        }
+      });
+    });
+  });
+
+  return {
+    theatreId: toId(theatreId),
+    date,
+    movies: [...movies.values()],
+    sessions,
+    dropped: drops.report()
+  };
+}
+
+/**
+ * Text entries of a list, from strings or objects with a name
+ * (or first/last name)
+ */
+function toNames(list) {
+  if (!Array.isArray(list)) return [];
+  return list
+    .map((entry) => {
+      if (typeof entry === 'string') return toText(entry);
+      return toText(entry?.name) || toText([entry?.firstName, entry?.lastName].filter(Boolean).join(' '));
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Normalize a movie details response
+ * @param {Object} raw - Cineplex /movies/:id response
+ * @param {Object} request
+ * @param {string|number} request.movieId - Movie requested
+ * @returns {MovieDetails}
+ */
+export function normalizeMovieDetails(raw, { movieId }) {
+  const name = toText(raw?.name);
+  if (!raw || typeof raw !== 'object' || name === null) {
+    throw new SchemaError('movie details response has no movie name');
+  }
+
+  const releaseDate = toText(raw.releaseDate);
+  const trailers = Array.isArray(raw.trailers) ? raw.trailers : [];
+
+  return {
+    id: toId(raw.id) ?? toId(movieId),
+    name,
+    synopsis: toText(raw.synopsis) || toText(raw.marketLanguageSynopsis),
+    genres: toNames(raw.genres),
+    rating: toText(raw.localRating) || toText(raw.rating),
+    cast: toNames(raw.cast),
+    releaseDate: releaseDate && RELEASE_DATE_PATTERN.test(releaseDate) ? releaseDate.slice(0, 10) : null,
+    runtimeMinutes: toCount(raw.runtimeInMinutes),
+    posterUrl: toText(raw.mediumPosterImageUrl) || toText(raw.largePosterImageUrl) || toText(raw.smallPosterImageUrl),
+    trailerUrl: toText(raw.trailerUrl) || toText(trailers[0]?.url)
+  };
+}
+
+/**
+ * Normalize a seat availability response and compute occupancy
+ * @param {Object} raw - Cineplex seat-availability response
+ * @param {Object} request
+ * @param {string|number} request.theatreId - Theatre requested
+ * @param {string|number} request.sessionId - Session requested
+ * @returns {SeatAvailability}
+ */
+export function normalizeSeatAvailability(raw, { theatreId, sessionId }) {
+  const rawSeats = raw?.seatAvailabilities;
+  if (!rawSeats || typeof rawSeats !== 'object' || Array.isArray(rawSeats)) {
+    throw new SchemaError('seat availability response has no seatAvailabilities map');
+  }
+
+  const drops = new DropCounter('seat availability');
+  const seats = {};
+
+  Object.entries(rawSeats).forEach(([seatId, status]) => {
+    if (typeof status !== 'string') {
+      drops.drop('seat', `seat ${seatId} has a non-string status`);
+      return;
+    }
+    seats[seatId] = status;
+  });
+
+  return {
+    theatreId: toId(theatreId),
+    sessionId: String(sessionId),
+    seats,
+    ...summarizeSeatStatuses(Object.values(seats)),
+    dropped: drops.report()
+  };
+}
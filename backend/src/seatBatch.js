@@ -0,0 +1,108 @@
+/**
+ * Batched seat availability
+ * Resolves many theatre/showtime pairs in one request, so clients loading
+ * a whole metro area make one call instead of hundreds. Lookups go through
+ * the same cache as /api/seat-availability with bounded upstream
+ * concurrency, and each item succeeds or fails on its own.
+ */
+import { getSeatAvailability } from './cineplex.js';
+import { mapWithConcurrency } from './concurrency.js';
+import { UpstreamError } from './upstream.js';
+import { SCHEMA_VERSION, ID_PATTERN } from './schema.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('seat-batch');
+
+// Items per batch request (rankings look up at most 200 sessions)
+export const MAX_BATCH_ITEMS = 300;
+
+const BATCH_CONCURRENCY = 15;
+
+/**
+ * Validate a batch request body
+ * @param {Object} body - Parsed JSON body
+ * @returns {Array<Object>|null} Items as { theatreId, showtimeId }, or null if the body isn't a valid batch
+ */
+export function parseBatchItems(body) {
+  const items = body?.items;
+  if (!Array.isArray(items) || items.length === 0 || items.length > MAX_BATCH_ITEMS) {
+    return null;
+  }
+
+  return items.map((item) => ({
+    theatreId: item?.theatreId !== undefined && item?.theatreId !== null ? String(item.theatreId) : '',
+    showtimeId: item?.showtimeId !== undefined && item?.showtimeId !== null ? String(item.showtimeId) : ''
+  }));
+}
+
+/**
+ * Result for one item that failed
+ */
+function errorResult(item, error) {
+  if (error instanceof UpstreamError) {
+    return { ...item, status: error.status, error: 'Upstream API Error', message: error.message };
+  }
+
+  log.error('Seat lookup failed', { theatreId: item.theatreId, showtimeId: item.showtimeId, error, stack: error.stack });
+  return { ...item, status: 500, error: 'Internal Server Error', message: 'Failed to fetch seat availability' };
+}
+
+/**
+ * Look up seat availability for many sessions
+ * @param {Array<Object>} items - { theatreId, showtimeId } pairs (from parseBatchItems)
+ * @param {Object} [options]
+ * @param {boolean} [options.includeSeats] - Keep each seat's status in the results (default: occupancy totals only)
+ * @param {LookupOptions} [options.lookupOptions] - Passed to every seat lookup (see cineplex.js)
+ * @returns {Promise<Object>} { schemaVersion, results, stats }. Results keep the
+ *   order of items; each has a status and either data (a SeatAvailability) or error/message.
+ */
+export async function getSeatAvailabilityBatch(items, { includeSeats = false, lookupOptions = {} } = {}) {
+  // Repeated pairs are looked up once
+  const lookups = new Map();
+  items.forEach((item) => {
+    const key = `${item.theatreId}:${item.showtimeId}`;
+    if (!lookups.has(key) && ID_PATTERN.test(item.theatreId) && ID_PATTERN.test(item.showtimeId)) {
+      lookups.set(key, item);
+    }
+  });
+
+  const resolved = new Map();
+  await mapWithConcurrency([...lookups.entries()], BATCH_CONCURRENCY, async ([key, item]) => {
+    try {
+      const { data, stale, storedAt } = await getSeatAvailability(item.theatreId, item.showtimeId, lookupOptions);
+      // The per-seat map is most of the payload and only needed to draw seat maps
+      const { seats, ...summary } = data;
+      resolved.set(key, {
+        ...item,
+        status: 200,
+        data: includeSeats ? data : summary,
+        ...(stale && { stale: true, asOf: new Date(storedAt).toISOString() })
+      });
+    } catch (error) {
+      resolved.set(key, errorResult(item, error));
+    }
+  });
+
+  const results = items.map((item) => resolved.get(`${item.theatreId}:${item.showtimeId}`) || {
+    ...item,
+    status: 400,
+    error: 'Bad Request',
+    message: 'theatreId and showtimeId must be numeric IDs'
+  });
+
+  const succeeded = results.filter((result) => result.status === 200).length;
+
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    results,
+    stats: {
+      requested: items.length,
+      lookups: lookups.size,
+      succeeded,
+      failed: results.length - succeeded,
+      stale: results.filter((result) => result.stale).length
+    }
+  };
+}
+
+export default getSeatAvailabilityBatch;
@@ -0,0 +1,118 @@
+/**
+ * Seat map layout
+ * Cineplex only returns seat statuses keyed by seat ID ("A1", "B12", ...).
+ * Seat IDs are split into a row label and seat number and laid out as a
+ * grid, so clients can see where the empty seats are rather than just how
+ * many there are. Seat numbers that are missing from a row (aisles, removed
+ * seats) are left as gaps so columns line up across rows.
+ *
+ * @typedef {Object} SeatMapSeat
+ * @property {string} id - Seat ID as returned by Cineplex
+ * @property {number} number - Seat number within the row
+ * @property {string} status - Seat status as returned by Cineplex
+ * @property {string} category - available, occupied or unavailable
+ * @property {boolean} accessible - Wheelchair or companion space
+ *
+ * @typedef {Object} SeatMapRow
+ * @property {string} label - Row label, e.g. "A"
+ * @property {Array<SeatMapSeat|null>} seats - Seats by column (index 0 is seat 1); null is a gap
+ *
+ * @typedef {Object} SeatMap
+ * @property {number} theatreId
+ * @property {string} sessionId
+ * @property {Array<SeatMapRow>} rows - Rows front (nearest the screen) to back
+ * @property {number} columns - Width of the grid (highest seat number)
+ * @property {Array<Object>} unplaced - Seats whose IDs couldn't be parsed, as { id, status }
+ * @property {Object<string, number>} statusCounts
+ * @property {number} totalSeats
+ * @property {number} sellableSeats
+ * @property {number} occupiedSeats
+ * @property {number} availableSeats
+ * @property {Object} accessibleSeats - { total, available }
+ * @property {number} occupancyPercentage
+ */
+import { classifySeatStatus } from './seatStatus.js';
+
+// Row letters followed by a seat number, optionally separated ("A1", "AA-12", "B 7")
+const SEAT_ID_PATTERN = /^([A-Za-z]+)[\s_-]?(\d+)$/;
+
+// Cap on grid width, so one bad seat number can't produce a huge row
+const MAX_COLUMNS = 100;
+
+/**
+ * Split a seat ID into row label and seat number
+ * @param {string} seatId - e.g. "C14"
+ * @returns {Object|null} { row, number }, or null if the ID isn't in a known format
+ */
+export function parseSeatId(seatId) {
+  const match = SEAT_ID_PATTERN.exec(seatId.trim());
+  if (!match) return null;
+
+  const number = parseInt(match[2], 10);
+  if (number < 1 || number > MAX_COLUMNS) return null;
+
+  return { row: match[1].toUpperCase(), number };
+}
+
+/**
+ * Order row labels front to back: A..Z, then AA, AB, ...
+ */
+function compareRows(a, b) {
+  return a.length - b.length || a.localeCompare(b);
+}
+
+/**
+ * Lay out seat availability as rows and columns
+ * @param {SeatAvailability} availability - Normalized seat availability
+ * @returns {SeatMap}
+ */
+export function buildSeatMap(availability) {
+  const rowsByLabel = new Map();
+  const unplaced = [];
+  let columns = 0;
+
+  Object.entries(availability.seats).forEach(([id, status]) => {
+    const position = parseSeatId(id);
+    if (!position) {
+      unplaced.push({ id, status });
+      return;
+    }
+
+    if (!rowsByLabel.has(position.row)) {
+      rowsByLabel.set(position.row, []);
+    }
+    const { category, accessible } = classifySeatStatus(status);
+    rowsByLabel.get(position.row).push({ id, number: position.number, status, category, accessible });
+    columns = Math.max(columns, position.number);
+  });
+
+  const rows = [...rowsByLabel.keys()].sort(compareRows).map((label) => {
+    const seats = Array(columns).fill(null);
+    rowsByLabel.get(label).forEach((seat) => {
+      // Two IDs for one position ("A1" and "A-1") would otherwise hide a seat
+      if (seats[seat.number - 1]) {
+        unplaced.push({ id: seat.id, status: seat.status });
+      } else {
+        seats[seat.number - 1] = seat;
+      }
+    });
+    return { label, seats };
+  });
+
+  return {
+    theatreId: availability.theatreId,
+    sessionId: availability.sessionId,
+    rows,
+    columns,
+    unplaced,
+    statusCounts: availability.statusCounts,
+    totalSeats: availability.totalSeats,
+    sellableSeats: availability.sellableSeats,
+    occupiedSeats: availability.occupiedSeats,
+    availableSeats: availability.availableSeats,
+    accessibleSeats: availability.accessibleSeats,
+    occupancyPercentage: availability.occupancyPercentage
+  };
+}
+
+export default buildSeatMap;
@@ -0,0 +1,118 @@
+/**
+ * Seat status taxonomy
+ * Cineplex reports one status string per seat. Besides Available and
+ * Occupied it can hold back seats for the house, block them for distancing,
+ * mark them broken, or flag wheelchair and companion spaces. Each status is
+ * mapped to a category, and only seats that can actually be sold count
+ * towards capacity, so held-back seats don't deflate occupancy.
+ *
+ * @typedef {Object} SeatStatusInfo
+ * @property {string} status - Canonical status name (available, occupied, house, ...)
+ * @property {string} category - available, occupied or unavailable
+ * @property {boolean} sellable - Counts towards sellable capacity
+ * @property {boolean} accessible - Wheelchair or companion space
+ */
+import { createLogger } from './logger.js';
+import { unknownSeatStatuses } from './metrics.js';
+
+const log = createLogger('seat-status');
+
+/**
+ * Known statuses by canonical name. Upstream names are matched case- and
+ * punctuation-insensitively, and aliases map to the same entry.
+ */
+const STATUSES = {
+  available: { category: 'available', sellable: true, accessible: false },
+  occupied: { category: 'occupied', sellable: true, accessible: false },
+  reserved: { category: 'occupied', sellable: true, accessible: false },
+  wheelchair: { category: 'available', sellable: true, accessible: true },
+  companion: { category: 'available', sellable: true, accessible: true },
+  wheelchairOccupied: { category: 'occupied', sellable: true, accessible: true },
+  companionOccupied: { category: 'occupied', sellable: true, accessible: true },
+  house: { category: 'unavailable', sellable: false, accessible: false },
+  blocked: { category: 'unavailable', sellable: false, accessible: false },
+  broken: { category: 'unavailable', sellable: false, accessible: false },
+  unknown: { category: 'unavailable', sellable: false, accessible: false }
+};
+
+const ALIASES = {
+  sold: 'occupied',
+  taken: 'occupied',
+  booked: 'occupied',
+  held: 'reserved',
+  wheelchairspace: 'wheelchair',
+  accessible: 'wheelchair',
+  wheelchairsold: 'wheelchairOccupied',
+  companionseat: 'companion',
+  companionsold: 'companionOccupied',
+  houseseat: 'house',
+  socialdistancing: 'blocked',
+  distancing: 'blocked',
+  unavailable: 'blocked',
+  outoforder: 'broken'
+};
+
+const LOOKUP = new Map([
+  ...Object.keys(STATUSES).map((name) => [name.toLowerCase(), name]),
+  ...Object.entries(ALIASES)
+]);
+
+// Log each unknown status once per process rather than once per seat
+const reportedUnknown = new Set();
+
+/**
+ * Classify an upstream seat status
+ * @param {string} rawStatus - Status string from Cineplex
+ * @returns {SeatStatusInfo}
+ */
+export function classifySeatStatus(rawStatus) {
+  const name = LOOKUP.get(rawStatus.replace(/[\s_-]/g, '').toLowerCase());
+  if (name) {
+    return { status: name, ...STATUSES[name] };
+  }
+
+  unknownSeatStatuses.inc();
+  if (!reportedUnknown.has(rawStatus)) {
+    reportedUnknown.add(rawStatus);
+    log.warn('Unknown seat status, excluded from capacity', { status: rawStatus });
+  }
+  return { status: 'unknown', ...STATUSES.unknown };
+}
+
+/**
+ * Count seats by status and category
+ * @param {Array<string>} rawStatuses - Upstream status of every seat
+ * @returns {Object} { statusCounts, totalSeats, sellableSeats, occupiedSeats, availableSeats, accessibleSeats, occupancyPercentage }
+ */
+export function summarizeSeatStatuses(rawStatuses) {
+  const statusCounts = {};
+  let sellableSeats = 0;
+  let occupiedSeats = 0;
+  let availableSeats = 0;
+  const accessibleSeats = { total: 0, available: 0 };
+
+  rawStatuses.forEach((rawStatus) => {
+    const { status, category, sellable, accessible } = classifySeatStatus(rawStatus);
+    statusCounts[status] = (statusCounts[status] || 0) + 1;
+
+    if (sellable) sellableSeats++;
+    if (category === 'occupied') occupiedSeats++;
+    if (category === 'available') availableSeats++;
+    if (accessible) {
+      accessibleSeats.total++;
+      if (category === 'available') accessibleSeats.available++;
+    }
+  });
+
+  return {
+    statusCounts,
+    totalSeats: rawStatuses.length,
+    sellableSeats,
+    occupiedSeats,
+    availableSeats,
+    accessibleSeats,
+    occupancyPercentage: sellableSeats > 0 ? Math.round((occupiedSeats / sellableSeats) * 100) : 0
+  };
+}
+
+export default classifySeatStatus;
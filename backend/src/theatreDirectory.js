@@ -0,0 +1,74 @@
+/**
+ * Theatre directory
+ * Remembers every theatre seen in a theatre search, so features that only
+ * have a theatre ID (alerts, calendar exports, the poller) can show its
+ * name, address and location. Each theatre is also kept in the cache, so
+ * with a file or Redis store a restarted process (or another instance)
+ * still knows theatres searched for earlier. Cineplex has no lookup by
+ * theatre ID, so a theatre never seen in any search stays unknown.
+ */
+import cache from './cache.js';
+import { SCHEMA_VERSION } from './schema.js';
+
+// Theatres rarely change, so each is kept this long after it was last seen
+const THEATRE_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+function cacheKey(theatreId) {
+  return `theatre:v${SCHEMA_VERSION}:${Number(theatreId)}`;
+}
+
+class TheatreDirectory {
+  constructor() {
+    this.theatres = new Map();
+  }
+
+  /**
+   * Remember theatres from a theatre search
+   * @param {Array<Theatre>} theatres - Normalized theatres
+   */
+  remember(theatres) {
+    // Distance is relative to the search, not part of the theatre
+    theatres.forEach(({ distanceKm, ...theatre }) => {
+      const known = this.theatres.get(theatre.id);
+      this.theatres.set(theatre.id, theatre);
+
+      // Searches served from the cache repeat the same theatres; only changes are written
+      if (!known || JSON.stringify(known) !== JSON.stringify(theatre)) {
+        cache.set(cacheKey(theatre.id), theatre, THEATRE_TTL_MS);
+      }
+    });
+  }
+
+  /**
+   * @param {string|number} theatreId - Theatre ID
+   * @returns {Theatre|undefined} Theatre, if this process has seen it
+   */
+  get(theatreId) {
+    return this.theatres.get(Number(theatreId));
+  }
+
+  /**
+   * Look a theatre up, falling back to the cache when this process hasn't seen it
+   * @param {string|number} theatreId - Theatre ID
+   * @returns {Promise<Theatre|undefined>}
+   */
+  async lookup(theatreId) {
+    const known = this.get(theatreId);
+    if (known) return known;
+
+    const cached = await cache.get(cacheKey(theatreId));
+    if (!cached) return undefined;
+
+    this.theatres.set(cached.id, cached);
+    return cached;
+  }
+
+  get size() {
+    return this.theatres.size;
+  }
+}
+
+// Create singleton instance
+const theatreDirectory = new TheatreDirectory();
+
+export default theatreDirectory;
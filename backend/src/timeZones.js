@@ -0,0 +1,123 @@
+/**
+ * Theatre time zones
+ * Cineplex start times are the theatre's local wall-clock time with no
+ * offset (e.g. "2026-02-06T19:30:00"). Parsing them with Date would apply
+ * the server's zone (UTC on most hosts), so comparing them with the current
+ * time means converting them in the theatre's own zone, inferred from the
+ * province in its postal code. Theatres whose postal code isn't known use
+ * THEATRE_TIME_ZONE.
+ */
+import { getConfig } from './config.js';
+
+// First letter of a Canadian postal code identifies the province or territory
+const POSTAL_ZONES = {
+  A: 'America/St_Johns', // Newfoundland and Labrador
+  B: 'America/Halifax', // Nova Scotia
+  C: 'America/Halifax', // Prince Edward Island
+  E: 'America/Moncton', // New Brunswick
+  G: 'America/Toronto', // Quebec
+  H: 'America/Toronto',
+  J: 'America/Toronto',
+  K: 'America/Toronto', // Ontario
+  L: 'America/Toronto',
+  M: 'America/Toronto',
+  N: 'America/Toronto',
+  P: 'America/Toronto',
+  R: 'America/Winnipeg', // Manitoba
+  S: 'America/Regina', // Saskatchewan
+  T: 'America/Edmonton', // Alberta
+  V: 'America/Vancouver', // British Columbia
+  X: 'America/Yellowknife', // Northwest Territories and Nunavut
+  Y: 'America/Whitehorse' // Yukon
+};
+
+// Cached per zone; creating a DateTimeFormat is slow
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-CA', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Offset of a zone from UTC at an instant
+ * @param {number} epochMs - Instant
+ * @param {string} timeZone - IANA zone
+ * @returns {number} Local time minus UTC, in ms
+ */
+function zoneOffsetMs(epochMs, timeZone) {
+  const parts = Object.fromEntries(
+    getFormatter(timeZone).formatToParts(new Date(epochMs)).map(({ type, value }) => [type, Number(value)])
+  );
+  const localAsUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return localAsUtc - Math.floor(epochMs / 1000) * 1000;
+}
+
+/**
+ * Calendar date in a zone at an instant, as Cineplex expects dates
+ * @param {number} epochMs - Instant
+ * @param {string} timeZone - IANA zone
+ * @returns {string} M/D/YYYY
+ */
+export function localDate(epochMs, timeZone) {
+  const { year, month, day } = Object.fromEntries(
+    getFormatter(timeZone).formatToParts(new Date(epochMs)).map(({ type, value }) => [type, Number(value)])
+  );
+  return `${month}/${day}/${year}`;
+}
+
+/**
+ * Dates starting today in a zone, as Cineplex expects dates. On a UTC host
+ * the server's own date is already tomorrow during a Canadian evening.
+ * @param {number} days - Number of days
+ * @param {string} timeZone - IANA zone
+ * @param {number} [now] - Current time, epoch ms
+ * @returns {Array<string>} Dates as M/D/YYYY
+ */
+export function upcomingDates(days, timeZone, now = Date.now()) {
+  const [month, day, year] = localDate(now, timeZone).split('/').map(Number);
+  return Array.from({ length: days }, (_, offset) => {
+    // Calendar arithmetic in UTC, where there are no DST changes
+    const date = new Date(Date.UTC(year, month - 1, day + offset));
+    return `${date.getUTCMonth() + 1}/${date.getUTCDate()}/${date.getUTCFullYear()}`;
+  });
+}
+
+/**
+ * Time zone of a theatre
+ * @param {Theatre} [theatre] - Theatre, if known
+ * @returns {string} IANA zone
+ */
+export function getTheatreTimeZone(theatre) {
+  const province = theatre?.postalCode?.trim().charAt(0).toUpperCase();
+  return POSTAL_ZONES[province] || getConfig().cineplex.timeZone;
+}
+
+/**
+ * Convert a theatre-local time to an instant
+ * @param {string} localTime - YYYY-MM-DDTHH:mm[:ss], no offset
+ * @param {string} timeZone - IANA zone the time is local to
+ * @returns {number} Epoch ms, or NaN if the time can't be parsed
+ */
+export function localTimeToEpoch(localTime, timeZone) {
+  // The wall-clock time read as if it were UTC, then shifted by the zone's offset
+  const asUtc = Date.parse(`${localTime.slice(0, 19)}Z`);
+  if (isNaN(asUtc)) return NaN;
+
+  const guess = asUtc - zoneOffsetMs(asUtc, timeZone);
+  // Check again at the result, in case a DST change lies between the two
+  return asUtc - zoneOffsetMs(guess, timeZone);
+}
+
+export default localTimeToEpoch;
@@ -0,0 +1,379 @@
+/**
+ * Cineplex upstream client
+ * Every request to Cineplex goes through here. Requests get a timeout,
+ * transient failures are retried with jittered exponential backoff
+ * (honouring Retry-After), and each endpoint family (theatrical vs
+ * ticketing) has its own circuit breaker so we stop hammering Cineplex
+ * while it's down. A global token bucket caps outbound requests so all
+ * users together stay within the API key's quota.
+ *
+ * CINEPLEX_MODE switches where responses come from:
+ * - live (default): call Cineplex
+ * - record: call Cineplex and save each response as a fixture
+ * - replay: serve recorded fixtures, never touching the network
+ * - mock: serve synthetic data from a seedable generator
+ */
+import { CircuitBreaker } from './circuitBreaker.js';
+import { TokenBucketLimiter } from './rateLimiter.js';
+import { createLogger, getContext } from './logger.js';
+import { upstreamRequests, upstreamDuration, rateLimitRejections, circuitState, addCollector } from './metrics.js';
+import { recordFixture, loadFixture } from './fixtures.js';
+import { mockCineplexResponse } from './mockCineplex.js';
+import { getConfig } from './config.js';
+
+/**
+ * Base URLs for each endpoint family. Overridable so the app can be pointed
+ * at a local stand-in for Cineplex.
+ * @returns {Object} { theatrical, ticketing }
+ */
+export function getCineplexUrls() {
+  const { baseUrl, ticketingUrl } = getConfig().cineplex;
+  return {
+    theatrical: baseUrl,
+    ticketing: ticketingUrl
+  };
+}
+
+// Statuses worth retrying: rate limited or temporarily unavailable
+const RETRYABLE_STATUSES = new Set([429, 502, 503, 504]);
+
+const BASE_BACKOFF_MS = 250;
+const MAX_BACKOFF_MS = 4000;
+
+// Don't hold a request open longer than this for a Retry-After
+const MAX_RETRY_AFTER_MS = 10 * 1000;
+
+// Don't queue a request longer than this waiting for outbound quota
+const MAX_QUOTA_WAIT_MS = 5 * 1000;
+
+/**
+ * Error raised when a Cineplex request fails
+ */
+export class UpstreamError extends Error {
+  /**
+   * @param {number} status - HTTP status to report
+   * @param {string} [message] - Error message
+   * @param {number} [retryAfterMs] - When the client may retry, if known
+   */
+  constructor(status, message, retryAfterMs) {
+    super(message || `Cineplex API returned status ${status}`);
+    this.name = 'UpstreamError';
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+const families = {
+  theatrical: createFamily('theatrical'),
+  ticketing: createFamily('ticketing')
+};
+
+function createFamily(name) {
+  return {
+    breaker: new CircuitBreaker({ name: `Cineplex ${name}` }),
+    counters: { requests: 0, retries: 0, timeouts: 0, throttled: 0 }
+  };
+}
+
+const log = createLogger('upstream');
+
+const CIRCUIT_STATES = { closed: 0, 'half-open': 1, open: 2 };
+
+addCollector(() => {
+  Object.entries(families).forEach(([name, { breaker }]) => {
+    circuitState.set({ family: name }, CIRCUIT_STATES[breaker.state]);
+  });
+});
+
+let quota = null;
+
+/**
+ * Outbound request quota shared by every caller, created on first use so
+ * the config has loaded
+ * @returns {TokenBucketLimiter}
+ */
+function getQuota() {
+  if (!quota) {
+    quota = new TokenBucketLimiter({
+      name: 'cineplex',
+      capacity: getConfig().upstream.quotaPerMinute,
+      windowMs: 60 * 1000
+    });
+  }
+  return quota;
+}
+
+/**
+ * Wait for a token from the outbound quota
+ * @param {string} label - Endpoint name used in log lines
+ * @param {Object} counters - Family counters
+ * @returns {Promise<void>} Rejects with a 429 UpstreamError if the wait would be too long
+ */
+async function acquireQuota(label, counters) {
+  const deadline = Date.now() + MAX_QUOTA_WAIT_MS;
+
+  for (;;) {
+    const { allowed, retryAfterMs } = await getQuota().take('global');
+    if (allowed) return;
+
+    if (Date.now() + retryAfterMs > deadline) {
+      counters.throttled++;
+      rateLimitRejections.inc({ limiter: 'cineplex' });
+      log.warn('Cineplex quota exhausted, rejecting request', { endpoint: label, retryAfterMs });
+      throw new UpstreamError(429, `Cineplex request quota exhausted, retry in ${Math.ceil(retryAfterMs / 1000)}s`, retryAfterMs);
+    }
+
+    await sleep(retryAfterMs);
+  }
+}
+
+/**
+ * Timeout and retry settings
+ * @returns {Object} { timeoutMs, retries }
+ */
+function getOptions() {
+  const { timeoutMs, retries } = getConfig().upstream;
+  return { timeoutMs, retries };
+}
+
+/**
+ * Upstream mode
+ * @returns {string} One of CINEPLEX_MODES (see config.js)
+ */
+export function getCineplexMode() {
+  return getConfig().cineplex.mode;
+}
+
+/**
+ * Whether the current mode calls the real Cineplex API (and so needs a key)
+ * @returns {boolean}
+ */
+export function usesLiveCineplex() {
+  const mode = getCineplexMode();
+  return mode === 'live' || mode === 'record';
+}
+
+/**
+ * Build request headers
+ * @returns {Object} Headers for Cineplex API requests
+ */
+function getHeaders() {
+  return {
+    'Accept': '*/*',
+    'Accept-Language': getConfig().cineplex.language,
+    'Ocp-Apim-Subscription-Key': getConfig().cineplex.apiKey,
+    'Referer': 'https://www.cineplex.com/',
+    'Origin': 'https://www.cineplex.com',
+    'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36'
+  };
+}
+
+/**
+ * Parse a Retry-After header (delay in seconds or an HTTP date)
+ * @param {string|null} value - Header value
+ * @returns {number|null} Delay in milliseconds, or null if absent/invalid
+ */
+export function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (!isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Exponential backoff with full jitter
+ * @param {number} attempt - Zero-based attempt that just failed
+ * @returns {number} Delay in milliseconds
+ */
+function backoffDelay(attempt) {
+  return Math.round(Math.random() * Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** attempt));
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Perform a GET request against the Cineplex API
+ * @param {string} family - Endpoint family ('theatrical' or 'ticketing')
+ * @param {string} url - Full request URL
+ * @param {string} label - Endpoint name used in log lines
+ * @returns {Promise<Object>} Parsed JSON body
+ */
+export async function cineplexGet(family, url, label) {
+  const mode = getCineplexMode();
+
+  if (mode === 'mock' || mode === 'replay') {
+    return offlineGet(mode, url, label);
+  }
+
+  const data = await liveGet(family, url, label);
+  if (mode === 'record') {
+    await recordFixture(label, url, data);
+  }
+  return data;
+}
+
+/**
+ * Serve a request from fixtures or the mock generator
+ * @param {string} mode - 'replay' or 'mock'
+ * @param {string} url - Full request URL
+ * @param {string} label - Endpoint name
+ * @returns {Promise<Object>} Response body
+ */
+async function offlineGet(mode, url, label) {
+  const data = mode === 'mock'
+    ? mockCineplexResponse(url)
+    : await loadFixture(label, url);
+
+  if (data === undefined || data === null) {
+    throw new UpstreamError(404, mode === 'mock'
+      ? `Mock Cineplex has no data for ${label} request`
+      : `No recorded fixture for ${label} request (record it with CINEPLEX_MODE=record)`);
+  }
+
+  return data;
+}
+
+/**
+ * Call the real Cineplex API through the circuit breaker with retries
+ */
+async function liveGet(family, url, label) {
+  const { breaker, counters } = families[family];
+
+  await acquireQuota(label, counters);
+
+  if (!breaker.allowRequest()) {
+    const retryAfterMs = breaker.getRetryAfterMs();
+    throw new UpstreamError(503, `Cineplex ${family} API is unavailable, retrying in ${Math.ceil(retryAfterMs / 1000)}s`, retryAfterMs);
+  }
+
+  const { timeoutMs, retries } = getOptions();
+  let lastError;
+
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    counters.requests++;
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    let delayMs = backoffDelay(attempt);
+    const startedAt = Date.now();
+    let outcome;
+
+    try {
+      const response = await fetch(url, {
+        method: 'GET',
+        headers: getHeaders(),
+        signal: controller.signal
+      });
+      outcome = response.status;
+
+      if (response.ok) {
+        const data = await response.json();
+        breaker.recordSuccess();
+        return data;
+      }
+
+      lastError = new UpstreamError(response.status);
+
+      if (!RETRYABLE_STATUSES.has(response.status)) {
+        // Client errors mean Cineplex is up; only server errors count against the circuit
+        if (response.status < 500) {
+          breaker.recordSuccess();
+        } else {
+          breaker.recordFailure();
+        }
+        throw lastError;
+      }
+
+      const retryAfterMs = parseRetryAfter(response.headers.get('Retry-After'));
+      if (retryAfterMs !== null) {
+        lastError.retryAfterMs = retryAfterMs;
+        if (retryAfterMs > MAX_RETRY_AFTER_MS) break;
+        delayMs = retryAfterMs;
+      }
+    } catch (error) {
+      if (error instanceof UpstreamError) throw error;
+
+      if (error.name === 'AbortError') {
+        counters.timeouts++;
+        outcome = 'timeout';
+        lastError = new UpstreamError(504, `Cineplex ${label} API timed out`);
+      } else if (error instanceof SyntaxError) {
+        outcome = 'invalid_json';
+        lastError = new UpstreamError(502, `Cineplex ${label} API returned an invalid response`);
+      } else {
+        outcome = 'network_error';
+        log.warn('Cineplex request failed', { endpoint: label, error });
+        lastError = new UpstreamError(502, `Failed to reach Cineplex ${label} API`);
+      }
+    } finally {
+      clearTimeout(timer);
+      recordAttempt(label, outcome, Date.now() - startedAt, attempt);
+    }
+
+    if (attempt < retries) {
+      counters.retries++;
+      log.info('Retrying Cineplex request', { endpoint: label, delayMs, attempt: attempt + 2, maxAttempts: retries + 1 });
+      await sleep(delayMs);
+
+      // Retries spend quota too, but never wait for it
+      const { allowed } = await getQuota().take('global');
+      if (!allowed) {
+        counters.throttled++;
+        rateLimitRejections.inc({ limiter: 'cineplex' });
+        break;
+      }
+    }
+  }
+
+  breaker.recordFailure();
+  throw lastError;
+}
+
+/**
+ * Record one Cineplex call in metrics, the current request's upstream time
+ * and the log, so slow requests can be split into time spent here and time
+ * spent waiting on Cineplex
+ * @param {string} label - Endpoint name
+ * @param {number|string} outcome - HTTP status, or timeout/invalid_json/network_error
+ * @param {number} durationMs - Call duration
+ * @param {number} attempt - Zero-based attempt number
+ */
+function recordAttempt(label, outcome, durationMs, attempt) {
+  upstreamRequests.inc({ endpoint: label, status: outcome });
+  upstreamDuration.observe({ endpoint: label }, durationMs / 1000);
+
+  const context = getContext();
+  if (context && context.upstreamCalls !== undefined) {
+    context.upstreamCalls++;
+    context.upstreamMs += durationMs;
+  }
+
+  const fields = { endpoint: label, status: outcome, durationMs, attempt: attempt + 1 };
+  if (typeof outcome === 'number' && outcome < 400) {
+    log.info('Cineplex call', fields);
+  } else {
+    log.warn('Cineplex call failed', fields);
+  }
+}
+
+/**
+ * Get per-family circuit breaker state and request counters
+ * @returns {Object} Upstream stats
+ */
+export function getUpstreamStats() {
+  return Object.fromEntries(
+    Object.entries(families).map(([name, { breaker, counters }]) => [
+      name,
+      { ...breaker.getStats(), ...counters }
+    ])
+  );
+}
+
+export default cineplexGet;
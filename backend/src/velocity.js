@@ -0,0 +1,52 @@
+/**
+ * Selling velocity
+ * Derives seats sold per hour from consecutive occupancy snapshots
+ */
+
+// Readings older than this (relative to the latest one) are ignored
+export const VELOCITY_WINDOW_MS = 3 * 60 * 60 * 1000;
+
+// Readings closer together than this are too noisy to extrapolate from
+const MIN_SPAN_MS = 5 * 60 * 1000;
+
+/**
+ * Compute seats sold per hour for one session
+ * @param {Array<Object>} snapshots - Occupancy snapshots, oldest first
+ * @param {number} [windowMs] - How far back from the latest reading to look
+ * @returns {Object|null} { seatsPerHour, seatsSold, spanMinutes, readings } or null without enough data
+ */
+export function computeSessionVelocity(snapshots, windowMs = VELOCITY_WINDOW_MS) {
+  if (!snapshots || snapshots.length < 2) return null;
+
+  const latest = snapshots[snapshots.length - 1];
+  const windowStart = latest.timestamp - windowMs;
+  const inWindow = snapshots.filter((s) => s.timestamp >= windowStart);
+  const earliest = inWindow[0];
+
+  const spanMs = latest.timestamp - earliest.timestamp;
+  if (spanMs < MIN_SPAN_MS) return null;
+
+  const seatsSold = latest.occupiedSeats - earliest.occupiedSeats;
+
+  return {
+    seatsPerHour: Math.round((seatsSold / (spanMs / (60 * 60 * 1000))) * 10) / 10,
+    seatsSold,
+    spanMinutes: Math.round(spanMs / 60000),
+    readings: inWindow.length
+  };
+}
+
+/**
+ * Combine session velocities into a movie-level figure
+ * @param {Array<Object>} sessions - Sessions with an optional seatsPerHour
+ * @returns {number|undefined} Total seats sold per hour across sessions
+ */
+export function sumVelocity(sessions) {
+  const withVelocity = sessions.filter((s) => s.seatsPerHour !== undefined);
+  if (withVelocity.length === 0) return undefined;
+
+  const total = withVelocity.reduce((sum, s) => sum + s.seatsPerHour, 0);
+  return Math.round(total * 10) / 10;
+}
+
+export default computeSessionVelocity;
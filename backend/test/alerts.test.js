@@ -0,0 +1,81 @@
+/**
+ * Alert routes: the alerts token, and filtered alerts after a restart
+ */
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFakeCineplex, startApp } from './fakeCineplex.js';
+
+const ALERTS_TOKEN = 'alerts-secret';
+const ADMIN_TOKEN = 'admin-secret';
+
+let fake;
+let app;
+
+before(async () => {
+  fake = await startFakeCineplex();
+  app = await startApp(fake, { ALERTS_TOKEN, ADMIN_TOKEN });
+});
+
+after(async () => {
+  await app.close();
+  await fake.close();
+});
+
+function request(path, token, options = {}) {
+  return fetch(`${app.url}${path}`, {
+    ...options,
+    headers: { 'Content-Type': 'application/json', ...(token && { Authorization: `Bearer ${token}` }) }
+  });
+}
+
+test('the alerts token opens the alert routes and nothing else', async () => {
+  assert.equal((await request('/api/alerts')).status, 401);
+  assert.equal((await request('/api/alerts', 'wrong')).status, 401);
+  assert.equal((await request('/api/alerts', ALERTS_TOKEN)).status, 200);
+  assert.equal((await request('/api/alerts', ADMIN_TOKEN)).status, 200);
+
+  assert.equal((await request('/api/admin/config', ALERTS_TOKEN)).status, 401);
+  assert.equal((await request('/api/admin/config', ADMIN_TOKEN)).status, 200);
+});
+
+test('fires a movie-filtered alert for a session whose showtimes were never fetched', async () => {
+  // Today in Toronto, where theatres without a known postal code are assumed to be
+  const today = new Date().toLocaleDateString('sv-SE', { timeZone: 'America/Toronto' });
+  fake.respond('/theatrical/showtimes', {
+    body: [{
+      theatreId: 1422,
+      theatre: 'Scotiabank Theatre Toronto',
+      dates: [{
+        movies: [{
+          id: 30001,
+          name: 'Northern Lights Heist',
+          experiences: [{ experienceTypes: ['Regular'], sessions: [{ vistaSessionId: 98765, showStartDateTime: `${today}T19:30:00` }] }]
+        }]
+      }]
+    }]
+  });
+  fake.respond('/ticketing/theatre/1422/showtime/98765/seat-availability', {
+    body: { seatAvailabilities: { A1: 'Occupied', A2: 'Occupied', A3: 'Available' } }
+  });
+  fake.respond('/hook', { body: {} });
+
+  const created = await request('/api/alerts', ALERTS_TOKEN, {
+    method: 'POST',
+    body: JSON.stringify({
+      name: 'Heist selling out',
+      filters: { movieId: 30001 },
+      condition: { occupancyAtLeast: 50 },
+      webhookUrl: `${new URL(fake.baseUrl).origin}/hook`
+    })
+  });
+  assert.equal(created.status, 201);
+
+  // The first the server hears of the session is a seat reading
+  assert.equal((await fetch(`${app.url}/api/seat-availability?theatreId=1422&showtimeId=98765`)).status, 200);
+
+  for (let i = 0; i < 50 && fake.requestsTo('/hook').length === 0; i++) {
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  assert.equal(fake.requestsTo('/hook').length, 1);
+  assert.equal(fake.requestsTo('/theatrical/showtimes').length, 1);
+});
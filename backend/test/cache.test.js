@@ -0,0 +1,117 @@
+/**
+ * Cache: single-flight fetches, soft and hard TTLs, and serving stale values when Cineplex fails
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Cache } from '../src/cache.js';
+import MemoryStore from '../src/cacheStores/memoryStore.js';
+
+const POLICY = { ttlMs: 60 * 1000 };
+
+/**
+ * A fetcher that resolves (or rejects) when told to, counting its calls
+ */
+function deferredFetcher() {
+  const fetcher = () => {
+    fetcher.calls++;
+    return new Promise((resolve, reject) => Object.assign(fetcher, { resolve, reject }));
+  };
+  fetcher.calls = 0;
+  return fetcher;
+}
+
+test('concurrent misses on a key share one fetch', async () => {
+  const cache = new Cache(new MemoryStore());
+  const fetcher = deferredFetcher();
+
+  const lookups = [1, 2, 3].map(() => cache.getOrFetch('showtimes:v2:1422:2/6/2026', POLICY, fetcher));
+  // Let each lookup read the (empty) store and join the fetch
+  await new Promise((resolve) => setImmediate(resolve));
+  fetcher.resolve({ sessions: [] });
+
+  const results = await Promise.all(lookups);
+  assert.equal(fetcher.calls, 1);
+  results.forEach((result) => assert.deepEqual(result.value, { sessions: [] }));
+  assert.equal(cache.counters.misses, 1);
+  assert.equal(cache.counters.coalesced, 2);
+  assert.equal(cache.inFlight.size, 0);
+
+  // Other keys fetch on their own
+  await cache.getOrFetch('showtimes:v2:1422:2/7/2026', POLICY, async () => ({ sessions: [] }));
+  assert.equal(cache.counters.misses, 2);
+});
+
+test('a failed shared fetch fails every waiter, and the next lookup fetches again', async () => {
+  const cache = new Cache(new MemoryStore());
+  const fetcher = deferredFetcher();
+
+  const lookups = [1, 2].map(() => cache.getOrFetch('seats:v2:1422:98765', POLICY, fetcher));
+  await new Promise((resolve) => setImmediate(resolve));
+  fetcher.reject(Object.assign(new Error('Cineplex API returned status 503'), { status: 503 }));
+
+  for (const lookup of lookups) {
+    await assert.rejects(lookup, /status 503/);
+  }
+  assert.equal(fetcher.calls, 1);
+  assert.equal(cache.inFlight.size, 0);
+
+  const retried = cache.getOrFetch('seats:v2:1422:98765', POLICY, fetcher);
+  await new Promise((resolve) => setImmediate(resolve));
+  fetcher.resolve({ occupiedSeats: 12 });
+  assert.deepEqual((await retried).value, { occupiedSeats: 12 });
+  assert.equal(fetcher.calls, 2);
+});
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Fresh for 50ms, servable while refreshing until 250ms, kept for failures until 600ms
+const SHORT_POLICY = { ttlMs: 50, hardTtlMs: 250, staleIfErrorMs: 600 };
+
+const unavailable = () => Promise.reject(Object.assign(new Error('Cineplex API returned status 503'), { status: 503 }));
+
+test('serves fresh entries, then refreshes in the background until the hard TTL', async () => {
+  const cache = new Cache(new MemoryStore());
+  let version = 0;
+  const fetcher = async () => ({ version: ++version });
+
+  const first = await cache.getOrFetch('movies:v2:30001', SHORT_POLICY, fetcher);
+  assert.deepEqual((await cache.getOrFetch('movies:v2:30001', SHORT_POLICY, fetcher)).value, { version: 1 });
+  assert.equal(version, 1);
+
+  // Past the soft TTL: the old value now, one refresh behind it
+  await sleep(80);
+  const revalidating = await cache.getOrFetch('movies:v2:30001', SHORT_POLICY, fetcher);
+  assert.deepEqual(revalidating.value, { version: 1 });
+  assert.equal(revalidating.storedAt, first.storedAt);
+  assert.equal(revalidating.stale, false);
+  await cache.getOrFetch('movies:v2:30001', SHORT_POLICY, fetcher);
+  assert.equal(cache.counters.revalidations, 1);
+
+  await sleep(10);
+  assert.deepEqual((await cache.getOrFetch('movies:v2:30001', SHORT_POLICY, fetcher)).value, { version: 2 });
+  assert.equal(version, 2);
+});
+
+test('fetches past the hard TTL, falling back to the retained value only for upstream failures', async () => {
+  const cache = new Cache(new MemoryStore());
+  const stored = await cache.getOrFetch('theatres:v2:43.65:-79.38:8', SHORT_POLICY, async () => ({ theatres: [1422] }));
+
+  await sleep(280);
+  assert.equal(await cache.get('theatres:v2:43.65:-79.38:8'), null);
+
+  // Cineplex is down: the last good value, marked stale
+  const stale = await cache.getOrFetch('theatres:v2:43.65:-79.38:8', SHORT_POLICY, unavailable);
+  assert.deepEqual(stale, { value: { theatres: [1422] }, stale: true, storedAt: stored.storedAt });
+  assert.equal(cache.counters.staleServed, 1);
+
+  // Client errors aren't covered up
+  const notFound = () => Promise.reject(Object.assign(new Error('Cineplex API returned status 404'), { status: 404 }));
+  await assert.rejects(cache.getOrFetch('theatres:v2:43.65:-79.38:8', SHORT_POLICY, notFound), /status 404/);
+
+  // Nor is anything past retention
+  await sleep(350);
+  await assert.rejects(cache.getOrFetch('theatres:v2:43.65:-79.38:8', SHORT_POLICY, unavailable), /status 503/);
+  assert.equal(cache.counters.staleServed, 1);
+});
@@ -0,0 +1,102 @@
+/**
+ * Calendar feeds: theatre-local dates and the Cineplex lookup budget
+ */
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFakeCineplex, startApp } from './fakeCineplex.js';
+
+// The server's own date must not decide which days a feed covers
+process.env.TZ = 'UTC';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+let fake;
+let app;
+let localTimeToEpoch;
+
+/**
+ * Wall-clock time in a zone, the way Cineplex formats start times
+ */
+function localTime(epochMs, timeZone) {
+  return new Date(epochMs).toLocaleString('sv-SE', { timeZone }).replace(' ', 'T');
+}
+
+before(async () => {
+  fake = await startFakeCineplex();
+  app = await startApp(fake, { RATE_LIMIT_LOOKUPS: '3' });
+  ({ localTimeToEpoch } = await import('../src/timeZones.js'));
+});
+
+after(async () => {
+  await app.close();
+  await fake.close();
+});
+
+function get(path) {
+  return fetch(`${app.url}${path}`);
+}
+
+test('charges calendar exports for the Cineplex lookups they make', async () => {
+  fake.respond('/theatrical/showtimes', { body: [] });
+
+  // One showtimes lookup per date overdraws the client's 3 lookups
+  const response = await get('/api/calendar.ics?theatreId=1430&dates=2/6/2026,2/7/2026,2/8/2026,2/9/2026');
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('X-RateLimit-Lookups-Remaining'), '3');
+
+  // Cached now, but the budget is overdrawn
+  const limited = await get('/api/calendar.ics?theatreId=1430&date=2/6/2026');
+  assert.equal(limited.status, 429);
+  assert.match((await limited.json()).message, /Maximum 3 Cineplex lookups per 60 seconds/);
+});
+
+test('feeds count days from today in each theatre\'s zone', async () => {
+  // 11:30pm tomorrow in Vancouver, already the day after in Toronto and UTC.
+  // Later than the real time (and the spent budget has refilled by then),
+  // since rate limit buckets don't expect the clock to go back.
+  const day = localTime(Date.now() + 24 * HOUR_MS, 'America/Vancouver').slice(0, 10);
+  const [year, month, dayOfMonth] = day.split('-').map(Number);
+  const vancouverDate = `${month}/${dayOfMonth}/${year}`;
+  const now = localTimeToEpoch(`${day}T23:30:00`, 'America/Vancouver');
+  const [torontoDay] = localTime(now, 'America/Toronto').split('T');
+  const [torontoYear, torontoMonth, torontoDayOfMonth] = torontoDay.split('-').map(Number);
+  const torontoDate = `${torontoMonth}/${torontoDayOfMonth}/${torontoYear}`;
+
+  mock.timers.enable({ apis: ['Date'], now });
+  try {
+    fake.respond('/theatrical/theatres', {
+      body: {
+        nearbyTheatres: [
+          { theatreId: 1431, theatreName: 'Cineplex Cinemas Metropolis', location: { postalCode: 'V5H 4M1' } },
+          { theatreId: 1432, theatreName: 'Scotiabank Theatre Toronto', location: { postalCode: 'M5V 3M6' } }
+        ]
+      }
+    });
+    fake.respond('/theatrical/showtimes', ({ query }) => ({
+      body: query.locationId !== '1431' || query.date !== vancouverDate ? [] : [{
+        theatreId: 1431,
+        theatre: 'Cineplex Cinemas Metropolis',
+        dates: [{
+          movies: [{
+            id: 30001,
+            name: 'Northern Lights Heist',
+            experiences: [{ experienceTypes: ['Regular'], sessions: [{ vistaSessionId: 98767, showStartDateTime: `${day}T23:50:00` }] }]
+          }]
+        }]
+      }]
+    }));
+
+    const response = await get('/api/calendar.ics?areas=49.26,-123.0,10;43.65,-79.38,10&days=1');
+    assert.equal(response.status, 200);
+    assert.match(await response.text(), /SUMMARY:Northern Lights Heist/);
+
+    const requested = fake.requestsTo('/theatrical/showtimes')
+      .filter((request) => ['1431', '1432'].includes(request.query.locationId))
+      .map((request) => [request.query.locationId, request.query.date])
+      .sort();
+    assert.deepEqual(requested, [['1431', vancouverDate], ['1432', torontoDate]]);
+    assert.notEqual(vancouverDate, torontoDate);
+  } finally {
+    mock.timers.reset();
+  }
+});
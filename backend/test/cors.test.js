@@ -0,0 +1,43 @@
+/**
+ * CORS with Vercel preview deployments allowed
+ */
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFakeCineplex, startApp } from './fakeCineplex.js';
+
+let fake;
+let app;
+
+before(async () => {
+  fake = await startFakeCineplex();
+  app = await startApp(fake, { CORS_ALLOW_VERCEL_PREVIEWS: 'true' });
+});
+
+after(async () => {
+  await app.close();
+  await fake.close();
+});
+
+function health(origin) {
+  return fetch(`${app.url}/health`, { headers: { Origin: origin } });
+}
+
+test('allows previews of this project under our Vercel team only', async () => {
+  const preview = 'https://crowdplex-git-my-branch-0xt4nj1r0s-projects.vercel.app';
+  const allowed = await health(preview);
+  assert.equal(allowed.status, 200);
+  assert.equal(allowed.headers.get('Access-Control-Allow-Origin'), preview);
+
+  // Other accounts can name projects crowdplex-* too
+  const rejected = [
+    'https://crowdplex-evil.vercel.app',
+    'https://crowdplex-git-main-someone-else.vercel.app',
+    'https://attacker.vercel.app',
+    'http://crowdplex-git-my-branch-0xt4nj1r0s-projects.vercel.app'
+  ];
+  for (const origin of rejected) {
+    const response = await health(origin);
+    assert.equal(response.status, 403, origin);
+    assert.equal(response.headers.get('Access-Control-Allow-Origin'), null, origin);
+  }
+});
@@ -0,0 +1,113 @@
+/**
+ * Fake Cineplex API for route tests
+ * A local HTTP server the app is pointed at through CINEPLEX_BASE_URL and
+ * CINEPLEX_TICKETING_URL. Tests register a response per path and can read
+ * back every request it received.
+ */
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Start a fake Cineplex server on a free port
+ * @returns {Promise<Object>} { baseUrl, ticketingUrl, respond, requestsTo, reset, close }
+ */
+export async function startFakeCineplex() {
+  const responses = new Map();
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+    requests.push({ pathname, query: Object.fromEntries(searchParams), headers: req.headers });
+
+    const response = responses.get(pathname);
+    if (!response) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ message: `No fake response for ${pathname}` }));
+    }
+
+    const { status = 200, body, headers = {} } = typeof response === 'function'
+      ? response({ pathname, query: Object.fromEntries(searchParams) })
+      : response;
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body ?? {}));
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const origin = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    baseUrl: `${origin}/theatrical`,
+    ticketingUrl: `${origin}/ticketing`,
+
+    /**
+     * Set the response for a path
+     * @param {string} pathname - e.g. /theatrical/showtimes
+     * @param {Object|Function} response - { status, body, headers }, or a function of { pathname, query } returning one
+     */
+    respond(pathname, response) {
+      responses.set(pathname, response);
+    },
+
+    /**
+     * Requests received for a path
+     * @param {string} pathname
+     * @returns {Array<Object>} { pathname, query, headers }
+     */
+    requestsTo(pathname) {
+      return requests.filter((request) => request.pathname === pathname);
+    },
+
+    reset() {
+      responses.clear();
+      requests.length = 0;
+    },
+
+    close() {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(resolve));
+    }
+  };
+}
+
+/**
+ * Point the app at a fake Cineplex, then import and start it. Settings are
+ * read once per process, so each test file starts its own app.
+ * @param {Object} fake - From startFakeCineplex
+ * @param {Object} [env] - Extra environment variables
+ * @returns {Promise<Object>} { url, close }
+ */
+export async function startApp(fake, env = {}) {
+  // History and alerts are written to a scratch directory, removed on close
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'crowdplex-test-'));
+
+  Object.assign(process.env, {
+    CINEPLEX_MODE: 'live',
+    CINEPLEX_API_KEY: 'test-key',
+    CINEPLEX_BASE_URL: fake.baseUrl,
+    CINEPLEX_TICKETING_URL: fake.ticketingUrl,
+    CACHE_STORE: 'memory',
+    UPSTREAM_RETRIES: '0',
+    HISTORY_DB_PATH: path.join(dataDir, 'history.ndjson'),
+    ALERTS_DB_PATH: path.join(dataDir, 'alerts.json'),
+    POLLER_ENABLED: 'false',
+    LOG_LEVEL: 'error',
+    ...env
+  });
+
+  const { default: app } = await import('../src/index.js');
+  const { default: historyStore } = await import('../src/historyStore.js');
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise((resolve) => server.once('listening', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    async close() {
+      server.closeAllConnections();
+      await new Promise((resolve) => server.close(resolve));
+      await historyStore.flush();
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+  };
+}
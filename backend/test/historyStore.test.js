@@ -0,0 +1,72 @@
+/**
+ * Occupancy history retention and compaction
+ */
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'crowdplex-history-'));
+const historyPath = path.join(dataDir, 'history.ndjson');
+
+let historyStore;
+
+function snapshot(showtimeId, timestamp) {
+  return { theatreId: '1422', showtimeId: String(showtimeId), timestamp, totalSeats: 100, occupiedSeats: 10, availableSeats: 90, occupancyPercentage: 10 };
+}
+
+function fileLines() {
+  return fs.readFileSync(historyPath, 'utf8').split('\n').filter(Boolean);
+}
+
+before(async () => {
+  const now = Date.now();
+  // 1500 expired readings and 3 recent ones, across four showtimes
+  const lines = [
+    ...Array.from({ length: 1500 }, (_, i) => snapshot(1, now - 20 * DAY_MS + i)),
+    snapshot(2, now - DAY_MS),
+    snapshot(3, now - DAY_MS),
+    snapshot(4, now - 1000)
+  ];
+  fs.writeFileSync(historyPath, lines.map((line) => JSON.stringify(line)).join('\n') + '\n');
+
+  Object.assign(process.env, {
+    HISTORY_DB_PATH: historyPath,
+    HISTORY_RETENTION_DAYS: '14',
+    HISTORY_MAX_SHOWTIMES: '2',
+    LOG_LEVEL: 'error'
+  });
+  ({ default: historyStore } = await import('../src/historyStore.js'));
+});
+
+after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('drops expired snapshots and evicts the least recently updated showtimes on load', async () => {
+  const stats = historyStore.getStats();
+  assert.equal(stats.showtimes, 2);
+  assert.equal(stats.snapshots, 2);
+  assert.deepEqual(historyStore.getTimeline('1422', '1'), []);
+  assert.deepEqual(historyStore.getTimeline('1422', '2'), []);
+  assert.equal(historyStore.getTimeline('1422', '3').length, 1);
+  assert.equal(historyStore.getTimeline('1422', '4').length, 1);
+
+  // Mostly dead lines, so the log was rewritten with only what was kept
+  await historyStore.flush();
+  assert.equal(fileLines().length, 2);
+});
+
+test('appends new readings after compaction and prunes them once expired', async () => {
+  historyStore.record(snapshot(4, Date.now()));
+  await historyStore.flush();
+  assert.equal(fileLines().length, 3);
+  assert.equal(historyStore.getTimeline('1422', '4').length, 2);
+
+  historyStore.prune(Date.now() + 15 * DAY_MS);
+  assert.equal(historyStore.getStats().snapshots, 0);
+  assert.equal(historyStore.getStats().showtimes, 0);
+});
@@ -0,0 +1,72 @@
+/**
+ * Prometheus metrics: text format, and the series a request records
+ */
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFakeCineplex, startApp } from './fakeCineplex.js';
+import { Counter, Histogram } from '../src/metrics.js';
+
+let fake;
+let app;
+
+before(async () => {
+  fake = await startFakeCineplex();
+  app = await startApp(fake);
+});
+
+after(async () => {
+  await app.close();
+  await fake.close();
+});
+
+async function scrape() {
+  const response = await fetch(`${app.url}/metrics`);
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('Content-Type'), /^text\/plain;.*version=0\.0\.4/);
+  return (await response.text()).split('\n');
+}
+
+test('renders counters with escaped labels and cumulative histogram buckets', () => {
+  const counter = new Counter('test_requests_total', 'Requests', ['route']);
+  counter.inc({ route: '/a"b\\c' });
+  counter.inc({ route: '/a"b\\c' }, 2);
+  assert.equal(counter.render(), [
+    '# HELP test_requests_total Requests',
+    '# TYPE test_requests_total counter',
+    'test_requests_total{route="/a\\"b\\\\c"} 3'
+  ].join('\n'));
+
+  const histogram = new Histogram('test_duration_seconds', 'Latency', [], [0.1, 1]);
+  histogram.observe({}, 0.05);
+  histogram.observe({}, 0.5);
+  histogram.observe({}, 5);
+  assert.deepEqual(histogram.render().split('\n').slice(2), [
+    'test_duration_seconds_bucket{le="0.1"} 1',
+    'test_duration_seconds_bucket{le="1"} 2',
+    'test_duration_seconds_bucket{le="+Inf"} 3',
+    'test_duration_seconds_sum 5.55',
+    'test_duration_seconds_count 3'
+  ]);
+});
+
+test('records requests by route pattern, Cineplex calls and the cache hit ratio', async () => {
+  fake.respond('/theatrical/showtimes', { body: [] });
+  for (let i = 0; i < 2; i++) {
+    assert.equal((await fetch(`${app.url}/api/showtimes?theatreId=1422&date=2/6/2026`)).status, 200);
+  }
+  assert.equal((await fetch(`${app.url}/api/nothing-here`)).status, 404);
+
+  const lines = await scrape();
+  assert.ok(lines.includes('crowdplex_http_requests_total{method="GET",route="/api/showtimes",status="200"} 2'));
+  // Unknown paths share one series, whatever the path
+  assert.ok(lines.includes('crowdplex_http_requests_total{method="GET",route="unmatched",status="404"} 1'));
+  assert.ok(lines.includes('crowdplex_http_request_duration_seconds_count{method="GET",route="/api/showtimes"} 2'));
+
+  // One miss went to Cineplex; the second request was a hit
+  assert.ok(lines.includes('crowdplex_upstream_requests_total{endpoint="showtimes",status="200"} 1'));
+  assert.ok(lines.includes('crowdplex_upstream_request_duration_seconds_count{endpoint="showtimes"} 1'));
+  assert.ok(lines.includes('crowdplex_cache_requests_total{cache="showtimes",result="miss"} 1'));
+  assert.ok(lines.includes('crowdplex_cache_requests_total{cache="showtimes",result="hit"} 1'));
+  assert.ok(lines.includes('crowdplex_cache_hit_ratio{cache="showtimes"} 0.5'));
+  assert.ok(lines.includes('crowdplex_upstream_circuit_state{family="theatrical"} 0'));
+});
@@ -0,0 +1,170 @@
+/**
+ * Background poller: request budget, theatre-local dates and start times, stopping
+ */
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFakeCineplex, startApp } from './fakeCineplex.js';
+
+// Start times are read in the server's zone unless converted, so pin it
+process.env.TZ = 'UTC';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+let fake;
+let app;
+let createPoller;
+let theatreDirectory;
+let localTimeToEpoch;
+
+/**
+ * Wall-clock time in a zone, the way Cineplex formats start times
+ */
+function localTime(epochMs, timeZone) {
+  return new Date(epochMs).toLocaleString('sv-SE', { timeZone }).replace(' ', 'T');
+}
+
+before(async () => {
+  fake = await startFakeCineplex();
+  app = await startApp(fake);
+  ({ createPoller } = await import('../src/poller.js'));
+  ({ default: theatreDirectory } = await import('../src/theatreDirectory.js'));
+  ({ localTimeToEpoch } = await import('../src/timeZones.js'));
+});
+
+after(async () => {
+  await app.close();
+  await fake.close();
+});
+
+test('converts theatre-local times across zones and DST', () => {
+  assert.equal(localTimeToEpoch('2026-02-06T19:30:00', 'America/Vancouver'), Date.parse('2026-02-07T03:30:00Z'));
+  assert.equal(localTimeToEpoch('2026-07-06T19:30:00', 'America/Toronto'), Date.parse('2026-07-06T23:30:00Z'));
+  assert.equal(localTimeToEpoch('2026-02-06T19:30', 'America/St_Johns'), Date.parse('2026-02-06T23:00:00Z'));
+});
+
+test('polls sessions by theatre-local start and only charges upstream fetches', async () => {
+  // A Vancouver theatre with a session an hour from now, Vancouver time. Read as
+  // UTC it would look 7-8 hours in the past and never be polled.
+  theatreDirectory.remember([{ id: 1422, name: 'Scotiabank Theatre Vancouver', postalCode: 'V6B 1P1' }]);
+  const startsAt = localTime(Date.now() + HOUR_MS, 'America/Vancouver');
+
+  fake.respond('/theatrical/showtimes', {
+    body: [{
+      theatreId: 1422,
+      theatre: 'Scotiabank Theatre Vancouver',
+      dates: [{
+        movies: [{
+          id: 30001,
+          name: 'Northern Lights Heist',
+          experiences: [{ experienceTypes: ['Regular'], sessions: [{ vistaSessionId: 98765, showStartDateTime: startsAt }] }]
+        }]
+      }]
+    }]
+  });
+  fake.respond('/ticketing/theatre/1422/showtime/98765/seat-availability', {
+    body: { seatAvailabilities: { A1: 'Occupied', A2: 'Available' } }
+  });
+
+  const poller = createPoller({
+    enabled: true,
+    theatreIds: ['1422'],
+    metros: [],
+    daysAhead: 1,
+    intervalMs: 15 * 60 * 1000,
+    requestBudget: 10,
+    budgetWindowMs: HOUR_MS
+  });
+
+  await poller.tick();
+  let status = poller.getStatus();
+  assert.equal(status.jobs[0].timeZone, 'America/Vancouver');
+  assert.equal(status.lastTick.seatReadings, 1);
+  assert.equal(status.budget.used, 2);
+
+  // Due again while both lookups are still cached: nothing goes upstream
+  const [job] = poller.jobs.values();
+  job.nextRunAt = 0;
+  job.sessions.forEach((session) => { session.nextPollAt = 0; });
+  await poller.tick();
+  status = poller.getStatus();
+  assert.equal(status.lastTick.showtimeFetches, 1);
+  assert.equal(status.budget.used, 2);
+  assert.equal(fake.requestsTo('/theatrical/showtimes').length, 1);
+  assert.equal(fake.requestsTo('/ticketing/theatre/1422/showtime/98765/seat-availability').length, 1);
+});
+
+test('polls tonight\'s sessions after midnight UTC, using the theatre\'s date', async () => {
+  // 11:30pm tomorrow in Vancouver, already the day after in UTC. Later than
+  // the real time, since rate limit buckets don't expect the clock to go back.
+  const day = localTime(Date.now() + 24 * HOUR_MS, 'America/Vancouver').slice(0, 10);
+  const [year, month, dayOfMonth] = day.split('-').map(Number);
+  const date = `${month}/${dayOfMonth}/${year}`;
+  mock.timers.enable({ apis: ['Date'], now: localTimeToEpoch(`${day}T23:30:00`, 'America/Vancouver') });
+  try {
+    theatreDirectory.remember([{ id: 1423, name: 'Cineplex Cinemas Metropolis', postalCode: 'V5H 4M1' }]);
+    fake.respond('/theatrical/showtimes', ({ query }) => ({
+      body: query.date !== date ? [] : [{
+        theatreId: 1423,
+        theatre: 'Cineplex Cinemas Metropolis',
+        dates: [{
+          movies: [{
+            id: 30001,
+            name: 'Northern Lights Heist',
+            experiences: [{ experienceTypes: ['Regular'], sessions: [{ vistaSessionId: 98766, showStartDateTime: `${day}T23:50:00` }] }]
+          }]
+        }]
+      }]
+    }));
+    fake.respond('/ticketing/theatre/1423/showtime/98766/seat-availability', {
+      body: { seatAvailabilities: { A1: 'Occupied', A2: 'Available' } }
+    });
+
+    const poller = createPoller({
+      enabled: true,
+      theatreIds: ['1423'],
+      metros: [],
+      daysAhead: 1,
+      intervalMs: 15 * 60 * 1000,
+      requestBudget: 10,
+      budgetWindowMs: HOUR_MS
+    });
+    await poller.tick();
+
+    assert.equal(poller.getStatus().jobs[0].date, date);
+    assert.equal(poller.getStatus().lastTick.seatReadings, 1);
+    assert.deepEqual(fake.requestsTo('/theatrical/showtimes').filter((request) => request.query.locationId === '1423').map((request) => request.query.date), [date]);
+  } finally {
+    mock.timers.reset();
+  }
+});
+
+test('stays stopped when stopped during a tick', async () => {
+  fake.respond('/theatrical/showtimes', { body: [] });
+  const poller = createPoller({
+    enabled: true,
+    theatreIds: ['1424'],
+    metros: [],
+    daysAhead: 1,
+    intervalMs: 20,
+    requestBudget: 10,
+    budgetWindowMs: HOUR_MS
+  });
+
+  // Stop as soon as the first tick starts, and wait for it to finish
+  const tick = poller.tick.bind(poller);
+  const firstTickDone = new Promise((resolve) => {
+    poller.tick = async () => {
+      const ticking = tick();
+      poller.stop();
+      await ticking;
+      resolve();
+    };
+  });
+  poller.start();
+  await firstTickDone;
+
+  // Several intervals later, nothing else has run
+  await new Promise((resolve) => setTimeout(resolve, 100));
+  assert.equal(poller.getStatus().active, false);
+  assert.equal(poller.ticks, 1);
+});
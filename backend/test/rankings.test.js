@@ -0,0 +1,113 @@
+/**
+ * Rankings: cache entries shared with the single-theatre routes, the progress stream and reports
+ */
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFakeCineplex, startApp } from './fakeCineplex.js';
+
+const ADMIN_TOKEN = 'admin-secret';
+
+let fake;
+let app;
+
+before(async () => {
+  fake = await startFakeCineplex();
+  app = await startApp(fake, { ADMIN_TOKEN });
+});
+
+after(async () => {
+  await app.close();
+  await fake.close();
+});
+
+function get(path, token) {
+  return fetch(`${app.url}${path}`, token && { headers: { Authorization: `Bearer ${token}` } });
+}
+
+test('multi-date rankings share showtimes cache entries with /api/showtimes', async () => {
+  fake.respond('/theatrical/theatres', {
+    body: { nearbyTheatres: [{ theatreId: 1422, theatreName: 'Scotiabank Theatre Toronto' }] }
+  });
+  fake.respond('/theatrical/showtimes', ({ query }) => {
+    const [month, day, year] = query.date.split('/');
+    const startDate = `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+    return {
+      body: [{
+        theatreId: 1422,
+        theatre: 'Scotiabank Theatre Toronto',
+        dates: [{
+          startDate: `${startDate}T00:00:00`,
+          movies: [{
+            id: 30001,
+            name: 'Northern Lights Heist',
+            experiences: [{ experienceTypes: ['Regular'], sessions: [{ vistaSessionId: Number(`9${day}`), showStartDateTime: `${startDate}T19:30:00` }] }]
+          }]
+        }]
+      }]
+    };
+  });
+
+  // One theatre and date, stored under showtimes:v2:1422:2/6/2026
+  assert.equal((await get('/api/showtimes?theatreId=1422&date=2/6/2026')).status, 200);
+  assert.equal(fake.requestsTo('/theatrical/showtimes').length, 1);
+
+  // The ranking only fetches the date /api/showtimes hasn't
+  const response = await get('/api/rankings?areas=43.64,-79.39,5&dates=2/6/2026,2/7/2026');
+  assert.equal(response.status, 200);
+  const rankings = await response.json();
+  assert.deepEqual(rankings.movies[0].sessions.map((session) => session.date), ['2/6/2026', '2/7/2026']);
+  assert.deepEqual(fake.requestsTo('/theatrical/showtimes').map((request) => request.query.date), ['2/6/2026', '2/7/2026']);
+
+  // And /api/showtimes reads the entry the ranking stored
+  assert.equal((await get('/api/showtimes?theatreId=1422&date=2/7/2026')).status, 200);
+  assert.equal(fake.requestsTo('/theatrical/showtimes').length, 2);
+
+  const listed = await (await get('/api/admin/cache?prefix=showtimes:', ADMIN_TOKEN)).json();
+  assert.deepEqual(listed.entries.map((entry) => entry.key), ['showtimes:v2:1422:2/6/2026', 'showtimes:v2:1422:2/7/2026']);
+});
+
+/**
+ * Read a finished Server-Sent Events stream into { event, data } pairs
+ */
+function parseEvents(text) {
+  return text.split('\n\n').filter((block) => block.startsWith('event: ')).map((block) => {
+    const [eventLine, dataLine] = block.split('\n');
+    return { event: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) };
+  });
+}
+
+test('rejects a stream before it starts, and never sends an "error" event', async () => {
+  // Rejected requests are plain JSON, which EventSource reports as a connection
+  // error so the frontend falls back to /api/rankings
+  const rejected = await get('/api/rankings/stream?areas=43.64,-79.39,5&date=2/6/2026&sort=loudest');
+  assert.equal(rejected.status, 400);
+  assert.match(rejected.headers.get('Content-Type'), /application\/json/);
+
+  const response = await get('/api/rankings/stream?areas=43.64,-79.39,5&date=2/6/2026');
+  assert.match(response.headers.get('Content-Type'), /text\/event-stream/);
+  const events = parseEvents(await response.text());
+  const names = events.map(({ event }) => event);
+
+  assert.ok(!names.includes('error'));
+  assert.equal(names.at(-1), 'done');
+  const [movies] = events.filter(({ event }) => event === 'movies');
+  assert.deepEqual(movies.data.order, [30001]);
+  assert.equal(movies.data.movies[0].id, 30001);
+});
+
+test('reports start CSV files with the header row and date them by the oldest cache entry used', async () => {
+  // Stored by the first test, before the ranking fetched the theatres and 2/7/2026
+  const listed = await (await get('/api/admin/cache?prefix=showtimes:v2:1422:2/6/2026', ADMIN_TOKEN)).json();
+  const [{ storedAt }] = listed.entries;
+
+  const response = await get('/api/rankings/report?areas=43.64,-79.39,5&dates=2/6/2026,2/7/2026');
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('X-Report-Data-As-Of'), storedAt);
+  assert.equal(response.headers.get('X-Report-Areas'), '43.64,-79.39,5');
+
+  const [header, ...rows] = (await response.text()).trimEnd().split('\r\n');
+  assert.match(header, /^rank,movie_id,movie,/);
+  assert.match(header, /,data_as_of$/);
+  assert.equal(rows.length, 2);
+  assert.ok(rows.every((row) => row.endsWith(`,${storedAt}`)));
+});
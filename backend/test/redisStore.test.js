@@ -0,0 +1,66 @@
+/**
+ * Redis store against a fake RESP server
+ */
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'net';
+import RedisStore from '../src/cacheStores/redisStore.js';
+
+const servers = [];
+
+/**
+ * Start a TCP server that answers each chunk it receives with reply(chunk)
+ * @param {function(string): (string|null)} reply - Raw RESP to send back, or null to stay silent
+ */
+async function startServer(reply) {
+  const received = [];
+  const server = net.createServer((socket) => {
+    socket.on('data', (chunk) => {
+      received.push(chunk.toString());
+      const response = reply(chunk.toString());
+      if (response !== null) socket.write(response);
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  servers.push(server);
+  return { url: `redis://127.0.0.1:${server.address().port}`, received };
+}
+
+after(() => {
+  servers.forEach((server) => server.close());
+});
+
+test('rejects an unreadable reply instead of crashing', async () => {
+  const { url } = await startServer(() => '!unknown\r\n');
+  const store = new RedisStore({ url });
+
+  await assert.rejects(store.get('showtimes:v2:1422'), /Unexpected RESP reply type/);
+  assert.equal(store.connection.connected, false);
+});
+
+test('times out commands that get no reply', async () => {
+  const { url } = await startServer(() => null);
+  const store = new RedisStore({ url, commandTimeoutMs: 50 });
+
+  await assert.rejects(store.get('showtimes:v2:1422'), /Redis GET timed out after 50ms/);
+  assert.equal(store.connection.connected, false);
+});
+
+test('only uses the connection once AUTH succeeds', async () => {
+  const { url } = await startServer((command) => (command.includes('AUTH') ? '-WRONGPASS invalid password\r\n' : '$-1\r\n'));
+  const store = new RedisStore({ url: url.replace('redis://', 'redis://:secret@') });
+
+  await assert.rejects(store.get('showtimes:v2:1422'), /WRONGPASS/);
+  assert.equal(store.connection.connected, false);
+  // Fails fast instead of reconnecting on every command
+  await assert.rejects(store.get('showtimes:v2:1422'), /Redis unavailable: WRONGPASS/);
+});
+
+test('escapes glob characters in SCAN patterns', async () => {
+  const { url, received } = await startServer(() => '*2\r\n$1\r\n0\r\n*0\r\n');
+  const store = new RedisStore({ url, keyPrefix: 'crowdplex[1]:' });
+
+  assert.deepEqual(await store.keys('raw:movie*'), []);
+  assert.match(received.at(-1), /crowdplex\\\[1\\\]:raw:movie\\\*\*/);
+  store.connection.reset(new Error('Test finished'));
+});
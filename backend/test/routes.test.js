@@ -0,0 +1,271 @@
+/**
+ * Route tests against a fake Cineplex
+ */
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFakeCineplex, startApp } from './fakeCineplex.js';
+
+const SHOWTIMES = [{
+  theatreId: 1422,
+  theatre: 'Scotiabank Theatre Toronto',
+  dates: [{
+    startDate: '2026-02-06T00:00:00',
+    movies: [{
+      id: 30001,
+      name: 'Northern Lights Heist',
+      runtimeInMinutes: 117,
+      experiences: [{
+        experienceTypes: ['Regular'],
+        sessions: [{ vistaSessionId: 98765, showStartDateTime: '2026-02-06T19:30:00', auditorium: 'Auditorium 4' }]
+      }]
+    }]
+  }]
+}];
+
+let fake;
+let app;
+
+before(async () => {
+  fake = await startFakeCineplex();
+  app = await startApp(fake, { RATE_LIMIT_HISTORY: '2', RATE_LIMIT_LOOKUPS: '5' });
+});
+
+after(async () => {
+  await app.close();
+  await fake.close();
+});
+
+beforeEach(() => fake.reset());
+
+function get(path) {
+  return fetch(`${app.url}${path}`);
+}
+
+test('rejects invalid input with 400 before calling Cineplex', async () => {
+  const cases = [
+    ['/api/theatres?latitude=43.6', 'latitude and longitude are required'],
+    ['/api/theatres?latitude=91&longitude=-79.3', 'Invalid latitude or longitude values'],
+    ['/api/showtimes?theatreId=1422', 'theatreId and date are required'],
+    ['/api/showtimes?theatreId=abc&date=2/6/2026', 'theatreId must be a valid number'],
+    ['/api/movies/abc', 'movie ID must be numeric'],
+    ['/api/seat-availability?theatreId=1422', 'theatreId and showtimeId are required'],
+    ['/api/seat-availability?theatreId=1422&showtimeId=..%2F..%2Fadmin', 'theatreId and showtimeId must be numeric IDs'],
+    ['/api/seat-map?theatreId=abc&showtimeId=98765', 'theatreId and showtimeId must be numeric IDs'],
+    ['/api/history?theatreId=1422&showtimeId=98765%2A', 'theatreId and showtimeId must be numeric IDs'],
+    ['/api/rankings?areas=43.6,-79.3,8&date=2/6/2026&sort=loudest', 'sort must be one of: occupancy, momentum']
+  ];
+
+  for (const [path, message] of cases) {
+    const response = await get(path);
+    assert.equal(response.status, 400, path);
+    assert.deepEqual(await response.json(), { error: 'Bad Request', message }, path);
+  }
+  assert.equal(fake.requestsTo('/theatrical/showtimes').length, 0);
+});
+
+test('caches showtimes: a second request is served without calling Cineplex', async () => {
+  fake.respond('/theatrical/showtimes', { body: SHOWTIMES });
+
+  const first = await get('/api/showtimes?theatreId=1422&date=2/6/2026');
+  assert.equal(first.status, 200);
+  const schedule = await first.json();
+  assert.equal(schedule.sessions.length, 1);
+  assert.equal(schedule.sessions[0].id, '98765');
+  assert.equal(fake.requestsTo('/theatrical/showtimes').length, 1);
+  assert.equal(fake.requestsTo('/theatrical/showtimes')[0].query.locationId, '1422');
+  assert.equal(fake.requestsTo('/theatrical/showtimes')[0].headers['ocp-apim-subscription-key'], 'test-key');
+
+  const second = await get('/api/showtimes?theatreId=1422&date=2/6/2026');
+  assert.equal(second.status, 200);
+  assert.deepEqual(await second.json(), schedule);
+  assert.equal(fake.requestsTo('/theatrical/showtimes').length, 1);
+
+  // Another date is another cache entry
+  await get('/api/showtimes?theatreId=1422&date=2/7/2026');
+  assert.equal(fake.requestsTo('/theatrical/showtimes').length, 2);
+});
+
+test('passes upstream client errors through', async () => {
+  fake.respond('/theatrical/movies/404', { status: 404, body: { message: 'Not found' } });
+
+  const response = await get('/api/movies/404');
+  assert.equal(response.status, 404);
+  assert.deepEqual(await response.json(), {
+    error: 'Upstream API Error',
+    message: 'Cineplex API returned status 404',
+    status: 404
+  });
+});
+
+test('passes upstream server errors through, with Retry-After', async () => {
+  fake.respond('/theatrical/movies/500', { status: 500 });
+  fake.respond('/theatrical/movies/503', { status: 503, headers: { 'Retry-After': '7' } });
+
+  const serverError = await get('/api/movies/500');
+  assert.equal(serverError.status, 500);
+  assert.equal((await serverError.json()).error, 'Upstream API Error');
+
+  const unavailable = await get('/api/movies/503');
+  assert.equal(unavailable.status, 503);
+  assert.equal(unavailable.headers.get('Retry-After'), '7');
+});
+
+test('computes occupancy against sellable seats', async () => {
+  fake.respond('/ticketing/theatre/1422/showtime/98765/seat-availability', {
+    body: {
+      seatAvailabilities: {
+        A1: 'Occupied',
+        A2: 'Occupied',
+        A3: 'Available',
+        A4: 'Wheelchair',
+        A5: 'WheelchairOccupied',
+        A6: 'House',
+        A7: 'Broken'
+      }
+    }
+  });
+
+  const response = await get('/api/seat-availability?theatreId=1422&showtimeId=98765');
+  assert.equal(response.status, 200);
+  const availability = await response.json();
+
+  assert.equal(availability.totalSeats, 7);
+  // House and broken seats can't be sold, so they don't count towards capacity
+  assert.equal(availability.sellableSeats, 5);
+  assert.equal(availability.occupiedSeats, 3);
+  assert.equal(availability.availableSeats, 2);
+  assert.deepEqual(availability.accessibleSeats, { total: 2, available: 1 });
+  assert.equal(availability.occupancyPercentage, 60);
+});
+
+test('returns occupancy totals from a batch, and seats only when asked', async () => {
+  // Charged one of the client's 5 Cineplex lookups, like rankings
+  fake.respond('/ticketing/theatre/1422/showtime/98766/seat-availability', {
+    body: { seatAvailabilities: { A1: 'Occupied', A2: 'Available' } }
+  });
+
+  const post = (query) => fetch(`${app.url}/api/seat-availability/batch${query}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ items: [{ theatreId: 1422, showtimeId: '98766' }, { theatreId: 1422, showtimeId: 'abc' }] })
+  });
+
+  const summary = await (await post('')).json();
+  assert.equal(summary.results[0].status, 200);
+  assert.equal(summary.results[0].data.occupiedSeats, 1);
+  assert.equal(summary.results[0].data.seats, undefined);
+  assert.equal(summary.results[1].status, 400);
+
+  // The first batch's lookup was charged; this one is served from the cache
+  const second = await post('?include=seats');
+  assert.equal(second.headers.get('X-RateLimit-Lookups-Remaining'), '4');
+  const withSeats = await second.json();
+  assert.deepEqual(withSeats.results[0].data.seats, { A1: 'Occupied', A2: 'Available' });
+
+  assert.equal((await post('?include=everything')).status, 400);
+});
+
+test('rate limits clients with 429 and Retry-After', async () => {
+  // Invalid requests above also count against the budget of 2
+  const statuses = [];
+  let response;
+  do {
+    response = await get('/api/history?theatreId=1422&showtimeId=98765');
+    statuses.push(response.status);
+  } while (response.status !== 429 && statuses.length < 3);
+
+  assert.equal(statuses.at(-1), 429);
+  assert.ok(statuses.slice(0, -1).every((status) => status === 200));
+  assert.ok(Number(response.headers.get('Retry-After')) > 0);
+  assert.equal((await response.json()).error, 'Too many requests');
+});
+
+test('calendar exports keep theatre addresses after the process forgets them', async () => {
+  fake.respond('/theatrical/theatres', {
+    body: {
+      nearbyTheatres: [{
+        theatreId: 1422,
+        theatreName: 'Scotiabank Theatre Toronto',
+        location: { address: '259 Richmond St W', city: 'Toronto', postalCode: 'M5V 3M6', latitude: 43.649, longitude: -79.391 }
+      }]
+    }
+  });
+  fake.respond('/theatrical/showtimes', { body: SHOWTIMES });
+  assert.equal((await get('/api/theatres?latitude=43.65&longitude=-79.39')).status, 200);
+
+  // A restarted process (or another instance) sharing the cache knows no theatres
+  const { default: theatreDirectory } = await import('../src/theatreDirectory.js');
+  theatreDirectory.theatres.clear();
+
+  // Read from the cache, so it spends none of the Cineplex lookup budget below
+  const response = await get('/api/calendar.ics?theatreId=1422&date=2/6/2026');
+  assert.equal(response.status, 200);
+  const calendar = await response.text();
+  assert.match(calendar, /LOCATION:Scotiabank Theatre Toronto\\, 259 Richmond St W/);
+  assert.match(calendar, /GEO:43.649;-79.391/);
+});
+
+test('charges rankings and seat batches for the Cineplex lookups they make', async () => {
+  fake.respond('/theatrical/theatres', {
+    body: { nearbyTheatres: [{ theatreId: 7130, theatreName: 'Cineplex Cinemas Yonge-Dundas' }] }
+  });
+  fake.respond('/theatrical/showtimes', { body: [{ ...SHOWTIMES[0], theatreId: 7130 }] });
+  fake.respond('/theatrical/movies/30001', { body: { id: 30001, name: 'Northern Lights Heist', genres: ['Action'] } });
+  fake.respond('/ticketing/theatre/7130/showtime/98765/seat-availability', {
+    body: { seatAvailabilities: { A1: 'Occupied', A2: 'Available' } }
+  });
+
+  const ranking = () => get('/api/rankings?areas=43.64,-79.39,5&date=2/6/2026');
+
+  // The batch above spent 1 of the 5 lookups.
+  // Theatres, showtimes and seats: 3 lookups. Movie details are only needed to filter.
+  const first = await ranking();
+  assert.equal(first.status, 200);
+  const { movies, stats } = await first.json();
+  assert.equal(stats.seatLookups, 1);
+  assert.equal(movies[0].genres, undefined);
+  assert.equal(fake.requestsTo('/theatrical/movies/30001').length, 0);
+
+  // Filtering by genre adds the movie details: the last lookup
+  const filtered = await get('/api/rankings?areas=43.64,-79.39,5&date=2/6/2026&genre=action');
+  assert.equal(filtered.status, 200);
+  assert.deepEqual((await filtered.json()).movies[0].genres, ['Action']);
+  assert.equal(fake.requestsTo('/theatrical/movies/30001').length, 1);
+
+  // Everything is cached now, so this one costs nothing
+  const cached = await ranking();
+  assert.equal(cached.status, 200);
+  assert.equal(cached.headers.get('X-RateLimit-Lookups-Remaining'), '0');
+
+  // A new date needs showtimes from Cineplex, which overdraws the budget
+  assert.equal((await get('/api/rankings?areas=43.64,-79.39,5&date=2/9/2026')).status, 200);
+  const limited = await ranking();
+  assert.equal(limited.status, 429);
+  assert.match((await limited.json()).message, /Maximum 5 Cineplex lookups per 60 seconds/);
+
+  // Seat batches share the budget
+  const batch = await fetch(`${app.url}/api/seat-availability/batch`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ items: [{ theatreId: 7130, showtimeId: '98765' }] })
+  });
+  assert.equal(batch.status, 429);
+});
+
+test('only allows configured origins, not Vercel previews by default', async () => {
+  const health = (origin) => fetch(`${app.url}/health`, { headers: { Origin: origin } });
+
+  for (const origin of ['https://crowdplex.vercel.app', 'https://crowdplex-git-main-0xt4nj1r0s-projects.vercel.app']) {
+    const allowed = await health(origin);
+    assert.equal(allowed.status, 200, origin);
+    assert.equal(allowed.headers.get('Access-Control-Allow-Origin'), origin);
+  }
+
+  const preview = await health('https://crowdplex-git-my-branch-0xt4nj1r0s-projects.vercel.app');
+  assert.equal(preview.status, 403);
+  assert.equal(preview.headers.get('Access-Control-Allow-Origin'), null);
+  assert.deepEqual(await preview.json(), {
+    error: 'Forbidden',
+    message: 'Origin https://crowdplex-git-my-branch-0xt4nj1r0s-projects.vercel.app is not allowed'
+  });
+});
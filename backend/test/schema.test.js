@@ -0,0 +1,160 @@
+/**
+ * Schema normalization: upstream shapes in, normalized records out, bad records dropped
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  normalizeTheatres,
+  normalizeSchedule,
+  normalizeMovieDetails,
+  normalizeSeatAvailability,
+  SchemaError
+} from '../src/schema.js';
+import { schemaDropped } from '../src/metrics.js';
+
+// Drops are logged as warnings
+process.env.LOG_LEVEL = 'error';
+
+test('normalizes theatres, dropping ones without an ID or name', () => {
+  const droppedBefore = schemaDropped.get({ type: 'theatre' });
+  const { theatres, dropped } = normalizeTheatres({
+    nearbyTheatres: [
+      {
+        theatreId: '1422',
+        theatreName: ' Scotiabank Theatre Toronto ',
+        location: { address: '259 Richmond St W', city: 'Toronto', postalCode: 'M5V 3M6', latitude: 43.649, longitude: -79.391, distanceToOriginInMeters: 1234 }
+      },
+      { theatreId: 'abc', theatreName: 'No ID' },
+      { theatreId: 7130, theatreName: '' },
+      { theatreId: 7131, theatreName: 'No location' }
+    ]
+  });
+
+  assert.deepEqual(theatres, [
+    {
+      id: 1422,
+      name: 'Scotiabank Theatre Toronto',
+      address: '259 Richmond St W',
+      city: 'Toronto',
+      postalCode: 'M5V 3M6',
+      latitude: 43.649,
+      longitude: -79.391,
+      distanceKm: 1.2
+    },
+    { id: 7131, name: 'No location', address: null, city: null, postalCode: null, latitude: null, longitude: null, distanceKm: null }
+  ]);
+  assert.deepEqual(dropped, { theatre: 2 });
+  assert.equal(schemaDropped.get({ type: 'theatre' }) - droppedBefore, 2);
+});
+
+test('flattens a schedule into movies and sessions', () => {
+  const schedule = normalizeSchedule([{
+    theatreId: 1422,
+    theatre: 'Scotiabank Theatre Toronto',
+    dates: [{
+      movies: [
+        {
+          id: 30001,
+          name: 'Northern Lights Heist',
+          runtimeInMinutes: 117,
+          smallPosterImageUrl: 'https://example.com/small.jpg',
+          experiences: [
+            {
+              experienceTypes: ['IMAX', 7],
+              sessions: [
+                { vistaSessionId: 98765, showStartDateTime: '2026-02-06T19:30:00', auditorium: 'Auditorium 4', seatsRemaining: 0 },
+                { vistaSessionId: 98766, showStartDateTime: 'tonight' },
+                { showStartDateTime: '2026-02-06T21:00:00' }
+              ]
+            },
+            // The same session listed under a second experience is kept once
+            { experienceTypes: ['Regular'], sessions: [{ vistaSessionId: 98765, showStartDateTime: '2026-02-06T19:30:00' }] }
+          ]
+        },
+        { id: 30002, name: 'No Sessions', experiences: [] },
+        { name: 'No ID', experiences: [] }
+      ]
+    }]
+  }], { theatreId: '1422', date: '2/6/2026' });
+
+  assert.equal(schedule.theatreId, 1422);
+  assert.equal(schedule.date, '2/6/2026');
+  // Movies without sessions aren't listed
+  assert.deepEqual(schedule.movies, [{
+    id: 30001,
+    name: 'Northern Lights Heist',
+    posterUrl: 'https://example.com/small.jpg',
+    runtimeMinutes: 117,
+    presentationType: null
+  }]);
+  assert.deepEqual(schedule.sessions, [{
+    id: '98765',
+    movieId: 30001,
+    theatreId: 1422,
+    theatreName: 'Scotiabank Theatre Toronto',
+    startsAt: '2026-02-06T19:30:00',
+    experienceTypes: ['IMAX'],
+    auditorium: 'Auditorium 4',
+    seatsRemaining: 0,
+    soldOut: true,
+    seatMapUrl: null
+  }]);
+  assert.deepEqual(schedule.dropped, { session: 2, movie: 1 });
+});
+
+test('normalizes movie details from either naming of each field', () => {
+  assert.deepEqual(normalizeMovieDetails({
+    name: 'Northern Lights Heist',
+    marketLanguageSynopsis: 'A heist under the aurora.',
+    genres: ['Action', { name: 'Comedy' }, 3],
+    rating: '14A',
+    cast: [{ firstName: 'Ada', lastName: 'Lovelace' }, 'Grace Hopper'],
+    releaseDate: '2026-02-06T00:00:00',
+    runtimeInMinutes: 117,
+    largePosterImageUrl: 'https://example.com/large.jpg',
+    trailers: [{ url: 'https://example.com/trailer.mp4' }]
+  }, { movieId: '30001' }), {
+    id: 30001,
+    name: 'Northern Lights Heist',
+    synopsis: 'A heist under the aurora.',
+    genres: ['Action', 'Comedy'],
+    rating: '14A',
+    cast: ['Ada Lovelace', 'Grace Hopper'],
+    releaseDate: '2026-02-06',
+    runtimeMinutes: 117,
+    posterUrl: 'https://example.com/large.jpg',
+    trailerUrl: 'https://example.com/trailer.mp4'
+  });
+});
+
+test('counts seats by status, leaving held-back and unknown seats out of capacity', () => {
+  const seats = normalizeSeatAvailability({
+    seatAvailabilities: {
+      A1: 'Occupied',
+      A2: 'Sold',
+      A3: 'Available',
+      A4: 'Wheelchair Space',
+      A5: 'House Seat',
+      A6: 'Teleporter',
+      A7: null
+    }
+  }, { theatreId: '1422', sessionId: 98765 });
+
+  assert.equal(seats.theatreId, 1422);
+  assert.equal(seats.sessionId, '98765');
+  assert.equal(seats.totalSeats, 6);
+  assert.equal(seats.sellableSeats, 4);
+  assert.equal(seats.occupiedSeats, 2);
+  assert.equal(seats.availableSeats, 2);
+  assert.deepEqual(seats.accessibleSeats, { total: 1, available: 1 });
+  assert.equal(seats.occupancyPercentage, 50);
+  assert.deepEqual(seats.statusCounts, { occupied: 2, available: 1, wheelchair: 1, house: 1, unknown: 1 });
+  assert.deepEqual(seats.dropped, { seat: 1 });
+});
+
+test('rejects responses that are unusable as a whole', () => {
+  assert.throws(() => normalizeTheatres({ theatres: [] }), SchemaError);
+  assert.throws(() => normalizeSchedule({ dates: [] }, { theatreId: 1422, date: '2/6/2026' }), SchemaError);
+  assert.throws(() => normalizeMovieDetails({ id: 30001 }, { movieId: 30001 }), SchemaError);
+  assert.throws(() => normalizeSeatAvailability({ seatAvailabilities: ['A1'] }, { theatreId: 1422, sessionId: '98765' }), SchemaError);
+});
@@ -0,0 +1,92 @@
+/**
+ * Theatre rankings: order, and the auditorium and time slot breakdowns
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { rankTheatres } from '../src/rankings.js';
+
+const THEATRES = [
+  { id: 1422, name: 'Scotiabank Theatre Toronto' },
+  { id: 7130, name: 'Cineplex Cinemas Yonge-Dundas' },
+  { id: 7131, name: 'Cineplex Cinemas Queensway' },
+  { id: 7132, name: 'Cineplex Cinemas Empty' }
+];
+
+/**
+ * A session with seat data; pass occupiedSeats undefined for one without
+ */
+function session(theatreId, id, startsAt, auditorium, occupiedSeats, sellableSeats = 100) {
+  return {
+    id,
+    theatreId,
+    movieId: 30001,
+    startsAt,
+    auditorium,
+    soldOut: occupiedSeats === sellableSeats,
+    ...(occupiedSeats !== undefined && {
+      occupiedSeats,
+      sellableSeats,
+      occupancyPercentage: Math.round((occupiedSeats / sellableSeats) * 100)
+    })
+  };
+}
+
+test('ranks theatres by average occupancy, then seats booked, with seatless and empty theatres last', () => {
+  const ranked = rankTheatres([
+    session(1422, '1', '2026-02-06T13:00:00', 'Auditorium 1', 40),
+    session(1422, '2', '2026-02-06T19:30:00', 'Auditorium 2', 80),
+    // Same average as 1422, more seats booked
+    session(7130, '3', '2026-02-06T19:00:00', 'Auditorium 1', 150, 250),
+    // Sessions without seat data
+    session(7131, '4', '2026-02-06T19:00:00', 'Auditorium 1', undefined),
+    session(7131, '5', '2026-02-06T21:30:00', 'Auditorium 1', undefined),
+    // A theatre that wasn't searched is left out
+    session(9999, '6', '2026-02-06T19:00:00', 'Auditorium 1', 100)
+  ], THEATRES);
+
+  assert.deepEqual(ranked.map((theatre) => theatre.theatreId), [7130, 1422, 7131, 7132]);
+  assert.deepEqual(
+    ranked.map(({ name, sessionCount, averageOccupancy, totalSeatsBooked }) => ({ name, sessionCount, averageOccupancy, totalSeatsBooked })),
+    [
+      { name: 'Cineplex Cinemas Yonge-Dundas', sessionCount: 1, averageOccupancy: 60, totalSeatsBooked: 150 },
+      { name: 'Scotiabank Theatre Toronto', sessionCount: 2, averageOccupancy: 60, totalSeatsBooked: 120 },
+      { name: 'Cineplex Cinemas Queensway', sessionCount: 2, averageOccupancy: undefined, totalSeatsBooked: undefined },
+      { name: 'Cineplex Cinemas Empty', sessionCount: 0, averageOccupancy: undefined, totalSeatsBooked: undefined }
+    ]
+  );
+  // Slots without sessions are left out
+  assert.deepEqual(ranked[2].timeSlots.map(({ slot }) => slot), ['evening', 'late']);
+  assert.deepEqual(ranked[3].auditoriums, []);
+  assert.deepEqual(ranked[3].timeSlots, []);
+});
+
+test('breaks a theatre down by auditorium and by time slot', () => {
+  const [theatre] = rankTheatres([
+    session(1422, '1', '2026-02-06T10:30:00', 'Auditorium 1', 10),
+    session(1422, '2', '2026-02-06T16:59:00', 'Auditorium 1', 30),
+    session(1422, '3', '2026-02-06T17:00:00', 'Auditorium 2', 90),
+    session(1422, '4', '2026-02-06T22:15:00', null, 100),
+    session(1422, '5', '2026-02-06T23:00:00', undefined, undefined)
+  ], THEATRES.slice(0, 1));
+
+  // Auditoriums are ranked like theatres; sessions without one are grouped under null
+  assert.deepEqual(
+    theatre.auditoriums.map(({ auditorium, sessionCount, averageOccupancy, availableCount }) => ({ auditorium, sessionCount, averageOccupancy, availableCount })),
+    [
+      { auditorium: null, sessionCount: 2, averageOccupancy: 100, availableCount: 1 },
+      { auditorium: 'Auditorium 2', sessionCount: 1, averageOccupancy: 90, availableCount: 1 },
+      { auditorium: 'Auditorium 1', sessionCount: 2, averageOccupancy: 20, availableCount: 2 }
+    ]
+  );
+
+  // Slots follow the day, by theatre-local start hour
+  assert.deepEqual(
+    theatre.timeSlots.map(({ slot, sessionCount, averageOccupancy }) => ({ slot, sessionCount, averageOccupancy })),
+    [
+      { slot: 'morning', sessionCount: 1, averageOccupancy: 10 },
+      { slot: 'afternoon', sessionCount: 1, averageOccupancy: 30 },
+      { slot: 'evening', sessionCount: 1, averageOccupancy: 90 },
+      { slot: 'late', sessionCount: 2, averageOccupancy: 100 }
+    ]
+  );
+});
@@ -0,0 +1,123 @@
+/**
+ * Cineplex upstream client: retries with backoff, Retry-After and the circuit breaker
+ */
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFakeCineplex, startApp } from './fakeCineplex.js';
+import { CircuitBreaker } from '../src/circuitBreaker.js';
+
+let fake;
+let app;
+let cineplexGet;
+let getUpstreamStats;
+
+before(async () => {
+  fake = await startFakeCineplex();
+  app = await startApp(fake, { UPSTREAM_RETRIES: '2' });
+  ({ cineplexGet, getUpstreamStats } = await import('../src/upstream.js'));
+});
+
+after(async () => {
+  await app.close();
+  await fake.close();
+});
+
+/**
+ * Respond with each of the given responses in turn, repeating the last
+ */
+function inTurn(...responses) {
+  let calls = 0;
+  return () => responses[Math.min(calls++, responses.length - 1)];
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+test('retries unavailable responses until one succeeds', async () => {
+  fake.respond('/theatrical/retried', inTurn({ status: 503 }, { status: 502 }, { body: { ok: true } }));
+
+  const data = await cineplexGet('theatrical', `${fake.baseUrl}/retried`, 'retried');
+  assert.deepEqual(data, { ok: true });
+  assert.equal(fake.requestsTo('/theatrical/retried').length, 3);
+});
+
+test('gives up after the configured retries, and never retries client errors', async () => {
+  fake.respond('/theatrical/down', { status: 503 });
+  await assert.rejects(cineplexGet('theatrical', `${fake.baseUrl}/down`, 'down'), { name: 'UpstreamError', status: 503 });
+  assert.equal(fake.requestsTo('/theatrical/down').length, 3);
+
+  fake.respond('/theatrical/missing', { status: 404 });
+  await assert.rejects(cineplexGet('theatrical', `${fake.baseUrl}/missing`, 'missing'), { status: 404 });
+  assert.equal(fake.requestsTo('/theatrical/missing').length, 1);
+});
+
+test('waits out a short Retry-After, and passes a long one to the client instead', async () => {
+  fake.respond('/theatrical/throttled', inTurn({ status: 429, headers: { 'Retry-After': '0' } }, { body: { ok: true } }));
+  assert.deepEqual(await cineplexGet('theatrical', `${fake.baseUrl}/throttled`, 'throttled'), { ok: true });
+  assert.equal(fake.requestsTo('/theatrical/throttled').length, 2);
+
+  // Longer than a request is held open for: not retried
+  fake.respond('/theatrical/busy', { status: 429, headers: { 'Retry-After': '120' } });
+  await assert.rejects(cineplexGet('theatrical', `${fake.baseUrl}/busy`, 'busy'), { status: 429, retryAfterMs: 120 * 1000 });
+  assert.equal(fake.requestsTo('/theatrical/busy').length, 1);
+});
+
+test('opens the circuit after consecutive failures, and lets one trial through after the cooldown', async () => {
+  const breaker = new CircuitBreaker({ name: 'test', failureThreshold: 2, cooldownMs: 50 });
+
+  assert.equal(breaker.allowRequest(), true);
+  breaker.recordFailure();
+  assert.equal(breaker.allowRequest(), true);
+  breaker.recordFailure();
+  assert.equal(breaker.state, 'open');
+  assert.equal(breaker.allowRequest(), false);
+  assert.ok(breaker.getRetryAfterMs() > 0);
+
+  await sleep(60);
+  assert.equal(breaker.allowRequest(), true);
+  assert.equal(breaker.state, 'half-open');
+  // Only the one trial until it reports back
+  assert.equal(breaker.allowRequest(), false);
+
+  // A failed trial reopens the circuit; a successful one closes it
+  breaker.recordFailure();
+  assert.equal(breaker.state, 'open');
+  await sleep(60);
+  assert.equal(breaker.allowRequest(), true);
+  breaker.recordSuccess();
+  assert.equal(breaker.state, 'closed');
+  assert.equal(breaker.allowRequest(), true);
+
+  assert.deepEqual(
+    { opened: breaker.totals.opened, rejected: breaker.totals.rejected },
+    { opened: 2, rejected: 2 }
+  );
+});
+
+test('stops calling an endpoint family while its circuit is open', async () => {
+  // Client errors mean Cineplex is up and don't count
+  fake.respond('/ticketing/bad', { status: 400 });
+  for (let i = 0; i < 6; i++) {
+    await assert.rejects(cineplexGet('ticketing', `${fake.ticketingUrl}/bad`, 'bad'), { status: 400 });
+  }
+  assert.equal(getUpstreamStats().ticketing.state, 'closed');
+
+  // Each call that runs out of retries is one failure; five open the circuit
+  fake.respond('/ticketing/broken', { status: 500 });
+  for (let i = 0; i < 5; i++) {
+    await assert.rejects(cineplexGet('ticketing', `${fake.ticketingUrl}/broken`, 'broken'), { status: 500 });
+  }
+  assert.equal(getUpstreamStats().ticketing.state, 'open');
+
+  const requestsBefore = fake.requestsTo('/ticketing/broken').length;
+  await assert.rejects(cineplexGet('ticketing', `${fake.ticketingUrl}/broken`, 'broken'), (error) => {
+    assert.equal(error.status, 503);
+    assert.ok(error.retryAfterMs > 0);
+    return true;
+  });
+  assert.equal(fake.requestsTo('/ticketing/broken').length, requestsBefore);
+
+  // The other family has its own circuit
+  assert.equal(getUpstreamStats().theatrical.state, 'closed');
+});
@@ -1,33 +1,80 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import LocationInput from './components/LocationInput';
 import MovieCard from './components/MovieCard';
 import TheatreList from './components/TheatreList';
-import { fetchTheatres, fetchShowtimesForTheatres, fetchSeatAvailabilityBatch } from './services/api';
+import AlertsPanel from './components/AlertsPanel';
+import { streamRankings, getCalendarFeedUrl, getRankingsReportUrl } from './services/api';
 import './App.css';
 
+const REPORT_FORMATS = [
+  { format: 'csv', label: 'CSV' },
+  { format: 'json', label: 'JSON' },
+  { format: 'md', label: 'Markdown' },
+];
+
+const DATE_RANGES = [
+  { range: 'day', label: 'Single day' },
+  { range: 'weekend', label: 'This weekend' },
+  { range: 'week', label: 'Next 7 days' },
+];
+
+// Filters are applied by the backend, which only looks up movie details
+// (where genres and ratings come from) when one is set
+const GENRES = [
+  'Action', 'Adventure', 'Animation', 'Comedy', 'Documentary', 'Drama', 'Family', 'Fantasy',
+  'Horror', 'Music', 'Mystery', 'Romance', 'Science Fiction', 'Thriller',
+];
+const RATINGS = ['G', 'PG', '14A', '18A', 'R'];
+
+function toAPIDate(date) {
+  return `${date.getMonth() + 1}/${date.getDate()}/${date.getFullYear()}`;
+}
+
+// Dates to rank: the selected day, the coming Friday to Sunday (what's left
+// of it once the weekend has started) or the next 7 days
+function getRangeDates(range, selectedDate) {
+  if (range === 'day') return [selectedDate];
+
+  const today = new Date();
+  let start = 0;
+  let days = 7;
+  if (range === 'weekend') {
+    const weekday = today.getDay();
+    start = weekday === 0 || weekday === 6 ? 0 : 5 - weekday;
+    days = weekday === 0 ? 1 : weekday === 6 ? 2 : 3;
+  }
+
+  return Array.from({ length: days }, (_, offset) =>
+    toAPIDate(new Date(today.getFullYear(), today.getMonth(), today.getDate() + start + offset))
+  );
+}
+
 function App() {
   const [location, setLocation] = useState(null);
   const [selectedDate, setSelectedDate] = useState(getTodayDate());
+  const [dateRange, setDateRange] = useState('day');
+  const [rankingMode, setRankingMode] = useState('occupancy');
+  const [genreFilter, setGenreFilter] = useState('');
+  const [ratingFilter, setRatingFilter] = useState('');
   const [theatres, setTheatres] = useState([]);
+  const [theatreRankings, setTheatreRankings] = useState([]);
   const [movies, setMovies] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  const [staleAsOf, setStaleAsOf] = useState(null);
   const [progress, setProgress] = useState({ stage: '', current: 0, total: 0 });
+  const requestRef = useRef(null);
+
+  const selectedDates = getRangeDates(dateRange, selectedDate);
+  const filters = { genre: genreFilter, rating: ratingFilter };
 
   function getTodayDate() {
-    const today = new Date();
-    const month = today.getMonth() + 1;
-    const day = today.getDate();
-    const year = today.getFullYear();
-    return `${month}/${day}/${year}`;
+    return toAPIDate(new Date());
   }
 
-  function formatDateForInput() {
-    const today = new Date();
-    const year = today.getFullYear();
-    const month = String(today.getMonth() + 1).padStart(2, '0');
-    const day = String(today.getDate()).padStart(2, '0');
-    return `${year}-${month}-${day}`;
+  function formatDateForInput(apiDate = getTodayDate()) {
+    const [month, day, year] = apiDate.split('/');
+    return `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
   }
 
   function formatDateForAPI(inputDate) {
@@ -39,244 +86,106 @@ function App() {
     if (location) {
       loadTheatresAndShowtimes();
     }
-  }, [location, selectedDate]);
+    // Stop streaming results for a search that's been replaced
+    return () => requestRef.current?.abort();
+  }, [location, selectedDates.join(','), rankingMode, genreFilter, ratingFilter]);
 
   async function loadTheatresAndShowtimes() {
+    const controller = new AbortController();
+    requestRef.current = controller;
+
     setLoading(true);
     setError('');
+    setStaleAsOf(null);
+    setTheatres([]);
+    setTheatreRankings([]);
     setMovies([]);
-    setProgress({ stage: 'theatres', current: 0, total: 0 });
+    setProgress({ stage: 'rankings', current: 0, total: location.locations.length });
 
     try {
-      // Step 1: Fetch theatres from all selected locations
-      console.log('Fetching theatres...');
-      setProgress({ stage: 'theatres', current: 0, total: location.locations.length });
-      
-      const allTheatres = [];
-      const seenTheatreIds = new Set();
-
-      for (let i = 0; i < location.locations.length; i++) {
-        const loc = location.locations[i];
-        setProgress({ stage: 'theatres', current: i + 1, total: location.locations.length });
-        
-        try {
-          const theatreData = await fetchTheatres({
-            latitude: loc.latitude,
-            longitude: loc.longitude,
-            accuracyKm: loc.radius,
-          });
-          
-          const nearbyTheatres = theatreData.nearbyTheatres || [];
-          
-          // Add unique theatres only
-          nearbyTheatres.forEach(theatre => {
-            if (!seenTheatreIds.has(theatre.theatreId)) {
-              seenTheatreIds.add(theatre.theatreId);
-              allTheatres.push(theatre);
-            }
-          });
-        } catch (error) {
-          console.error(`Failed to fetch theatres for ${loc.name}:`, error);
-        }
+      // Theatres, showtimes and seat availability are resolved and ranked by the
+      // backend, which streams progress and partial rankings while it works
+      console.log('Fetching rankings...');
+
+      const rankings = await streamRankings(location.locations, selectedDates, rankingMode, filters, {
+        onProgress: ({ stage, completed, total }) => setProgress({ stage, current: completed, total }),
+        onTheatres: setTheatres,
+        onMovies: setMovies,
+        signal: controller.signal,
+      });
+
+      // Cineplex failed and the backend fell back to older cached data
+      if (rankings.stale) {
+        setStaleAsOf(rankings.asOf);
       }
-      
-      if (allTheatres.length === 0) {
+
+      if (rankings.theatres.length === 0) {
         setError('No theatres found in the selected areas. Try selecting different areas.');
-        setLoading(false);
         return;
       }
 
-      setTheatres(allTheatres);
-      console.log(`Found ${allTheatres.length} unique theatres across ${location.locations.length} area(s)`);
-
-      // Rest of the code remains the same...
-      // Step 2: Fetch showtimes for all theatres
-      setProgress({ stage: 'showtimes', current: 0, total: allTheatres.length });
-      
-      const showtimeResults = await fetchShowtimesForTheatres(
-        allTheatres,
-        selectedDate,
-        5
-      );
-
-      // Step 3: Process and aggregate showtimes
-      console.log('Processing showtimes...');
-      const allSessions = [];
-
-      showtimeResults.forEach((result) => {
-        if (!result.success || !result.showtimes || result.showtimes.length === 0) {
-          return;
-        }
-
-        result.showtimes.forEach((theatreData) => {
-          const theatreId = theatreData.theatreId;
-          const theatreName = theatreData.theatre;
-
-          theatreData.dates?.forEach((dateData) => {
-            dateData.movies?.forEach((movie) => {
-              movie.experiences?.forEach((experience) => {
-                const experienceTypes = experience.experienceTypes || [];
-                
-                experience.sessions?.forEach((session) => {
-                  allSessions.push({
-                    movieId: movie.id,
-                    movieName: movie.name,
-                    posterUrl: movie.mediumPosterImageUrl || movie.smallPosterImageUrl,
-                    runtime: movie.runtimeInMinutes,
-                    presentationType: movie.presentationType,
-                    theatreId,
-                    theatreName,
-                    showStartDateTime: session.showStartDateTime,
-                    seatsRemaining: session.seatsRemaining,
-                    isSoldOut: session.isSoldOut || session.seatsRemaining === 0,
-                    seatMapUrl: session.seatMapUrl,
-                    auditorium: session.auditorium,
-                    vistaSessionId: session.vistaSessionId,
-                    experienceTypes,
-                  });
-                });
-              });
-            });
-          });
-        });
-      });
+      setTheatres(rankings.theatres);
+      setTheatreRankings(rankings.theatreRankings || []);
+      console.log(`Found ${rankings.theatres.length} unique theatres across ${location.locations.length} area(s)`);
 
-      if (allSessions.length === 0) {
-        setError('No showtimes found for the selected date at nearby theatres.');
-        setLoading(false);
+      if (rankings.movies.length === 0) {
+        setError(filters.genre || filters.rating
+          ? 'No movies match the selected genre and rating.'
+          : 'No showtimes found for the selected date at nearby theatres.');
         return;
       }
 
-      console.log(`Found ${allSessions.length} total sessions`);
-
-      // Step 4: Fetch seat availability for sessions (prioritize earlier showtimes)
-      setProgress({ stage: 'seats', current: 0, total: Math.min(allSessions.length, 200) });
-      
-      // Sort sessions by showtime (earlier first) to prioritize upcoming shows
-      const sortedSessions = [...allSessions].sort((a, b) => 
-        new Date(a.showStartDateTime) - new Date(b.showStartDateTime)
-      );
-      
-      // Fetch seat data for up to 200 sessions (should cover most cases)
-      const sessionsToFetch = sortedSessions.slice(0, 200);
-      const seatResults = await fetchSeatAvailabilityBatch(sessionsToFetch, 15); // Increased concurrency
-      
-      // Create a map of seat data
-      const seatDataMap = {};
-      seatResults.forEach((result) => {
-        if (result.success && result.seatData) {
-          const key = `${result.theatreId}-${result.showtimeId}`;
-          seatDataMap[key] = result.seatData;
-        }
-      });
-
-      // Enrich sessions with seat data
-      allSessions.forEach((session) => {
-        const key = `${session.theatreId}-${session.vistaSessionId}`;
-        const seatData = seatDataMap[key];
-        
-        if (seatData) {
-          session.totalSeats = seatData.totalSeats;
-          session.occupiedSeats = seatData.occupiedSeats;
-          session.availableSeats = seatData.availableSeats;
-          session.occupancyPercentage = seatData.occupancyPercentage;
-        }
-      });
-
-      // Step 5: Group by movie
-      const movieGroups = {};
-
-      allSessions.forEach((session) => {
-        const key = `${session.movieId}`;
-        
-        if (!movieGroups[key]) {
-          movieGroups[key] = {
-            movieId: session.movieId,
-            name: session.movieName,
-            posterUrl: session.posterUrl,
-            runtime: session.runtime,
-            presentationType: session.presentationType,
-            showtimes: [],
-          };
-        }
-
-        movieGroups[key].showtimes.push(session);
-      });
-
-      // Step 6: Calculate occupancy metrics for each movie
-      const rankedMovies = Object.values(movieGroups).map((movie) => {
-        const availableCount = movie.showtimes.filter((s) => !s.isSoldOut).length;
-        
-        // Calculate average occupancy from sessions with seat data
-        const sessionsWithSeatData = movie.showtimes.filter(s => s.occupancyPercentage !== undefined);
-        const averageOccupancy = sessionsWithSeatData.length > 0
-          ? Math.round(
-              sessionsWithSeatData.reduce((sum, s) => sum + s.occupancyPercentage, 0) / 
-              sessionsWithSeatData.length
-            )
-          : undefined;
-
-        // Calculate total seats booked/available
-        const totalSeatsBooked = movie.showtimes
-          .filter(s => s.occupiedSeats !== undefined)
-          .reduce((sum, s) => sum + s.occupiedSeats, 0);
-        
-        const totalSeatsAvailable = movie.showtimes
-          .filter(s => s.totalSeats !== undefined)
-          .reduce((sum, s) => sum + s.totalSeats, 0);
-
-        // Find earliest showtime for tie-breaking
-        const earliestShowtime = movie.showtimes.reduce((earliest, current) => {
-          const currentDate = new Date(current.showStartDateTime);
-          const earliestDate = new Date(earliest.showStartDateTime);
-          return currentDate < earliestDate ? current : earliest;
-        });
-
-        return {
-          ...movie,
-          availableCount,
-          averageOccupancy,
-          totalSeatsBooked: totalSeatsBooked > 0 ? totalSeatsBooked : undefined,
-          totalSeatsAvailable: totalSeatsAvailable > 0 ? totalSeatsAvailable : undefined,
-          earliestShowtime: earliestShowtime.showStartDateTime,
-        };
-      });
-
-      // Step 7: Sort by average occupancy (descending - highest occupancy first)
-      rankedMovies.sort((a, b) => {
-        // Movies with occupancy data come first
-        if (a.averageOccupancy !== undefined && b.averageOccupancy === undefined) return -1;
-        if (a.averageOccupancy === undefined && b.averageOccupancy !== undefined) return 1;
-        
-        // Both have occupancy data - sort by occupancy descending
-        if (a.averageOccupancy !== undefined && b.averageOccupancy !== undefined) {
-          if (a.averageOccupancy !== b.averageOccupancy) {
-            return b.averageOccupancy - a.averageOccupancy; // Higher occupancy first
-          }
-        }
-        
-        // Tie-breaker: earliest showtime
-        return new Date(a.earliestShowtime) - new Date(b.earliestShowtime);
-      });
-
-      console.log(`Ranked ${rankedMovies.length} movies`);
-      setMovies(rankedMovies);
+      console.log(`Ranked ${rankings.movies.length} movies from ${rankings.stats.sessions} sessions`);
+      setMovies(rankings.movies);
 
     } catch (err) {
+      // Replaced by a newer search
+      if (controller.signal.aborted) return;
       console.error('Error loading data:', err);
       setError(`Failed to load showtimes: ${err.message}`);
     } finally {
-      setLoading(false);
-      setProgress({ stage: '', current: 0, total: 0 });
+      if (requestRef.current === controller) {
+        setLoading(false);
+        setProgress({ stage: '', current: 0, total: 0 });
+      }
     }
   }
 
   function handleDateChange(e) {
+    // Cleared inputs keep the last date
+    if (!e.target.value) return;
     const newDate = formatDateForAPI(e.target.value);
     setSelectedDate(newDate);
   }
 
+  function getStaleMessage() {
+    const minutes = Math.max(1, Math.round((Date.now() - new Date(staleAsOf)) / 60000));
+    return `Cineplex isn't responding right now — showing data as of ${minutes} minute${minutes !== 1 ? 's' : ''} ago`;
+  }
+
+  function getProgressPercent() {
+    // Theatres, showtimes and seats each take a third of the bar
+    const stages = ['theatres', 'showtimes', 'seats'];
+    const stageIndex = stages.indexOf(progress.stage);
+    if (stageIndex === -1) return 0;
+
+    const stageShare = progress.total > 0 ? progress.current / progress.total : 0;
+    return Math.round(((stageIndex + stageShare) / stages.length) * 100);
+  }
+
+  function renderProgressBar() {
+    const percent = getProgressPercent();
+    return (
+      <div className="progress-bar" role="progressbar" aria-valuenow={percent} aria-valuemin={0} aria-valuemax={100}>
+        <div className="progress-fill" style={{ width: `${percent}%` }}></div>
+      </div>
+    );
+  }
+
   function getProgressMessage() {
+    if (progress.stage === 'rankings') {
+      return `Ranking movies across ${progress.total} area${progress.total !== 1 ? 's' : ''}...`;
+    }
     if (progress.stage === 'theatres') {
       return `Finding theatres in area ${progress.current}/${progress.total}...`;
     }
@@ -305,15 +214,64 @@ function App() {
           <>
             <div className="controls">
               <div className="control-group">
-                <label htmlFor="date-picker">📅 Select Date:</label>
-                <input
-                  type="date"
-                  id="date-picker"
-                  defaultValue={formatDateForInput()}
-                  onChange={handleDateChange}
+                <label htmlFor="date-range">📅 Dates:</label>
+                <select
+                  id="date-range"
+                  value={dateRange}
+                  onChange={(e) => setDateRange(e.target.value)}
+                  disabled={loading}
+                >
+                  {DATE_RANGES.map(({ range, label }) => (
+                    <option key={range} value={range}>{label}</option>
+                  ))}
+                </select>
+              </div>
+
+              {dateRange === 'day' && (
+                <div className="control-group">
+                  <label htmlFor="date-picker">📆 Select Date:</label>
+                  <input
+                    type="date"
+                    id="date-picker"
+                    value={formatDateForInput(selectedDate)}
+                    onChange={handleDateChange}
+                    disabled={loading}
+                    min={formatDateForInput()}
+                  />
+                </div>
+              )}
+
+              <div className="control-group">
+                <label htmlFor="ranking-mode">🏆 Rank By:</label>
+                <select
+                  id="ranking-mode"
+                  value={rankingMode}
+                  onChange={(e) => setRankingMode(e.target.value)}
                   disabled={loading}
-                  min={formatDateForInput()}
-                />
+                >
+                  <option value="occupancy">Occupancy</option>
+                  <option value="momentum">Momentum (seats/hr)</option>
+                </select>
+              </div>
+
+              <div className="control-group">
+                <label htmlFor="genre-filter">🎭 Genre:</label>
+                <select id="genre-filter" value={genreFilter} onChange={(e) => setGenreFilter(e.target.value)} disabled={loading}>
+                  <option value="">All genres</option>
+                  {GENRES.map((genre) => (
+                    <option key={genre} value={genre}>{genre}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="control-group">
+                <label htmlFor="rating-filter">🎟️ Rating:</label>
+                <select id="rating-filter" value={ratingFilter} onChange={(e) => setRatingFilter(e.target.value)} disabled={loading}>
+                  <option value="">All ratings</option>
+                  {RATINGS.map((rating) => (
+                    <option key={rating} value={rating}>{rating}</option>
+                  ))}
+                </select>
               </div>
 
               <button
@@ -325,16 +283,26 @@ function App() {
               </button>
             </div>
 
-            {loading && (
+            {loading && movies.length === 0 && (
               <div className="loading">
                 <div className="spinner"></div>
                 <p>{getProgressMessage()}</p>
+                {renderProgressBar()}
+              </div>
+            )}
+
+            {loading && movies.length > 0 && (
+              <div className="loading-inline">
+                <p>{getProgressMessage()}</p>
+                {renderProgressBar()}
               </div>
             )}
 
             {error && <div className="error-message">⚠️ {error}</div>}
 
-            {!loading && theatres.length > 0 && (
+            {!loading && staleAsOf && <div className="stale-notice">⏱️ {getStaleMessage()}</div>}
+
+            {theatres.length > 0 && (!loading || movies.length > 0) && (
               <>
                 <div className="info-section">
                   <p>
@@ -345,21 +313,49 @@ function App() {
                       </>
                     )}
                   </p>
+                  <a
+                    className="calendar-feed-link"
+                    href={getCalendarFeedUrl(location.locations)}
+                    title="Subscribe to the next 7 days of showtimes in these areas"
+                  >
+                    📅 Subscribe to showtimes calendar
+                  </a>
                 </div>
 
-                <TheatreList theatres={theatres} />
+                <TheatreList theatres={theatres} rankings={theatreRankings} />
               </>
             )}
 
-            {!loading && movies.length > 0 && (
+            <AlertsPanel movies={movies} locations={location.locations} />
+
+            {movies.length > 0 && (
               <div className="movies-section">
                 <h2>Movies Near You</h2>
                 <p className="section-subtitle">
-                  Sorted by popularity — crowd favorites at the top
+                  {rankingMode === 'momentum'
+                    ? 'Sorted by momentum — fastest-selling at the top'
+                    : 'Sorted by popularity — crowd favorites at the top'}
+                  {loading && ' (updating as seat data comes in)'}
                 </p>
+                {!loading && (
+                  <div
+                    className="report-links"
+                    title="Reports rank the latest cached data again, so seat counts can differ slightly from this list"
+                  >
+                    Export:
+                    {REPORT_FORMATS.map(({ format, label }) => (
+                      <a
+                        key={format}
+                        href={getRankingsReportUrl(location.locations, selectedDates, rankingMode, format, filters)}
+                      >
+                        {label}
+                      </a>
+                    ))}
+                  </div>
+                )}
                 <div className="movies-list">
                   {movies.map((movie) => (
-                    <MovieCard key={movie.movieId} movie={movie} />
+                    <MovieCard key={movie.id} movie={movie} />
                   ))}
                 </div>
               </div>
@@ -0,0 +1,265 @@
+import { useState, useEffect } from 'react';
+import {
+  fetchAlerts,
+  createAlert,
+  updateAlert,
+  deleteAlert,
+  testAlert,
+  fetchAlertDeliveries,
+} from '../services/api';
+import './AlertsPanel.css';
+
+// Kept for this tab only, so the token doesn't outlive the browser session
+const TOKEN_STORAGE_KEY = 'crowdplex.alertsToken';
+
+// Earlier versions kept the admin token in localStorage
+localStorage.removeItem('crowdplex.adminToken');
+
+const EMPTY_FORM = {
+  name: '',
+  conditionType: 'occupancyAtLeast',
+  conditionValue: 80,
+  movieId: '',
+  startsAfter: '',
+  useAreas: true,
+  webhookUrl: '',
+};
+
+function describeAlert(alert, movies) {
+  const { occupancyAtLeast, seatsBelow } = alert.condition;
+  const parts = [
+    occupancyAtLeast !== undefined ? `≥ ${occupancyAtLeast}% full` : `< ${seatsBelow} seats left`,
+  ];
+
+  const { filters } = alert;
+  if (filters.movieId !== undefined) {
+    const movie = movies.find((m) => m.id === filters.movieId);
+    parts.push(movie ? movie.name : `movie ${filters.movieId}`);
+  }
+  if (filters.showtimeId) parts.push(`session ${filters.showtimeId}`);
+  if (filters.theatreId !== undefined) parts.push(`theatre ${filters.theatreId}`);
+  if (filters.startsAfter) parts.push(`from ${filters.startsAfter}`);
+  if (filters.startsBefore) parts.push(`before ${filters.startsBefore}`);
+  if (filters.areas) parts.push(`${filters.areas.length} area${filters.areas.length !== 1 ? 's' : ''}`);
+
+  return parts.join(' • ');
+}
+
+function AlertsPanel({ movies, locations }) {
+  const [expanded, setExpanded] = useState(false);
+  const [token, setToken] = useState(() => sessionStorage.getItem(TOKEN_STORAGE_KEY) || '');
+  const [tokenInput, setTokenInput] = useState('');
+  const [alerts, setAlerts] = useState([]);
+  const [deliveries, setDeliveries] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    if (expanded && token) {
+      refresh();
+    }
+  }, [expanded, token]);
+
+  async function refresh() {
+    try {
+      const [alertsResult, deliveriesResult] = await Promise.all([
+        fetchAlerts(token),
+        fetchAlertDeliveries(token),
+      ]);
+      setAlerts(alertsResult.alerts);
+      setDeliveries(deliveriesResult.deliveries.slice(0, 10));
+      setError('');
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  async function run(action) {
+    setBusy(true);
+    try {
+      await action();
+      await refresh();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  function saveToken(e) {
+    e.preventDefault();
+    sessionStorage.setItem(TOKEN_STORAGE_KEY, tokenInput);
+    setToken(tokenInput);
+    setTokenInput('');
+  }
+
+  function forgetToken() {
+    sessionStorage.removeItem(TOKEN_STORAGE_KEY);
+    setToken('');
+    setAlerts([]);
+    setDeliveries([]);
+  }
+
+  function handleCreate(e) {
+    e.preventDefault();
+
+    const filters = {};
+    if (form.movieId) filters.movieId = Number(form.movieId);
+    if (form.startsAfter) filters.startsAfter = form.startsAfter;
+    if (form.useAreas && locations.length > 0) {
+      filters.areas = locations.map(({ latitude, longitude, radius }) => ({ latitude, longitude, radius }));
+    }
+
+    run(async () => {
+      await createAlert(token, {
+        name: form.name,
+        filters,
+        condition: { [form.conditionType]: Number(form.conditionValue) },
+        webhookUrl: form.webhookUrl || undefined,
+      });
+      setForm(EMPTY_FORM);
+    });
+  }
+
+  function toggleEnabled(alert) {
+    const { name, filters, condition, webhookUrl } = alert;
+    run(() => updateAlert(token, alert.id, { name, filters, condition, webhookUrl, enabled: !alert.enabled }));
+  }
+
+  const updateForm = (field) => (e) => {
+    const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+    setForm({ ...form, [field]: value });
+  };
+
+  return (
+    <div className="alerts-panel">
+      <button className="alerts-toggle" onClick={() => setExpanded(!expanded)}>
+        <span className="toggle-icon">{expanded ? '▼' : '▶'}</span>
+        🔔 Alerts{alerts.length > 0 && ` (${alerts.length})`}
+      </button>
+
+      {expanded && (
+        <div className="alerts-body">
+          {!token ? (
+            <form className="alerts-token-form" onSubmit={saveToken}>
+              <p>Alerts send webhooks from the server, so managing them needs the alerts token.</p>
+              <input
+                type="password"
+                placeholder="Alerts token"
+                value={tokenInput}
+                onChange={(e) => setTokenInput(e.target.value)}
+              />
+              <button type="submit" disabled={!tokenInput}>Unlock</button>
+            </form>
+          ) : (
+            <>
+              {error && <div className="error-message">⚠️ {error}</div>}
+
+              <form className="alerts-form" onSubmit={handleCreate}>
+                <input
+                  type="text"
+                  placeholder="Alert name"
+                  value={form.name}
+                  onChange={updateForm('name')}
+                  required
+                  maxLength={100}
+                />
+                <div className="alerts-form-row">
+                  <select value={form.conditionType} onChange={updateForm('conditionType')}>
+                    <option value="occupancyAtLeast">Occupancy reaches (%)</option>
+                    <option value="seatsBelow">Seats left below</option>
+                  </select>
+                  <input
+                    type="number"
+                    min={1}
+                    max={form.conditionType === 'occupancyAtLeast' ? 100 : undefined}
+                    value={form.conditionValue}
+                    onChange={updateForm('conditionValue')}
+                    required
+                  />
+                </div>
+                <div className="alerts-form-row">
+                  <select value={form.movieId} onChange={updateForm('movieId')}>
+                    <option value="">Any movie</option>
+                    {movies.map((movie) => (
+                      <option key={movie.id} value={movie.id}>{movie.name}</option>
+                    ))}
+                  </select>
+                  <label>
+                    Starting at or after
+                    <input type="time" value={form.startsAfter} onChange={updateForm('startsAfter')} />
+                  </label>
+                </div>
+                {locations.length > 0 && (
+                  <label className="alerts-checkbox">
+                    <input type="checkbox" checked={form.useAreas} onChange={updateForm('useAreas')} />
+                    Only theatres in the selected {locations.length === 1 ? 'area' : `${locations.length} areas`}
+                  </label>
+                )}
+                <input
+                  type="url"
+                  placeholder="Webhook URL (optional, defaults to the server's)"
+                  value={form.webhookUrl}
+                  onChange={updateForm('webhookUrl')}
+                />
+                <button type="submit" disabled={busy}>Add Alert</button>
+              </form>
+
+              {alerts.length === 0 ? (
+                <p className="alerts-empty">No alerts yet</p>
+              ) : (
+                <ul className="alerts-list">
+                  {alerts.map((alert) => (
+                    <li key={alert.id} className={`alert-item ${alert.enabled ? '' : 'disabled'}`}>
+                      <div className="alert-info">
+                        <span className="alert-name">{alert.name}</span>
+                        <span className="alert-description">{describeAlert(alert, movies)}</span>
+                      </div>
+                      <div className="alert-actions">
+                        <button onClick={() => toggleEnabled(alert)} disabled={busy}>
+                          {alert.enabled ? 'Pause' : 'Resume'}
+                        </button>
+                        <button onClick={() => run(() => testAlert(token, alert.id))} disabled={busy}>Test</button>
+                        <button onClick={() => run(() => deleteAlert(token, alert.id))} disabled={busy}>Delete</button>
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              )}
+
+              {deliveries.length > 0 && (
+                <div className="alerts-deliveries">
+                  <h4>Recent Deliveries</h4>
+                  <ul>
+                    {deliveries.map((delivery) => {
+                      const alert = alerts.find((a) => a.id === delivery.alertId);
+                      const lastAttempt = delivery.attempts[delivery.attempts.length - 1];
+                      return (
+                        <li key={delivery.id} className={`delivery-${delivery.status}`}>
+                          <span>{new Date(delivery.createdAt).toLocaleTimeString()}</span>
+                          <span>{alert ? alert.name : 'Deleted alert'}{delivery.event === 'alert.test' && ' (test)'}</span>
+                          <span>
+                            {delivery.status}
+                            {lastAttempt && (lastAttempt.error ? ` — ${lastAttempt.error}` : ` — HTTP ${lastAttempt.status}`)}
+                          </span>
+                        </li>
+                      );
+                    })}
+                  </ul>
+                </div>
+              )}
+
+              <div className="alerts-footer">
+                <button onClick={refresh} disabled={busy}>Refresh</button>
+                <button onClick={forgetToken}>Forget Token</button>
+              </div>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default AlertsPanel;
@@ -1,8 +1,31 @@
 import { useState } from 'react';
+import SessionDetail from './SessionDetail';
+import MovieInfo from './MovieInfo';
+import { getCalendarUrl } from '../services/api';
 import './MovieCard.css';
 
+const SELLING_FAST_SEATS_PER_HOUR = 20;
+
+// Session start times are theatre-local (YYYY-MM-DDTHH:mm:ss); Cineplex dates are M/D/YYYY
+function toScheduleDate(startsAt) {
+  const [year, month, day] = startsAt.slice(0, 10).split('-').map(Number);
+  return `${month}/${day}/${year}`;
+}
+
+// e.g. "Fri, Feb 6" for a M/D/YYYY date
+function formatScheduleDate(date) {
+  const [month, day, year] = date.split('/').map(Number);
+  return new Date(year, month - 1, day).toLocaleDateString('en-US', {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+  });
+}
+
 function MovieCard({ movie }) {
   const [expanded, setExpanded] = useState(false);
+  const [selectedSession, setSelectedSession] = useState(null);
+  const [showInfo, setShowInfo] = useState(false);
 
   const getBusynessLevel = () => {
     const occupancy = movie.averageOccupancy || 0;
@@ -15,6 +38,9 @@ function MovieCard({ movie }) {
 
   const busyness = getBusynessLevel();
 
+  // Seats sold per hour across all sessions, from consecutive occupancy readings
+  const isSellingFast = movie.seatsPerHour !== undefined && movie.seatsPerHour >= SELLING_FAST_SEATS_PER_HOUR;
+
   const formatTime = (dateTimeStr) => {
     const date = new Date(dateTimeStr);
     return date.toLocaleTimeString('en-US', {
@@ -33,24 +59,24 @@ function MovieCard({ movie }) {
     });
   };
 
-  // Group showtimes by theatre
+  // Group sessions by theatre
   const showtimesByTheatre = {};
-  movie.showtimes.forEach((showtime) => {
-    const key = `${showtime.theatreId}`;
+  movie.sessions.forEach((session) => {
+    const key = `${session.theatreId}`;
     if (!showtimesByTheatre[key]) {
       showtimesByTheatre[key] = {
-        theatreName: showtime.theatreName,
-        theatreId: showtime.theatreId,
+        theatreName: session.theatreName,
+        theatreId: session.theatreId,
         sessions: [],
       };
     }
-    showtimesByTheatre[key].sessions.push(showtime);
+    showtimesByTheatre[key].sessions.push(session);
   });
 
   // Sort sessions by time within each theatre
   Object.values(showtimesByTheatre).forEach((theatre) => {
     theatre.sessions.sort(
-      (a, b) => new Date(a.showStartDateTime) - new Date(b.showStartDateTime)
+      (a, b) => new Date(a.startsAt) - new Date(b.startsAt)
     );
   });
 
@@ -71,7 +97,9 @@ function MovieCard({ movie }) {
           <div className="movie-details">
             <h3 className="movie-title">{movie.name}</h3>
             <div className="movie-meta">
-              {movie.runtime && <span>{movie.runtime} min</span>}
+              {movie.rating && <span className="movie-rating">{movie.rating}</span>}
+              {movie.runtimeMinutes && <span>{movie.runtimeMinutes} min</span>}
+              {movie.genres && movie.genres.length > 0 && <span>{movie.genres.join(', ')}</span>}
               {movie.availableCount > 0 && (
                 <span className="showings-count">{movie.availableCount} showing{movie.availableCount !== 1 ? 's' : ''}</span>
               )}
@@ -101,6 +129,11 @@ function MovieCard({ movie }) {
                 <span className="busyness-label" style={{ color: busyness.color }}>
                   {busyness.label}
                 </span>
+                {isSellingFast && (
+                  <span className="selling-fast-badge" title={`${movie.seatsPerHour} seats sold per hour`}>
+                    Selling Fast 🚀
+                  </span>
+                )}
               </div>
               {movie.totalSeatsBooked !== undefined && movie.totalSeatsAvailable !== undefined && (
                 <div className="seats-info">
@@ -126,24 +159,72 @@ function MovieCard({ movie }) {
 
       {expanded && (
         <div className="movie-showtimes">
-          {movie.showtimes.length === 0 ? (
+          <button className="movie-info-toggle" onClick={() => setShowInfo(!showInfo)}>
+            {showInfo ? '▼' : '▶'} About this movie
+          </button>
+          {showInfo && <MovieInfo movieId={movie.id} />}
+
+          {movie.days && (
+            <div className="day-breakdown">
+              {movie.days.map((day) => (
+                <div
+                  key={day.date}
+                  className={`day-cell ${day.sessionCount === 0 ? 'no-sessions' : ''}`}
+                  title={day.totalSeatsAvailable ? `${day.totalSeatsBooked} of ${day.totalSeatsAvailable} seats booked` : undefined}
+                >
+                  <span className="day-label">{formatScheduleDate(day.date)}</span>
+                  <span className="day-occupancy">
+                    {day.averageOccupancy !== undefined ? `${day.averageOccupancy}%` : '–'}
+                  </span>
+                  <span className="day-sessions">
+                    {day.sessionCount} session{day.sessionCount !== 1 ? 's' : ''}
+                  </span>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {movie.sessions.length === 0 ? (
             <p className="no-showtimes">No showtimes available</p>
           ) : (
             Object.values(showtimesByTheatre).map((theatre) => (
               <div key={theatre.theatreId} className="theatre-section">
-                <h4 className="theatre-name">
-                  {theatre.theatreName}
-                </h4>
+                <div className="theatre-header">
+                  <h4 className="theatre-name">
+                    {theatre.theatreName}
+                  </h4>
+                  <a
+                    className="calendar-link"
+                    href={getCalendarUrl({
+                      theatreId: theatre.theatreId,
+                      dates: [...new Set(theatre.sessions.map((session) => toScheduleDate(session.startsAt)))],
+                      movieId: movie.id,
+                    })}
+                    title="Add every session here to your calendar"
+                  >
+                    📅 Export all
+                  </a>
+                </div>
                 <div className="sessions-grid">
                   {theatre.sessions.map((session, idx) => (
                     <div
-                      key={`${session.vistaSessionId || idx}`}
-                      className={`session-card ${session.isSoldOut ? 'sold-out-session' : ''}`}
+                      key={`${session.id || idx}`}
+                      className={`session-card ${session.soldOut ? 'sold-out-session' : ''}`}
+                      role="button"
+                      tabIndex={0}
+                      title="View seat map"
+                      onClick={() => setSelectedSession(session)}
+                      onKeyDown={(e) => {
+                        if (e.key === 'Enter' || e.key === ' ') {
+                          e.preventDefault();
+                          setSelectedSession(session);
+                        }
+                      }}
                     >
                       <div className="session-time">
-                        <strong>{formatTime(session.showStartDateTime)}</strong>
+                        <strong>{formatTime(session.startsAt)}</strong>
                         <span className="session-date">
-                          {formatDate(session.showStartDateTime)}
+                          {formatDate(session.startsAt)}
                         </span>
                       </div>
                       {session.experienceTypes && session.experienceTypes.length > 0 && (
@@ -170,17 +251,28 @@ function MovieCard({ movie }) {
                               ></div>
                             </div>
                             <div className="seat-count">
-                              {session.isSoldOut ? (
+                              {session.soldOut ? (
                                 <span className="sold-out-text">SOLD OUT</span>
                               ) : (
                                 <>
                                   <span className="booked">{session.occupiedSeats}</span>
                                   <span className="separator">/</span>
-                                  <span className="total">{session.totalSeats}</span>
+                                  <span className="total">{session.sellableSeats ?? session.totalSeats}</span>
                                   <span className="percent">({session.occupancyPercentage}%)</span>
                                 </>
                               )}
                             </div>
+                            {session.accessibleSeats && session.accessibleSeats.total > 0 && (
+                              <div
+                                className={`seat-accessible-count ${session.accessibleSeats.available === 0 ? 'none-left' : ''}`}
+                                title="Wheelchair and companion spaces open"
+                              >
+                                ♿ {session.accessibleSeats.available}/{session.accessibleSeats.total} accessible
+                              </div>
+                            )}
+                            {session.seatsPerHour > 0 && (
+                              <div className="seat-velocity">+{session.seatsPerHour} seats/hr</div>
+                            )}
                           </div>
                         ) : (
                           <div className="seat-details">
@@ -188,13 +280,13 @@ function MovieCard({ movie }) {
                               <div 
                                 className="seat-occupancy-fill estimated" 
                                 style={{ 
-                                  width: session.isSoldOut ? '100%' : '50%',
-                                  backgroundColor: session.isSoldOut ? '#ef4444' : '#64748b'
+                                  width: session.soldOut ? '100%' : '50%',
+                                  backgroundColor: session.soldOut ? '#ef4444' : '#64748b'
                                 }}
                               ></div>
                             </div>
                             <div className="seat-count estimated">
-                              {session.isSoldOut ? (
+                              {session.soldOut ? (
                                 <span className="sold-out-text">SOLD OUT</span>
                               ) : (
                                 <span className="seats-left">{session.seatsRemaining} seats left</span>
@@ -203,16 +295,29 @@ function MovieCard({ movie }) {
                           </div>
                         )}
                       </div>
-                      {session.seatMapUrl && !session.isSoldOut && (
+                      {session.seatMapUrl && !session.soldOut && (
                         <a
                           href={session.seatMapUrl}
                           target="_blank"
                           rel="noopener noreferrer"
                           className="seat-map-link"
+                          onClick={(e) => e.stopPropagation()}
                         >
                           Select Seats →
                         </a>
                       )}
+                      <a
+                        href={getCalendarUrl({
+                          theatreId: session.theatreId,
+                          dates: [toScheduleDate(session.startsAt)],
+                          showtimeId: session.id,
+                        })}
+                        className="calendar-link"
+                        title="Add to calendar"
+                        onClick={(e) => e.stopPropagation()}
+                      >
+                        📅 Add to calendar
+                      </a>
                     </div>
                   ))}
                 </div>
@@ -221,6 +326,14 @@ function MovieCard({ movie }) {
           )}
         </div>
       )}
+
+      {selectedSession && (
+        <SessionDetail
+          movie={movie}
+          session={selectedSession}
+          onClose={() => setSelectedSession(null)}
+        />
+      )}
     </div>
   );
 }
@@ -0,0 +1,76 @@
+import { useState, useEffect } from 'react';
+import { fetchMovieDetails } from '../services/api';
+import './MovieInfo.css';
+
+function MovieInfo({ movieId }) {
+  const [details, setDetails] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+
+    setLoading(true);
+    setError('');
+
+    fetchMovieDetails(movieId)
+      .then((data) => {
+        if (!cancelled) setDetails(data);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(`Failed to load movie details: ${err.message}`);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [movieId]);
+
+  if (loading) {
+    return <div className="movie-info-panel movie-info-loading">Loading movie details...</div>;
+  }
+
+  if (error) {
+    return <div className="movie-info-panel error-message">⚠️ {error}</div>;
+  }
+
+  const releaseDate = details.releaseDate
+    ? new Date(`${details.releaseDate}T00:00:00`).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' })
+    : null;
+
+  return (
+    <div className="movie-info-panel">
+      <div className="movie-info-tags">
+        {details.rating && <span className="movie-info-rating">{details.rating}</span>}
+        {details.genres.map((genre) => (
+          <span key={genre} className="movie-info-genre">{genre}</span>
+        ))}
+        {releaseDate && <span className="movie-info-release">Released {releaseDate}</span>}
+      </div>
+
+      {details.synopsis && <p className="movie-info-synopsis">{details.synopsis}</p>}
+
+      {details.cast.length > 0 && (
+        <p className="movie-info-cast">
+          <strong>Starring:</strong> {details.cast.join(', ')}
+        </p>
+      )}
+
+      {details.trailerUrl && (
+        <a
+          href={details.trailerUrl}
+          target="_blank"
+          rel="noopener noreferrer"
+          className="movie-info-trailer"
+        >
+          ▶ Watch Trailer
+        </a>
+      )}
+    </div>
+  );
+}
+
+export default MovieInfo;
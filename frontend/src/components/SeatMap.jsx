@@ -0,0 +1,74 @@
+import './SeatMap.css';
+
+function getSeatClass(seat) {
+  const accessible = seat.accessible ? ' seat-accessible' : '';
+  if (seat.category === 'available') return `seat-available${accessible}`;
+  if (seat.category === 'occupied') return `seat-occupied${accessible}`;
+  return 'seat-other';
+}
+
+function SeatMap({ seatMap, selectedSeats = [], onToggleSeat }) {
+  if (seatMap.rows.length === 0) {
+    return <p className="seat-map-empty">No seat layout available for this showtime</p>;
+  }
+
+  return (
+    <div className="seat-map">
+      <div className="seat-map-screen">SCREEN</div>
+
+      <div className="seat-map-grid">
+        {seatMap.rows.map((row) => (
+          <div key={row.label} className="seat-row">
+            <span className="seat-row-label">{row.label}</span>
+            <div
+              className="seat-row-seats"
+              style={{ gridTemplateColumns: `repeat(${seatMap.columns}, 1fr)` }}
+            >
+              {row.seats.map((seat, index) => {
+                if (!seat) {
+                  return <span key={`gap-${index}`} className="seat-gap"></span>;
+                }
+
+                const selected = selectedSeats.includes(seat.id);
+                const selectable = seat.category === 'available' && onToggleSeat;
+
+                return (
+                  <button
+                    key={seat.id}
+                    className={`seat ${getSeatClass(seat)} ${selected ? 'seat-selected' : ''}`}
+                    title={`${seat.id} - ${seat.status}`}
+                    aria-label={`Seat ${seat.id}, ${seat.status}`}
+                    aria-pressed={selected}
+                    disabled={!selectable}
+                    onClick={() => onToggleSeat(seat.id)}
+                  ></button>
+                );
+              })}
+            </div>
+            <span className="seat-row-label">{row.label}</span>
+          </div>
+        ))}
+      </div>
+
+      <div className="seat-map-legend">
+        <span><span className="seat seat-available"></span> Available</span>
+        <span><span className="seat seat-occupied"></span> Taken</span>
+        <span><span className="seat seat-selected"></span> Selected</span>
+        {seatMap.accessibleSeats.total > 0 && (
+          <span><span className="seat seat-available seat-accessible"></span> Accessible</span>
+        )}
+        {seatMap.sellableSeats < seatMap.totalSeats && (
+          <span><span className="seat seat-other"></span> Not for sale</span>
+        )}
+      </div>
+
+      {seatMap.unplaced.length > 0 && (
+        <p className="seat-map-note">
+          {seatMap.unplaced.length} seat{seatMap.unplaced.length !== 1 ? 's' : ''} not shown on the map
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default SeatMap;
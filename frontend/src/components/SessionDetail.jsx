@@ -0,0 +1,131 @@
+import { useState, useEffect } from 'react';
+import SeatMap from './SeatMap';
+import { fetchSeatMap } from '../services/api';
+import './SessionDetail.css';
+
+function SessionDetail({ movie, session, onClose }) {
+  const [seatMap, setSeatMap] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [selectedSeats, setSelectedSeats] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    setLoading(true);
+    setError('');
+    setSelectedSeats([]);
+
+    fetchSeatMap(session.theatreId, session.id)
+      .then((data) => {
+        if (!cancelled) setSeatMap(data);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(`Failed to load seat map: ${err.message}`);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [session.theatreId, session.id]);
+
+  // Close on Escape
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  const toggleSeat = (seatId) => {
+    setSelectedSeats((seats) =>
+      seats.includes(seatId) ? seats.filter((id) => id !== seatId) : [...seats, seatId]
+    );
+  };
+
+  const startsAt = new Date(session.startsAt);
+
+  return (
+    <div className="session-detail-overlay" onClick={onClose}>
+      <div
+        className="session-detail"
+        role="dialog"
+        aria-modal="true"
+        aria-label={`${movie.name} seat map`}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="session-detail-header">
+          <div>
+            <h3>{movie.name}</h3>
+            <p className="session-detail-meta">
+              {startsAt.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' })}
+              {' • '}
+              {startsAt.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', hour12: true })}
+              {session.theatreName && ` • ${session.theatreName}`}
+              {session.auditorium && ` • ${session.auditorium}`}
+            </p>
+            {session.experienceTypes && session.experienceTypes.length > 0 && (
+              <p className="session-detail-experiences">{session.experienceTypes.join(' • ')}</p>
+            )}
+          </div>
+          <button className="session-detail-close" onClick={onClose} aria-label="Close">
+            ✕
+          </button>
+        </div>
+
+        {loading && (
+          <div className="session-detail-loading">
+            <div className="spinner"></div>
+            <p>Loading seat map...</p>
+          </div>
+        )}
+
+        {error && <div className="error-message">⚠️ {error}</div>}
+
+        {!loading && seatMap && (
+          <>
+            <div className="session-detail-summary">
+              <span><strong>{seatMap.availableSeats}</strong> of {seatMap.sellableSeats} seats open</span>
+              <span>{seatMap.occupancyPercentage}% full</span>
+              {seatMap.accessibleSeats.total > 0 && (
+                <span className="session-detail-accessible">
+                  ♿ {seatMap.accessibleSeats.available} of {seatMap.accessibleSeats.total} accessible spaces open
+                </span>
+              )}
+              {seatMap.sellableSeats < seatMap.totalSeats && (
+                <span>{seatMap.totalSeats - seatMap.sellableSeats} not for sale</span>
+              )}
+              {seatMap.stale && <span className="session-detail-stale">Data may be out of date</span>}
+            </div>
+
+            <SeatMap seatMap={seatMap} selectedSeats={selectedSeats} onToggleSeat={toggleSeat} />
+
+            <div className="session-detail-footer">
+              <span className="session-detail-selection">
+                {selectedSeats.length > 0
+                  ? `Selected: ${selectedSeats.join(', ')}`
+                  : 'Tap open seats to compare spots'}
+              </span>
+              {session.seatMapUrl && !session.soldOut && (
+                <a
+                  href={session.seatMapUrl}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="seat-map-link"
+                >
+                  Book on Cineplex →
+                </a>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default SessionDetail;
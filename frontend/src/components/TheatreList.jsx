@@ -1,19 +1,62 @@
 import { useState } from 'react';
 import './TheatreList.css';
 
-function TheatreList({ theatres }) {
+const TIME_SLOT_LABELS = {
+  morning: 'Morning (before 12pm)',
+  afternoon: 'Afternoon (12-5pm)',
+  evening: 'Evening (5-9pm)',
+  late: 'Late (9pm+)',
+};
+
+function formatOccupancy(stats) {
+  return stats.averageOccupancy !== undefined ? `${stats.averageOccupancy}%` : '–';
+}
+
+function BreakdownTable({ title, rows }) {
+  return (
+    <table className="theatre-breakdown">
+      <thead>
+        <tr>
+          <th>{title}</th>
+          <th>Sessions</th>
+          <th>Occupancy</th>
+          <th>Seats sold</th>
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map(({ key, label, stats }) => (
+          <tr key={key}>
+            <td>{label}</td>
+            <td>{stats.sessionCount}</td>
+            <td>{formatOccupancy(stats)}</td>
+            <td>{stats.totalSeatsBooked !== undefined ? stats.totalSeatsBooked.toLocaleString() : '–'}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+function TheatreList({ theatres, rankings = [] }) {
   const [expanded, setExpanded] = useState(false);
+  const [sortMode, setSortMode] = useState('distance');
+  const [selectedTheatreId, setSelectedTheatreId] = useState(null);
 
-  // Sort theatres by distance
-  const sortedTheatres = [...theatres].sort((a, b) => {
-    const distanceA = a.location?.distanceToOriginInMeters || Infinity;
-    const distanceB = b.location?.distanceToOriginInMeters || Infinity;
-    return distanceA - distanceB;
-  });
+  const rankingsById = new Map(rankings.map((ranking) => [ranking.theatreId, ranking]));
+  const hasActivity = rankings.some((ranking) => ranking.averageOccupancy !== undefined);
+
+  // Sort theatres by distance, or by the backend's busiest-first ranking
+  const sortedTheatres = sortMode === 'busiest' && hasActivity
+    ? rankings.map((ranking) => theatres.find((theatre) => theatre.id === ranking.theatreId)).filter(Boolean)
+    : [...theatres].sort((a, b) => {
+        const distanceA = a.distanceKm ?? Infinity;
+        const distanceB = b.distanceKm ?? Infinity;
+        return distanceA - distanceB;
+      });
 
   return (
     <div className="theatre-list-container">
-      <button 
+      <button
         className="theatre-list-toggle"
         onClick={() => setExpanded(!expanded)}
       >
@@ -23,26 +66,80 @@ function TheatreList({ theatres }) {
 
       {expanded && (
         <div className="theatre-list">
-          {sortedTheatres.map((theatre) => {
-            const distanceKm = theatre.location?.distanceToOriginInMeters 
-              ? (theatre.location.distanceToOriginInMeters / 1000).toFixed(1)
+          {hasActivity && (
+            <div className="theatre-sort">
+              <button
+                className={sortMode === 'distance' ? 'active' : ''}
+                onClick={() => setSortMode('distance')}
+              >
+                📍 Nearest
+              </button>
+              <button
+                className={sortMode === 'busiest' ? 'active' : ''}
+                onClick={() => setSortMode('busiest')}
+              >
+                🔥 Busiest Theatres
+              </button>
+            </div>
+          )}
+
+          {sortedTheatres.map((theatre, index) => {
+            const distanceKm = theatre.distanceKm !== null
+              ? theatre.distanceKm.toFixed(1)
               : 'N/A';
+            const ranking = rankingsById.get(theatre.id);
+            const selected = selectedTheatreId === theatre.id;
 
             return (
-              <div key={theatre.theatreId} className="theatre-item">
+              <div key={theatre.id} className="theatre-item">
                 <div className="theatre-main-info">
                   <span className="theatre-item-name">
-                    🎭 {theatre.theatreName}
+                    {sortMode === 'busiest' && hasActivity ? `#${index + 1}` : '🎭'} {theatre.name}
                   </span>
                   <span className="theatre-distance">
                     📍 {distanceKm} km
                   </span>
                 </div>
-                {theatre.location?.address && (
+                {theatre.address && (
                   <div className="theatre-address">
-                    {theatre.location.address}
-                    {theatre.location.city && `, ${theatre.location.city}`}
-                    {theatre.location.postalCode && ` ${theatre.location.postalCode}`}
+                    {theatre.address}
+                    {theatre.city && `, ${theatre.city}`}
+                    {theatre.postalCode && ` ${theatre.postalCode}`}
+                  </div>
+                )}
+                {ranking && ranking.averageOccupancy !== undefined && (
+                  <div className="theatre-activity">
+                    <span className="theatre-occupancy">{ranking.averageOccupancy}% full</span>
+                    {ranking.totalSeatsBooked !== undefined && (
+                      <span>{ranking.totalSeatsBooked.toLocaleString()} seats sold</span>
+                    )}
+                    <span>{ranking.sessionCount} session{ranking.sessionCount !== 1 ? 's' : ''}</span>
+                    <button
+                      className="theatre-drilldown-toggle"
+                      onClick={() => setSelectedTheatreId(selected ? null : theatre.id)}
+                    >
+                      {selected ? '▼' : '▶'} Breakdown
+                    </button>
+                  </div>
+                )}
+                {ranking && selected && (
+                  <div className="theatre-drilldown">
+                    <BreakdownTable
+                      title="Auditorium"
+                      rows={ranking.auditoriums.map((stats) => ({
+                        key: stats.auditorium ?? '',
+                        label: stats.auditorium ?? 'Unknown',
+                        stats,
+                      }))}
+                    />
+                    <BreakdownTable
+                      title="Time of day"
+                      rows={ranking.timeSlots.map((stats) => ({
+                        key: stats.slot,
+                        label: TIME_SLOT_LABELS[stats.slot] || stats.slot,
+                        stats,
+                      }))}
+                    />
                   </div>
                 )}
               </div>
@@ -26,6 +26,10 @@ async function fetchAPI(endpoint, options = {}) {
       throw new Error(error.message || `HTTP ${response.status}`);
     }
 
+    if (response.status === 204) {
+      return null;
+    }
+
     return await response.json();
   } catch (error) {
     console.error(`API Error [${endpoint}]:`, error);
@@ -36,7 +40,7 @@ async function fetchAPI(endpoint, options = {}) {
 /**
  * Fetch nearby theatres based on location
  * @param {Object} params - Location parameters
- * @returns {Promise<Object>} Theatre data
+ * @returns {Promise<Object>} { schemaVersion, theatres: Array<Theatre>, dropped }
  */
 export async function fetchTheatres(params) {
   const queryParams = new URLSearchParams();
@@ -60,7 +64,7 @@ export async function fetchTheatres(params) {
  * Fetch showtimes for a specific theatre and date
  * @param {number} theatreId - Theatre ID
  * @param {string} date - Date in format M/D/YYYY
- * @returns {Promise<Array>} Showtime data
+ * @returns {Promise<Object>} Schedule: { schemaVersion, theatreId, date, movies, sessions, dropped }
  */
 export async function fetchShowtimes(theatreId, date) {
   const queryParams = new URLSearchParams({
@@ -75,7 +79,7 @@ export async function fetchShowtimes(theatreId, date) {
  * Fetch seat availability for a specific showtime
  * @param {number} theatreId - Theatre ID
  * @param {number} showtimeId - Vista session ID
- * @returns {Promise<Object>} Seat availability data with occupancy stats
+ * @returns {Promise<Object>} SeatAvailability: { schemaVersion, seats, statusCounts, sellableSeats, occupiedSeats, accessibleSeats, occupancyPercentage, ... }
  */
 export async function fetchSeatAvailability(theatreId, showtimeId) {
   const queryParams = new URLSearchParams({
@@ -86,10 +90,34 @@ export async function fetchSeatAvailability(theatreId, showtimeId) {
   return fetchAPI(`/api/seat-availability?${queryParams}`);
 }
 
+/**
+ * Fetch the auditorium layout for a specific showtime
+ * @param {number} theatreId - Theatre ID
+ * @param {string} showtimeId - Vista session ID
+ * @returns {Promise<Object>} SeatMap: { schemaVersion, rows: [{ label, seats }], columns, unplaced, totalSeats, ... }
+ */
+export async function fetchSeatMap(theatreId, showtimeId) {
+  const queryParams = new URLSearchParams({
+    theatreId,
+    showtimeId,
+  });
+
+  return fetchAPI(`/api/seat-map?${queryParams}`);
+}
+
+/**
+ * Fetch details for a movie
+ * @param {number} movieId - Movie ID
+ * @returns {Promise<Object>} MovieDetails: { synopsis, genres, rating, cast, releaseDate, trailerUrl, ... }
+ */
+export async function fetchMovieDetails(movieId) {
+  return fetchAPI(`/api/movies/${movieId}`);
+}
+
 /**
  * Fetch showtimes for multiple theatres concurrently
  * Implements basic concurrency control to avoid overwhelming the server
- * @param {Array<Object>} theatres - Array of theatre objects with theatreId
+ * @param {Array<Object>} theatres - Array of normalized theatre objects (with id)
  * @param {string} date - Date in format M/D/YYYY
  * @param {number} concurrency - Maximum concurrent requests
  * @returns {Promise<Array>} Array of showtime results
@@ -103,14 +131,14 @@ export async function fetchShowtimesForTheatres(theatres, date, concurrency = 5)
 
     const theatre = queue.shift();
     try {
-      const showtimes = await fetchShowtimes(theatre.theatreId, date);
+      const showtimes = await fetchShowtimes(theatre.id, date);
       results.push({
         theatre,
         showtimes,
         success: true,
       });
     } catch (error) {
-      console.error(`Failed to fetch showtimes for theatre ${theatre.theatreId}:`, error);
+      console.error(`Failed to fetch showtimes for theatre ${theatre.id}:`, error);
       results.push({
         theatre,
         error: error.message,
@@ -132,55 +160,310 @@ export async function fetchShowtimesForTheatres(theatres, date, concurrency = 5)
   return results;
 }
 
+// Items per batch request (the backend accepts up to 300)
+const SEAT_BATCH_SIZE = 300;
+
 /**
- * Fetch seat availability for multiple showtimes concurrently
- * @param {Array<Object>} showtimes - Array of showtime objects with theatreId and vistaSessionId
- * @param {number} concurrency - Maximum concurrent requests
+ * Fetch seat availability for multiple showtimes
+ * Sends one batch request per SEAT_BATCH_SIZE showtimes instead of one
+ * request per showtime, so large searches stay within the rate limit
+ * @param {Array<Object>} showtimes - Array of normalized session objects (with id and theatreId)
  * @returns {Promise<Array>} Array of seat availability results
  */
-export async function fetchSeatAvailabilityBatch(showtimes, concurrency = 10) {
+export async function fetchSeatAvailabilityBatch(showtimes) {
   const results = [];
-  const queue = [...showtimes];
 
-  async function processNext() {
-    if (queue.length === 0) return;
+  for (let start = 0; start < showtimes.length; start += SEAT_BATCH_SIZE) {
+    const chunk = showtimes.slice(start, start + SEAT_BATCH_SIZE);
 
-    const showtime = queue.shift();
     try {
-      const seatData = await fetchSeatAvailability(showtime.theatreId, showtime.vistaSessionId);
-      results.push({
-        showtimeId: showtime.vistaSessionId,
-        theatreId: showtime.theatreId,
-        seatData,
-        success: true,
+      const batch = await fetchAPI('/api/seat-availability/batch', {
+        method: 'POST',
+        body: JSON.stringify({
+          items: chunk.map((showtime) => ({ theatreId: showtime.theatreId, showtimeId: showtime.id })),
+        }),
+      });
+
+      batch.results.forEach((result, index) => {
+        results.push({
+          showtimeId: chunk[index].id,
+          theatreId: chunk[index].theatreId,
+          ...(result.status === 200
+            ? { seatData: result.data, success: true }
+            : { error: result.message, success: false }),
+        });
       });
     } catch (error) {
       // Silently fail for seat availability - not critical
-      results.push({
-        showtimeId: showtime.vistaSessionId,
-        theatreId: showtime.theatreId,
-        error: error.message,
-        success: false,
+      chunk.forEach((showtime) => {
+        results.push({
+          showtimeId: showtime.id,
+          theatreId: showtime.theatreId,
+          error: error.message,
+          success: false,
+        });
       });
     }
+  }
 
-    await processNext();
+  return results;
+}
+
+/**
+ * Set the date parameter: date for a single day, dates for several
+ * @param {URLSearchParams} queryParams
+ * @param {Array<string>} dates - Dates in format M/D/YYYY
+ */
+function setDates(queryParams, dates) {
+  if (dates.length === 1) {
+    queryParams.set('date', dates[0]);
+  } else {
+    queryParams.set('dates', dates.join(','));
   }
+}
 
-  // Start concurrent workers
-  const workers = Array(Math.min(concurrency, showtimes.length))
-    .fill(0)
-    .map(() => processNext());
+/**
+ * Query parameters shared by the rankings routes
+ */
+function rankingsQuery(locations, dates, sort, filters = {}) {
+  const areas = locations
+    .map((loc) => `${loc.latitude},${loc.longitude},${loc.radius}`)
+    .join(';');
 
-  await Promise.all(workers);
+  const queryParams = new URLSearchParams({
+    areas,
+    sort,
+  });
+  setDates(queryParams, dates);
+  if (filters.genre) queryParams.set('genre', filters.genre);
+  if (filters.rating) queryParams.set('rating', filters.rating);
 
-  return results;
+  return queryParams;
+}
+
+/**
+ * Fetch ranked movies for a set of search areas in a single request
+ * @param {Array<Object>} locations - Areas with latitude, longitude and radius
+ * @param {Array<string>} dates - Dates in format M/D/YYYY (up to 7); with several,
+ *   movies are ranked across all of them and each has a per-day breakdown in `days`
+ * @param {string} sort - Ranking mode ('occupancy' or 'momentum')
+ * @param {Object} [filters] - Only movies in this genre and/or with this rating
+ * @param {string} [filters.genre]
+ * @param {string} [filters.rating]
+ * @returns {Promise<Object>} Deduplicated theatres and ranked movies
+ */
+export async function fetchRankings(locations, dates, sort = 'occupancy', filters = {}) {
+  return fetchAPI(`/api/rankings?${rankingsQuery(locations, dates, sort, filters)}`);
+}
+
+/**
+ * URL of an iCalendar file for one session or a movie's sessions at a theatre
+ * @param {Object} options
+ * @param {number} options.theatreId - Theatre ID
+ * @param {Array<string>} options.dates - Dates in format M/D/YYYY (up to 7)
+ * @param {number} [options.movieId] - Only this movie's sessions
+ * @param {string} [options.showtimeId] - Only this session
+ * @returns {string} Calendar URL
+ */
+export function getCalendarUrl({ theatreId, dates, movieId, showtimeId }) {
+  const queryParams = new URLSearchParams({ theatreId });
+  setDates(queryParams, dates);
+  if (movieId !== undefined) queryParams.set('movieId', movieId);
+  if (showtimeId !== undefined) queryParams.set('showtimeId', showtimeId);
+
+  return `${API_BASE_URL}/api/calendar.ics?${queryParams}`;
+}
+
+/**
+ * webcal:// URL of a calendar feed of upcoming sessions in a set of search
+ * areas, which calendar apps subscribe to and refresh
+ * @param {Array<Object>} locations - Areas with latitude, longitude and radius
+ * @param {number} days - Days to cover, starting today (1-7)
+ * @returns {string} Feed URL
+ */
+export function getCalendarFeedUrl(locations, days = 7) {
+  const areas = locations
+    .map((loc) => `${loc.latitude},${loc.longitude},${loc.radius}`)
+    .join(';');
+
+  const queryParams = new URLSearchParams({ areas, days });
+
+  return `${API_BASE_URL}/api/calendar.ics?${queryParams}`.replace(/^https?:/, 'webcal:');
+}
+
+/**
+ * URL of a downloadable rankings report
+ * @param {Array<Object>} locations - Areas with latitude, longitude and radius
+ * @param {Array<string>} dates - Dates in format M/D/YYYY
+ * @param {string} sort - Ranking mode ('occupancy' or 'momentum')
+ * @param {string} format - 'csv', 'json' or 'md'
+ * @param {Object} [filters] - As for fetchRankings
+ * @returns {string} Report URL
+ */
+export function getRankingsReportUrl(locations, dates, sort, format, filters = {}) {
+  const queryParams = rankingsQuery(locations, dates, sort, filters);
+  queryParams.set('format', format);
+
+  return `${API_BASE_URL}/api/rankings/report?${queryParams}`;
+}
+
+/**
+ * Build ranked movies with live progress over Server-Sent Events
+ * Falls back to fetchRankings if the stream can't be opened (no EventSource,
+ * or a rate limit or validation error before any event arrives)
+ * @param {Array<Object>} locations - Areas with latitude, longitude and radius
+ * @param {Array<string>} dates - Dates in format M/D/YYYY (see fetchRankings)
+ * @param {string} sort - Ranking mode ('occupancy' or 'momentum')
+ * @param {Object} filters - As for fetchRankings
+ * @param {Object} handlers
+ * @param {Function} [handlers.onProgress] - Called with { stage, completed, total }
+ * @param {Function} [handlers.onTheatres] - Called with the deduplicated theatres
+ * @param {Function} [handlers.onMovies] - Called with movies ranked from the data so far
+ * @param {AbortSignal} [handlers.signal] - Closes the stream when aborted
+ * @returns {Promise<Object>} Final rankings, as from fetchRankings
+ */
+export function streamRankings(locations, dates, sort = 'occupancy', filters = {}, handlers = {}) {
+  const { onProgress = () => {}, onTheatres = () => {}, onMovies = () => {}, signal } = handlers;
+
+  if (typeof EventSource === 'undefined') {
+    return fetchRankings(locations, dates, sort, filters);
+  }
+
+  const queryParams = rankingsQuery(locations, dates, sort, filters);
+
+  return new Promise((resolve, reject) => {
+    const source = new EventSource(`${API_BASE_URL}/api/rankings/stream?${queryParams}`);
+    let received = false;
+    let settled = false;
+
+    const finish = (settle) => {
+      if (settled) return;
+      settled = true;
+      source.close();
+      settle();
+    };
+
+    const listen = (event, handler) => {
+      source.addEventListener(event, (e) => {
+        if (settled) return;
+        received = true;
+        handler(JSON.parse(e.data));
+      });
+    };
+
+    listen('progress', onProgress);
+    listen('theatres', ({ theatres }) => onTheatres(theatres));
+    // Each movies event only carries new or changed movies, plus the full order
+    const movies = new Map();
+    listen('movies', ({ movies: changed, order }) => {
+      changed.forEach((movie) => movies.set(movie.id, movie));
+      onMovies(order.map((movieId) => movies.get(movieId)));
+    });
+    listen('done', (rankings) => finish(() => resolve(rankings)));
+    listen('failed', (error) => finish(() => reject(new Error(error.message))));
+
+    // Connection errors (EventSource would otherwise keep reconnecting)
+    source.onerror = () => {
+      finish(() => {
+        if (received) {
+          reject(new Error('Lost connection while loading rankings'));
+        } else {
+          fetchRankings(locations, dates, sort, filters).then(resolve, reject);
+        }
+      });
+    };
+
+    signal?.addEventListener('abort', () => {
+      finish(() => reject(new DOMException('Rankings request was cancelled', 'AbortError')));
+    });
+  });
+}
+
+/**
+ * Call an alerts route with the alerts token
+ */
+function fetchAlertsAPI(endpoint, token, options = {}) {
+  return fetchAPI(endpoint, {
+    ...options,
+    headers: { Authorization: `Bearer ${token}` },
+  });
+}
+
+/**
+ * List occupancy alerts
+ * @param {string} token - Alerts token
+ * @returns {Promise<Object>} { alerts }
+ */
+export async function fetchAlerts(token) {
+  return fetchAlertsAPI('/api/alerts', token);
+}
+
+/**
+ * Create an occupancy alert
+ * @param {string} token - Alerts token
+ * @param {Object} alert - { name, enabled, filters, condition, webhookUrl }
+ * @returns {Promise<Object>} Created alert
+ */
+export async function createAlert(token, alert) {
+  return fetchAlertsAPI('/api/alerts', token, { method: 'POST', body: JSON.stringify(alert) });
+}
+
+/**
+ * Replace an alert's settings
+ * @param {string} token - Alerts token
+ * @param {string} id - Alert ID
+ * @param {Object} alert - { name, enabled, filters, condition, webhookUrl }
+ * @returns {Promise<Object>} Updated alert
+ */
+export async function updateAlert(token, id, alert) {
+  return fetchAlertsAPI(`/api/alerts/${encodeURIComponent(id)}`, token, { method: 'PUT', body: JSON.stringify(alert) });
+}
+
+/**
+ * Delete an alert
+ * @param {string} token - Alerts token
+ * @param {string} id - Alert ID
+ */
+export async function deleteAlert(token, id) {
+  return fetchAlertsAPI(`/api/alerts/${encodeURIComponent(id)}`, token, { method: 'DELETE' });
+}
+
+/**
+ * Send a test delivery to an alert's webhook
+ * @param {string} token - Alerts token
+ * @param {string} id - Alert ID
+ * @returns {Promise<Object>} Delivery log entry
+ */
+export async function testAlert(token, id) {
+  return fetchAlertsAPI(`/api/alerts/${encodeURIComponent(id)}/test`, token, { method: 'POST' });
+}
+
+/**
+ * Recent webhook deliveries, newest first
+ * @param {string} token - Alerts token
+ * @returns {Promise<Object>} { deliveries }
+ */
+export async function fetchAlertDeliveries(token) {
+  return fetchAlertsAPI('/api/alerts/deliveries', token);
 }
 
 export default {
   fetchTheatres,
   fetchShowtimes,
   fetchShowtimesForTheatres,
+  fetchMovieDetails,
   fetchSeatAvailability,
+  fetchSeatMap,
   fetchSeatAvailabilityBatch,
+  fetchRankings,
+  streamRankings,
+  getRankingsReportUrl,
+  getCalendarUrl,
+  getCalendarFeedUrl,
+  fetchAlerts,
+  createAlert,
+  updateAlert,
+  deleteAlert,
+  testAlert,
+  fetchAlertDeliveries,
 };